@@ -1,9 +1,259 @@
 // Vercel Serverless Function voor CORS proxy
+import http from 'node:http';
+import https from 'node:https';
+import zlib from 'node:zlib';
+import { lookup } from 'node:dns';
+import { BlockList, isIP } from 'node:net';
+import { Readable, pipeline } from 'node:stream';
+import { timingSafeEqual } from 'node:crypto';
+
+const REQUEST_HEADERS = {
+  'User-Agent': 'SEO-MAX-Bot/1.0 (Website Analyzer)',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.5',
+  'Accept-Encoding': 'gzip, deflate',
+  'Connection': 'keep-alive',
+};
+
+// Maximale hoeveelheid HTML die per redirect hop wordt teruggestuurd
+const MAX_REDIRECT_BODY = 256 * 1024;
+// Maximaal aantal redirects dat de proxy zelf volgt
+const MAX_REDIRECTS = 10;
+const REQUEST_TIMEOUT = 10000;
+// Statuscodes zonder body (HEAD verzoeken hebben ook nooit een body)
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+// Maximale grootte van een opgehaalde pagina (na decompressie)
+const MAX_RESPONSE_SIZE = 5 * 1024 * 1024;
+// Alleen tekst die de analyse kan gebruiken: HTML, XML (sitemaps) en platte tekst (robots.txt)
+const ALLOWED_CONTENT_TYPES = [/^text\/html/, /^application\/xhtml\+xml/, /^(text|application)\/xml/, /^application\/[\w.-]+\+xml/, /^text\/plain/];
+
+// Configuratie via environment variabelen (komma gescheiden)
+// PROXY_ALLOWED_DOMAINS: alleen deze domeinen (en subdomeinen) mogen worden opgehaald
+// PROXY_ALLOWED_ORIGINS: extra origins die de proxy mogen gebruiken, naast de eigen origin
+// PROXY_SECRET: gedeelde sleutel in de X-Proxy-Key header, voor clients buiten de eigen origin
+const listFromEnv = name => (process.env[name] || '').split(',').map(value => value.trim().toLowerCase()).filter(Boolean);
+const ALLOWED_DOMAINS = listFromEnv('PROXY_ALLOWED_DOMAINS');
+const ALLOWED_ORIGINS = listFromEnv('PROXY_ALLOWED_ORIGINS');
+const PROXY_SECRET = process.env.PROXY_SECRET || '';
+
+// Private, loopback, link-local en gereserveerde adressen (o.a. cloud metadata op 169.254.169.254),
+// plus NAT64 (64:ff9b::/96) en 6to4 (2002::/16) waarin een IPv4 adres verpakt kan zitten
+const BLOCKED_ADDRESSES = new BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+class ProxyError extends Error {
+  constructor(status, error, message) {
+    super(message);
+    this.status = status;
+    this.error = error;
+  }
+}
+
+function isBlockedAddress(address, family) {
+  return BLOCKED_ADDRESSES.check(address, family === 6 || family === 'IPv6' ? 'ipv6' : 'ipv4');
+}
+
+// DNS lookup van de verbinding zelf: het gecontroleerde adres is het adres waarmee verbonden wordt,
+// zodat een tweede DNS antwoord (DNS rebinding) geen intern adres meer kan opleveren
+function safeLookup(hostname, options, callback) {
+  lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address, family }) => isBlockedAddress(address, family))) {
+      return callback(new ProxyError(403, 'Forbidden target', `${hostname} resolves to a private or reserved address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+// Origin header, of de Referer bij same-origin GET verzoeken (browsers sturen dan geen Origin mee)
+function getRequestOrigin(req) {
+  try {
+    const source = req.headers.origin || req.headers.referer;
+    return source ? new URL(source) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Toegang: de eigen origin, een toegestane origin of een geldige gedeelde sleutel
+function checkAccess(req) {
+  const key = req.headers['x-proxy-key'];
+  if (PROXY_SECRET && key) {
+    if (safeEqual(key, PROXY_SECRET)) return;
+    throw new ProxyError(401, 'Invalid proxy key', 'The X-Proxy-Key header does not match');
+  }
+
+  const origin = getRequestOrigin(req);
+  const ownHost = (req.headers['x-forwarded-host'] || req.headers.host || '').toLowerCase();
+  const allowed = origin
+    ? origin.host === ownHost || ALLOWED_ORIGINS.includes(origin.origin)
+    : req.headers['sec-fetch-site'] === 'same-origin';
+
+  if (!allowed) {
+    throw new ProxyError(403, 'Origin not allowed', PROXY_SECRET
+      ? 'Use the proxy from an allowed origin or send a valid X-Proxy-Key header'
+      : 'Use the proxy from an allowed origin');
+  }
+}
+
+// Elke URL (ook elke redirect hop) wordt gecontroleerd voordat de proxy hem ophaalt.
+// Hostnamen worden bij het verbinden gecontroleerd (safeLookup), IP adressen hier direct.
+function assertAllowedTarget(url) {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    throw new ProxyError(400, 'Invalid URL', error.message);
+  }
+
+  if (!['http:', 'https:'].includes(target.protocol)) {
+    throw new ProxyError(400, 'Unsupported scheme', `Only http and https URLs are allowed, got ${target.protocol}`);
+  }
+  if (target.username || target.password) {
+    throw new ProxyError(400, 'Credentials not allowed', 'URLs with a username or password are not allowed');
+  }
+
+  const hostname = target.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (ALLOWED_DOMAINS.length > 0 && !ALLOWED_DOMAINS.some(domain => hostname === domain || hostname.endsWith(`.${domain}`))) {
+    throw new ProxyError(403, 'Domain not allowed', `${hostname} is not in the domain allowlist`);
+  }
+
+  const family = isIP(hostname);
+  if (family && isBlockedAddress(hostname, family)) {
+    throw new ProxyError(403, 'Forbidden target', `${hostname} is a private or reserved address`);
+  }
+}
+
+// Eén HTTP request zonder automatische redirects. Geen fetch: die doet een eigen DNS lookup
+// die niet aan de gecontroleerde adressen gebonden is. Het antwoord heeft dezelfde vorm als een fetch Response.
+function request(url, { method, signal }) {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(target, { method, headers: REQUEST_HEADERS, lookup: safeLookup, signal }, incoming => {
+      const headers = new Headers();
+      for (let i = 0; i < incoming.rawHeaders.length; i += 2) {
+        try {
+          headers.append(incoming.rawHeaders[i], incoming.rawHeaders[i + 1]);
+        } catch {
+          // Ongeldige header van de website, overslaan
+        }
+      }
+
+      let body = null;
+      if (method === 'HEAD' || NULL_BODY_STATUSES.includes(incoming.statusCode)) {
+        incoming.resume();
+      } else {
+        // Zoals fetch: gzip en deflate worden uitgepakt, de headers blijven ongewijzigd
+        const encoding = (incoming.headers['content-encoding'] || '').trim().toLowerCase();
+        const decoder = ['gzip', 'x-gzip'].includes(encoding) ? zlib.createGunzip()
+          : encoding === 'deflate' ? zlib.createInflate() : null;
+        body = Readable.toWeb(decoder ? pipeline(incoming, decoder, () => {}) : incoming);
+      }
+
+      resolve({
+        status: incoming.statusCode,
+        statusText: incoming.statusMessage || '',
+        ok: incoming.statusCode >= 200 && incoming.statusCode < 300,
+        headers,
+        body
+      });
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+// Body lezen tot de limiet: daarboven afkappen (truncate) of een 413 fout
+async function readBody(response, limit, truncate) {
+  const length = parseInt(response.headers.get('content-length'));
+  if (!truncate && length > limit) {
+    await response.body?.cancel().catch(() => {});
+    throw new ProxyError(413, 'Response too large', `Response is larger than ${limit} bytes`);
+  }
+  if (!response.body) return { contents: '', size: 0 };
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > limit) {
+      await reader.cancel().catch(() => {});
+      if (!truncate) throw new ProxyError(413, 'Response too large', `Response is larger than ${limit} bytes`);
+      chunks.push(value.subarray(0, value.length - (size - limit)));
+      break;
+    }
+    chunks.push(value);
+  }
+
+  return { contents: Buffer.concat(chunks).toString('utf8'), size };
+}
+
+function resolveLocation(location, baseUrl) {
+  try {
+    return new URL(location, baseUrl).href;
+  } catch {
+    return null;
+  }
+}
+
+// Redirects worden hop voor hop gevolgd zodat de status en location van elke hop zichtbaar blijven
+async function fetchWithRedirects(url, { method, followRedirects, signal }) {
+  const redirectChain = [];
+  let currentUrl = url;
+
+  while (true) {
+    assertAllowedTarget(currentUrl);
+    const hopStart = Date.now();
+    const response = await request(currentUrl, { method, signal });
+
+    const location = response.headers.get('location');
+    const target = location ? resolveLocation(location, currentUrl) : null;
+    const isRedirect = response.status >= 300 && response.status < 400 && target;
+    // Redirect loop: stop bij de hop die terug zou gaan, de 3xx status blijft het eindresultaat
+    const loop = isRedirect && (target === currentUrl || redirectChain.some(hop => hop.url === target));
+    if (!isRedirect || !followRedirects || loop || redirectChain.length >= MAX_REDIRECTS) {
+      return { response, url: currentUrl, redirectChain, loop };
+    }
+
+    redirectChain.push({
+      url: currentUrl,
+      status: response.status,
+      statusText: response.statusText,
+      location: target,
+      time: Date.now() - hopStart
+    });
+    await response.body?.cancel().catch(() => {});
+    currentUrl = target;
+  }
+}
+
 export default async function handler(req, res) {
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  // Set CORS headers: alleen de eigen of toegestane origins, of iedereen als er een gedeelde sleutel is
+  const origin = req.headers.origin;
+  if (origin && (PROXY_SECRET || ALLOWED_ORIGINS.includes(origin.toLowerCase()))) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Proxy-Key');
 
   if (req.method === 'OPTIONS') {
     res.status(200).end();
@@ -15,46 +265,80 @@ export default async function handler(req, res) {
     return;
   }
 
-  const { url } = req.query;
+  const { url, mode, method, redirect } = req.query;
 
   if (!url) {
     res.status(400).json({ error: 'URL parameter is required' });
     return;
   }
 
+  // De proxy geeft altijd de echte statuscode van de website terug, ook bij 3xx/4xx/5xx.
+  // Status mode (link verificatie) haalt geen body op; met redirect=manual wordt één hop opgevraagd
+  // zodat de browser de redirect chain zelf kan volgen.
+  const statusMode = mode === 'status';
+  const requestMethod = statusMode && method !== 'GET' ? 'HEAD' : 'GET';
+  const manualRedirect = redirect === 'manual';
+
+  const signal = AbortSignal.timeout(REQUEST_TIMEOUT);
+
   try {
-    // Validate URL
-    new URL(url);
-    
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'SEO-MAX-Bot/1.0 (Website Analyzer)',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
-        'Accept-Encoding': 'gzip, deflate',
-        'Connection': 'keep-alive',
-      },
-      timeout: 10000
+    checkAccess(req);
+    const startTime = Date.now();
+    const { response, url: finalUrl, redirectChain, loop } = await fetchWithRedirects(url, {
+      method: requestMethod,
+      followRedirects: !manualRedirect,
+      signal
     });
+    // TTFB inclusief redirects, zoals browsers die ook meten
+    const ttfb = Date.now() - startTime;
+
+    // In status mode is alleen de HTML van de laatste hop nodig om meta refresh en JS redirects te herkennen
+    const contentType = (response.headers.get('content-type') || '').toLowerCase();
+    const shouldReadBody = requestMethod === 'GET' &&
+      (!statusMode || (manualRedirect && response.ok && contentType.includes('html')));
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    if (shouldReadBody && !statusMode && !ALLOWED_CONTENT_TYPES.some(pattern => pattern.test(contentType))) {
+      await response.body?.cancel().catch(() => {});
+      throw new ProxyError(415, 'Unsupported content type', `Content type ${contentType || '(none)'} is not supported by the proxy`);
+    }
+
+    let contents = null;
+    let size = parseInt(response.headers.get('content-length'));
+    if (shouldReadBody) {
+      ({ contents, size } = await readBody(response, statusMode ? MAX_REDIRECT_BODY : MAX_RESPONSE_SIZE, statusMode));
+    } else if (response.body) {
+      // Body is niet nodig, sluit de stream direct
+      await response.body.cancel().catch(() => {});
     }
 
-    const html = await response.text();
-    
     res.status(200).json({
       status: response.status,
       statusText: response.statusText,
-      contents: html,
-      headers: Object.fromEntries(response.headers.entries())
+      url: finalUrl,
+      redirected: redirectChain.length > 0,
+      redirectChain: redirectChain,
+      redirectLoop: !!loop,
+      location: response.headers.get('location'),
+      ttfb: ttfb,
+      totalTime: Date.now() - startTime,
+      size: Number.isFinite(size) ? size : null,
+      headers: Object.fromEntries(response.headers.entries()),
+      contents: contents
     });
 
   } catch (error) {
+    // Misbruik of een niet toegestaan doel: duidelijke 4xx fout
+    if (error instanceof ProxyError) {
+      res.status(error.status).json({ error: error.error, message: error.message });
+      return;
+    }
+
     console.error('Proxy error:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch URL',
-      message: error.message 
+    // Website niet bereikbaar (DNS, verbinding, timeout): dat is een gateway fout, geen statuscode van de website
+    const timedOut = signal.aborted || error.name === 'TimeoutError' || error.name === 'AbortError';
+    res.status(timedOut ? 504 : 502).json({
+      error: timedOut ? 'Timeout while fetching URL' : 'Failed to fetch URL',
+      message: error.message
     });
   }
 }
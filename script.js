@@ -1,9 +1,1068 @@
+// Validatieregels voor schema.org types (gebaseerd op Google rich results richtlijnen)
+const STRUCTURED_DATA_RULES = {
+    Organization: {
+        required: ['name', 'url'],
+        recommended: ['logo', 'sameAs', 'contactPoint', 'address']
+    },
+    Product: {
+        required: ['name'],
+        requiredOneOf: ['offers', 'review', 'aggregateRating'],
+        recommended: ['image', 'description', 'brand', 'sku', 'offers']
+    },
+    Article: {
+        required: ['headline'],
+        recommended: ['image', 'datePublished', 'dateModified', 'author', 'publisher']
+    },
+    FAQPage: {
+        required: ['mainEntity'],
+        recommended: []
+    },
+    BreadcrumbList: {
+        required: ['itemListElement'],
+        recommended: []
+    },
+    LocalBusiness: {
+        required: ['name', 'address'],
+        recommended: ['telephone', 'openingHoursSpecification', 'geo', 'url', 'priceRange', 'image']
+    }
+};
+
+// Subtypes die met de regels van hun hoofdtype gevalideerd worden
+const STRUCTURED_DATA_SUBTYPES = {
+    NewsArticle: 'Article',
+    BlogPosting: 'Article',
+    Corporation: 'Organization',
+    NGO: 'Organization',
+    Restaurant: 'LocalBusiness',
+    Store: 'LocalBusiness',
+    Dentist: 'LocalBusiness',
+    MedicalBusiness: 'LocalBusiness',
+    ProfessionalService: 'LocalBusiness',
+    HomeAndConstructionBusiness: 'LocalBusiness',
+    AutomotiveBusiness: 'LocalBusiness',
+    FoodEstablishment: 'LocalBusiness',
+    LodgingBusiness: 'LocalBusiness',
+    HealthAndBeautyBusiness: 'LocalBusiness'
+};
+
+// Taalinstellingen voor de leesbaarheidsanalyse (Flesch-Douma voor NL, Flesch Reading Ease voor EN)
+const READABILITY_LANGUAGES = {
+    nl: {
+        name: 'Nederlands',
+        formula: 'Flesch-Douma',
+        base: 206.835,
+        sentenceWeight: 0.93,
+        syllableWeight: 77,
+        stopWords: ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'niet', 'op', 'te', 'met', 'voor', 'zijn', 'er', 'aan', 'ook', 'bij', 'als', 'maar', 'naar', 'dit', 'wij', 'je', 'u', 'ons', 'uw', 'wordt', 'kunt'],
+        passiveAuxiliaries: ['word', 'wordt', 'worden', 'werd', 'werden', 'geworden'],
+        participlePattern: /^(ge|be|ver|ont|her|er)\p{L}{2,}(d|t|en)$/u,
+        irregularParticiples: [],
+        participleWindow: 10,
+        transitionWords: [
+            'aangezien', 'al met al', 'bijvoorbeeld', 'bovendien', 'daarna', 'daarnaast', 'daarom', 'daardoor', 'dan ook',
+            'doordat', 'dus', 'echter', 'eerst', 'hoewel', 'immers', 'in de eerste plaats', 'in het kort', 'in tegenstelling tot',
+            'kortom', 'met andere woorden', 'namelijk', 'nadat', 'ondanks', 'omdat', 'samenvattend', 'ten eerste', 'ten tweede',
+            'ten slotte', 'tenslotte', 'terwijl', 'tevens', 'tot slot', 'toch', 'uiteindelijk', 'vervolgens', 'verder', 'voordat',
+            'want', 'zoals', 'zodat', 'zodoende', 'aan de andere kant', 'niet alleen', 'evenals', 'net als'
+        ]
+    },
+    en: {
+        name: 'English',
+        formula: 'Flesch Reading Ease',
+        base: 206.835,
+        sentenceWeight: 1.015,
+        syllableWeight: 84.6,
+        stopWords: ['the', 'and', 'of', 'to', 'is', 'that', 'it', 'in', 'for', 'you', 'with', 'on', 'are', 'this', 'be', 'was', 'not', 'your', 'we', 'our', 'can', 'have'],
+        passiveAuxiliaries: ['am', 'is', 'are', 'was', 'were', 'be', 'been', 'being'],
+        participlePattern: /^\p{L}{2,}ed$/u,
+        irregularParticiples: ['built', 'bought', 'chosen', 'done', 'found', 'given', 'held', 'kept', 'known', 'made', 'paid', 'seen', 'sent', 'shown', 'sold', 'taken', 'told', 'written'],
+        participleWindow: 3,
+        transitionWords: [
+            'accordingly', 'additionally', 'also', 'although', 'as a result', 'because', 'besides', 'consequently', 'finally',
+            'first', 'for example', 'for instance', 'furthermore', 'however', 'in addition', 'in conclusion', 'in fact',
+            'in other words', 'in short', 'instead', 'likewise', 'meanwhile', 'moreover', 'nevertheless', 'on the other hand',
+            'overall', 'second', 'similarly', 'since', 'subsequently', 'then', 'therefore', 'thus', 'to summarize', 'unless', 'whereas'
+        ]
+    }
+};
+
+// Drempelwaarden voor content kwaliteit
+const CONTENT_QUALITY_THRESHOLDS = {
+    thinContent: 300,       // minder woorden = dunne content
+    minimalContent: 100,    // minder woorden = vrijwel geen content
+    longSentence: 20,       // woorden per zin
+    maxLongSentences: 25,   // percentage
+    maxPassive: 10,         // percentage
+    minTransitions: 30      // percentage
+};
+
+// ISO 639-1 taalcodes en ISO 3166-1 alpha-2 regiocodes voor hreflang validatie
+const ISO_LANGUAGE_CODES = new Set(('aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy ' +
+    'da de dv dz ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu hy hz ia id ie ig ii ik io is it iu ' +
+    'ja jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb lg li ln lo lt lu lv mg mh mi mk ml mn mr ms mt my na nb nd ne ng nl nn ' +
+    'no nr nv ny oc oj om or os pa pi pl ps pt qu rm rn ro ru rw sa sc sd se sg si sk sl sm sn so sq sr ss st su sv sw ta te tg th ti ' +
+    'tk tl tn to tr ts tt tw ty ug uk ur uz ve vi vo wa wo xh yi yo za zh zu').split(' '));
+
+const ISO_REGION_CODES = new Set(('AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR BS ' +
+    'BT BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI FJ FK FM FO FR ' +
+    'GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH KI ' +
+    'KM KN KP KR KW KY KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT MU MV MW MX MY MZ NA NC ' +
+    'NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY QA RE RO RS RU RW SA SB SC SD SE SG SH SI SJ SK SL SM ' +
+    'SN SO SR SS ST SV SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI VN VU WF WS YE YT ZA ' +
+    'ZM ZW').split(' '));
+
+// Veelgemaakte fouten in hreflang regiocodes
+const HREFLANG_REGION_MISTAKES = { UK: 'GB', EN: 'GB', EU: null, LA: null };
+
+// Drempelwaarden voor mobiele geschiktheid (in CSS pixels)
+const MOBILE_THRESHOLDS = {
+    maxFixedWidth: 480,     // vaste breedte in inline styles en attributen
+    maxCssWidth: 980,       // vaste breedte in <style> buiten media queries
+    minFontSize: 12,
+    minTapTarget: 48,
+    denseLinkCount: 5       // aantal links direct naast elkaar
+};
+
+// Drempelwaarden voor de afbeelding audit
+const IMAGE_THRESHOLDS = {
+    aboveFoldCount: 3,              // de eerste afbeeldingen in de DOM worden als "boven de vouw" gezien
+    largeFileSize: 300 * 1024,      // groter bestand is altijd te zwaar
+    srcsetFileSize: 100 * 1024,     // vanaf deze grootte hoort een srcset met kleinere varianten
+    srcsetWidth: 1200,              // width attribuut waarboven een srcset verwacht wordt
+    maxChecks: 50                   // maximaal aantal HEAD requests per pagina
+};
+
+// Standaard byte budgetten per pagina (aan te passen in de Performance kaart, opgeslagen in localStorage)
+const PERFORMANCE_BUDGETS = {
+    total: 1600 * 1024,
+    script: 400 * 1024,
+    style: 100 * 1024,
+    image: 800 * 1024,
+    font: 150 * 1024,
+    thirdParty: 300 * 1024,
+    requests: 60
+};
+
+// Fingerprints van bekende third-party tags: src matcht de script URL (groep 1 = ID),
+// inline herkent een inline snippet en ids haalt IDs uit inline initialisaties
+const TAG_FINGERPRINTS = [
+    { id: 'gtm', name: 'Google Tag Manager', category: 'tagmanager',
+        src: /googletagmanager\.com\/gtm\.js\?(?:.*&)?id=(GTM-[A-Z0-9]+)/i, inline: /gtm\.start/,
+        ids: /gtm\.start[\s\S]*?['"](GTM-[A-Z0-9]+)['"]/g },
+    { id: 'ga4', name: 'Google Analytics 4', category: 'analytics',
+        src: /googletagmanager\.com\/gtag\/js\?(?:.*&)?id=(G-[A-Z0-9]+)/i,
+        ids: /gtag\(\s*['"]config['"]\s*,\s*['"](G-[A-Z0-9]+)['"]/g },
+    { id: 'ua', name: 'Universal Analytics', category: 'analytics',
+        src: /google-analytics\.com\/(?:analytics|ga)\.js|googletagmanager\.com\/gtag\/js\?(?:.*&)?id=(UA-\d+-\d+)/i, inline: /GoogleAnalyticsObject|_gaq\.push/,
+        ids: /(?:ga\(\s*['"]create['"]\s*,\s*|gtag\(\s*['"]config['"]\s*,\s*|_setAccount['"]\s*,\s*)['"](UA-\d+-\d+)['"]/g,
+        deprecated: 'Universal Analytics verwerkt sinds juli 2023 geen data meer' },
+    { id: 'google-ads', name: 'Google Ads', category: 'advertising',
+        src: /googletagmanager\.com\/gtag\/js\?(?:.*&)?id=(AW-\d+)/i,
+        ids: /gtag\(\s*['"]config['"]\s*,\s*['"](AW-\d+)['"]/g },
+    { id: 'meta-pixel', name: 'Meta Pixel', category: 'advertising',
+        src: /connect\.facebook\.net\/[a-z_]+\/fbevents\.js/i, inline: /fbevents\.js|fbq\(/,
+        ids: /fbq\(\s*['"]init['"]\s*,\s*['"]?(\d{6,})/g },
+    { id: 'linkedin', name: 'LinkedIn Insight Tag', category: 'advertising',
+        src: /snap\.licdn\.com\/li\.lms-analytics/i, inline: /_linkedin_partner_id/,
+        ids: /_linkedin_partner_id\s*=\s*['"]?(\d+)/g },
+    { id: 'tiktok', name: 'TikTok Pixel', category: 'advertising',
+        src: /analytics\.tiktok\.com/i, inline: /ttq\.load/,
+        ids: /ttq\.load\(\s*['"]([A-Z0-9]+)['"]/g },
+    { id: 'hotjar', name: 'Hotjar', category: 'heatmap',
+        src: /static\.hotjar\.com\/c\/hotjar-(\d+)\.js/i, inline: /_hjSettings/,
+        ids: /hjid\s*:\s*(\d+)/g },
+    { id: 'clarity', name: 'Microsoft Clarity', category: 'heatmap',
+        src: /clarity\.ms\/tag\/([a-z0-9]+)/i, inline: /clarity\.ms\/tag/,
+        ids: /['"]clarity['"]\s*,\s*['"]script['"]\s*,\s*['"]([a-z0-9]+)['"]/g },
+    { id: 'cookiebot', name: 'Cookiebot', category: 'consent',
+        src: /consent\.cookiebot\.com\/uc\.js/i, idAttribute: 'data-cbid' },
+    { id: 'onetrust', name: 'OneTrust', category: 'consent',
+        src: /cdn\.cookielaw\.org|otSDKStub\.js/i, idAttribute: 'data-domain-script' },
+    { id: 'cookieyes', name: 'CookieYes', category: 'consent',
+        src: /cdn-cookieyes\.com\/client_data\/([a-z0-9]+)/i },
+    { id: 'usercentrics', name: 'Usercentrics', category: 'consent',
+        src: /usercentrics\.eu/i, idAttribute: 'data-settings-id' },
+    { id: 'complianz', name: 'Complianz', category: 'consent',
+        src: /complianz/i, selector: '#cmplz-cookiebanner-container, .cmplz-cookiebanner' },
+    { id: 'consent-mode', name: 'Google Consent Mode', category: 'consent',
+        inline: /gtag\(\s*['"]consent['"]\s*,\s*['"]default['"]/ },
+    { id: 'intercom', name: 'Intercom', category: 'chat',
+        src: /widget\.intercom\.io\/widget\/([a-z0-9]+)/i, inline: /intercomSettings/,
+        ids: /app_id\s*:\s*['"]([a-z0-9]+)['"]/g },
+    { id: 'hubspot', name: 'HubSpot', category: 'chat',
+        src: /js(?:-eu1)?\.hs-scripts\.com\/(\d+)\.js/i },
+    { id: 'tawk', name: 'Tawk.to', category: 'chat',
+        src: /embed\.tawk\.to\/([a-f0-9]+)/i, inline: /embed\.tawk\.to/,
+        ids: /embed\.tawk\.to\/([a-f0-9]+)/g },
+    { id: 'zendesk', name: 'Zendesk Chat', category: 'chat',
+        src: /static\.zdassets\.com\/ekr\/snippet\.js\?key=([a-z0-9-]+)/i },
+    { id: 'crisp', name: 'Crisp', category: 'chat',
+        src: /client\.crisp\.chat/i, inline: /CRISP_WEBSITE_ID/,
+        ids: /CRISP_WEBSITE_ID\s*=\s*['"]([a-z0-9-]+)['"]/g },
+    { id: 'livechat', name: 'LiveChat', category: 'chat',
+        src: /cdn\.livechatinc\.com/i, inline: /__lc\.license/,
+        ids: /__lc\.license\s*=\s*(\d+)/g },
+    { id: 'tidio', name: 'Tidio', category: 'chat',
+        src: /code\.tidio\.co\/([a-z0-9]+)\.js/i },
+    { id: 'trengo', name: 'Trengo', category: 'chat',
+        src: /static\.widget\.trengo\.eu/i, inline: /Trengo\.key/,
+        ids: /Trengo\.key\s*=\s*['"]([a-z0-9]+)['"]/gi }
+];
+
+const TAG_CATEGORIES = {
+    tagmanager: 'Tag Management',
+    analytics: 'Analytics',
+    advertising: 'Advertising',
+    heatmap: 'Heatmaps & Recordings',
+    consent: 'Cookie Consent',
+    chat: 'Chat'
+};
+
+// Robots directives: meta namen die als crawler-specifiek gelden en de directives die Google en Bing kennen
+const ROBOTS_META_NAMES = ['robots', 'googlebot', 'googlebot-news', 'googlebot-image', 'bingbot', 'msnbot', 'yandex', 'duckduckbot'];
+const ROBOTS_DIRECTIVES = ['all', 'index', 'noindex', 'follow', 'nofollow', 'none', 'noarchive', 'nocache', 'nosnippet',
+    'noimageindex', 'notranslate', 'indexifembedded', 'max-snippet', 'max-image-preview', 'max-video-preview', 'unavailable_after'];
+const IMAGE_PREVIEW_LEVELS = ['none', 'standard', 'large'];
+
+// Google zoekresultaat layout in pixels (benadering; desktop gebruikt Arial, Android Roboto)
+const SERP_LAYOUT = {
+    desktop: { titleFont: '20px Arial, sans-serif', titleWidth: 600, descriptionFont: '14px Arial, sans-serif', descriptionWidth: 920 },
+    mobile: { titleFont: '18px Roboto, Arial, sans-serif', titleWidth: 640, descriptionFont: '14px Roboto, Arial, sans-serif', descriptionWidth: 680 }
+};
+
+// Onderdelen van de SEO score; de gewichten per profiel staan in SCORING_PROFILES
+const SCORE_COMPONENTS = {
+    status: 'Status code',
+    title: 'Title',
+    h1: 'Eén H1',
+    headings: 'Heading structuur',
+    meta: 'Meta description',
+    images: 'Alt-text coverage',
+    canonical: 'Canonical',
+    links: 'Gebroken links',
+    url: 'URL structuur',
+    content: 'Hoeveelheid content',
+    readability: 'Leesbaarheid',
+    keywords: 'Zoekwoord in title en content',
+    mobile: 'Mobile-friendly',
+    performance: 'Performance budgets',
+    headers: 'HTTP headers',
+    structuredData: 'Structured data',
+    schemaType: 'Vereist schema type',
+    social: 'Open Graph'
+};
+
+const SEO_RULE_CATEGORIES = {
+    indexing: 'Indexering',
+    content: 'Content',
+    keywords: 'Zoekwoorden',
+    media: 'Afbeeldingen',
+    technical: 'Techniek',
+    mobile: 'Mobile',
+    performance: 'Performance',
+    tracking: 'Tracking',
+    international: 'Internationaal',
+    structured: 'Structured data',
+    social: 'Social media',
+    custom: 'Eigen regels'
+};
+
+const SEO_RULE_SEVERITIES = ['error', 'warning', 'notice'];
+
+// Issue regels: één definitie voor de top issues, issue tellingen, sitewide issues, exports en de score.
+// evaluate geeft false/0 (geen issue), true, een aantal of { count, severity, details } terug;
+// details zijn gewone strings of { nl, en } teksten, net als message.
+// Regels met een score sleutel bepalen samen of dat score onderdeel slaagt.
+const SEO_RULES = [
+    {
+        id: 'page-unreachable', severity: 'error', category: 'indexing', score: 'status',
+        evaluate: results => !results.status?.isSuccess &&
+            { count: 1, details: results.status?.statusCode ? [`HTTP ${results.status.statusCode} ${results.status.statusText || ''}`.trim()] : [] },
+        message: { nl: 'Pagina niet bereikbaar', en: 'Page not reachable' },
+        description: {
+            nl: 'De pagina geeft geen 2xx status code terug. Zoekmachines indexeren alleen pagina\'s die succesvol laden.',
+            en: 'The page does not return a 2xx status code. Search engines only index pages that load successfully.'
+        },
+        recommendations: {
+            nl: ['Controleer of de URL klopt en de server bereikbaar is', 'Stel een 301 redirect in als de pagina verplaatst is', 'Herstel serverfouten (5xx) in de logs'],
+            en: ['Check that the URL is correct and the server is reachable', 'Add a 301 redirect if the page has moved', 'Fix server errors (5xx) in the logs']
+        }
+    },
+    {
+        id: 'title-missing', severity: 'error', category: 'content', score: 'title',
+        evaluate: results => !results.title?.exists,
+        message: { nl: 'Title tag ontbreekt', en: 'Title tag missing' },
+        description: {
+            nl: 'De title tag is een van de belangrijkste SEO elementen. Het verschijnt in zoekresultaten en browser tabs. Zonder title tag kunnen zoekmachines je pagina niet goed indexeren.',
+            en: 'The title tag is one of the most important SEO elements. It appears in search results and browser tabs.'
+        },
+        recommendations: {
+            nl: ['Voeg een <title> tag toe in de <head> sectie van elke pagina', 'Gebruik unieke, beschrijvende titles voor elke pagina', 'Plaats belangrijke keywords aan het begin van de title'],
+            en: ['Add a <title> tag to the <head> of every page', 'Use a unique, descriptive title per page', 'Put important keywords at the start of the title']
+        }
+    },
+    {
+        id: 'title-length', severity: 'warning', category: 'content', score: 'title',
+        applies: results => !!results.title?.exists,
+        evaluate: (results, { thresholds }) => (results.title.length < thresholds.titleMin || results.title.length > thresholds.titleMax) &&
+            { count: 1, details: [{ nl: `${results.title.length} karakters`, en: `${results.title.length} characters` }] },
+        message: { nl: 'Title lengte niet optimaal', en: 'Title length not optimal' },
+        description: {
+            nl: ({ thresholds }) => `Title tags moeten tussen ${thresholds.titleMin}-${thresholds.titleMax} karakters lang zijn. Te kort en je mist kansen voor keywords, te lang en ze worden afgeknipt in zoekresultaten.`,
+            en: ({ thresholds }) => `Title tags should be ${thresholds.titleMin}-${thresholds.titleMax} characters long. Shorter titles miss keyword opportunities, longer ones get truncated.`
+        },
+        recommendations: {
+            nl: ({ thresholds }) => [`Houd titles tussen ${thresholds.titleMin}-${thresholds.titleMax} karakters lang`, 'Gebruik de belangrijkste keywords vooraan', 'Controleer de pixelbreedte in de SERP preview'],
+            en: ({ thresholds }) => [`Keep titles between ${thresholds.titleMin}-${thresholds.titleMax} characters`, 'Put the most important keywords first', 'Check the pixel width in the SERP preview']
+        }
+    },
+    {
+        id: 'h1-missing', severity: 'error', category: 'content', score: 'h1',
+        evaluate: results => results.h1?.count === 0,
+        message: { nl: 'H1 tag ontbreekt', en: 'H1 tag missing' },
+        description: {
+            nl: 'Elke pagina moet precies één H1 tag hebben die de hoofdinhoud beschrijft. Dit helpt zoekmachines begrijpen waar je pagina over gaat.',
+            en: 'Every page should have exactly one H1 that describes the main content.'
+        },
+        recommendations: {
+            nl: ['Voeg één H1 tag toe per pagina', 'Gebruik de H1 om de hoofdinhoud te beschrijven', 'Plaats relevante keywords in de H1'],
+            en: ['Add one H1 per page', 'Use the H1 to describe the main content', 'Include relevant keywords in the H1']
+        }
+    },
+    {
+        id: 'h1-multiple', severity: 'warning', category: 'content', score: 'h1',
+        evaluate: results => results.h1?.count > 1 && results.h1.count - 1,
+        message: { nl: 'Meerdere H1 tags', en: 'Multiple H1 tags' },
+        description: {
+            nl: 'Een pagina mag maar één H1 tag hebben. Meerdere H1 tags verwarren zoekmachines over de hoofdinhoud van je pagina.',
+            en: 'A page should have a single H1. Multiple H1 tags blur the main topic of the page.'
+        },
+        recommendations: {
+            nl: ['Gebruik slechts één H1 per pagina', 'Verander extra H1 tags naar H2, H3, etc.', 'Zorg dat de H1 de belangrijkste heading is'],
+            en: ['Use only one H1 per page', 'Change extra H1 tags to H2, H3, etc.', 'Make the H1 the most important heading']
+        }
+    },
+    {
+        id: 'headings-skipped', severity: 'warning', category: 'content', score: 'headings',
+        applies: results => !!results.headings,
+        evaluate: results => results.headings.skippedLevels.length,
+        message: { nl: 'Overgeslagen heading niveaus', en: 'Heading levels skipped' },
+        description: {
+            nl: 'Sprongen zoals H2 → H4 maken de structuur van de pagina onduidelijk voor zoekmachines en schermlezers.',
+            en: 'Jumps such as H2 → H4 make the page outline unclear for search engines and screen readers.'
+        },
+        recommendations: {
+            nl: ['Gebruik headings in volgorde (H2 onder H1, H3 onder H2)', 'Pas de opmaak aan met CSS in plaats van een ander heading niveau'],
+            en: ['Use headings in order (H2 under H1, H3 under H2)', 'Change styling with CSS instead of using another heading level']
+        }
+    },
+    {
+        id: 'headings-empty', severity: 'warning', category: 'content', score: 'headings',
+        applies: results => !!results.headings,
+        evaluate: results => results.headings.empty,
+        message: { nl: 'Lege headings', en: 'Empty headings' },
+        description: {
+            nl: 'Headings zonder tekst voegen niets toe aan de structuur en zijn vaak een overblijfsel van het thema of de page builder.',
+            en: 'Headings without text add nothing to the outline and are often left over from a theme or page builder.'
+        },
+        recommendations: {
+            nl: ['Verwijder lege heading tags of vul ze met beschrijvende tekst'],
+            en: ['Remove empty heading tags or give them descriptive text']
+        }
+    },
+    {
+        id: 'headings-hidden', severity: 'notice', category: 'content',
+        applies: results => !!results.headings,
+        evaluate: results => results.headings.hidden,
+        message: { nl: 'Verborgen headings', en: 'Hidden headings' },
+        description: {
+            nl: 'Headings die verborgen zijn voor bezoekers kunnen door zoekmachines als misleidend worden gezien.',
+            en: 'Headings hidden from visitors can be seen as misleading by search engines.'
+        },
+        recommendations: {
+            nl: ['Toon belangrijke headings zichtbaar op de pagina', 'Gebruik verborgen headings alleen voor toegankelijkheid (sr-only)'],
+            en: ['Show important headings visibly', 'Only use hidden headings for accessibility (sr-only)']
+        }
+    },
+    {
+        id: 'headings-duplicate', severity: 'notice', category: 'content',
+        applies: results => !!results.headings,
+        evaluate: results => results.headings.duplicates.length,
+        message: { nl: 'Dubbele headings', en: 'Duplicate headings' },
+        description: {
+            nl: 'Meerdere headings met dezelfde tekst maken het moeilijker om secties van elkaar te onderscheiden.',
+            en: 'Several headings with the same text make sections harder to tell apart.'
+        },
+        recommendations: {
+            nl: ['Maak elke heading uniek en beschrijvend voor de sectie eronder'],
+            en: ['Make every heading unique and descriptive for its section']
+        }
+    },
+    {
+        id: 'keyword-subheadings', severity: 'notice', category: 'keywords',
+        applies: results => !!results.headings,
+        evaluate: results => results.headings.keywordInSubheadings === false && results.headings.subheadings > 0,
+        message: { nl: 'Zoekwoord ontbreekt in subheadings', en: 'Keyword missing in subheadings' },
+        description: {
+            nl: 'Het zoekwoord komt in geen enkele H2-H6 voor. Subheadings helpen zoekmachines de onderwerpen van de pagina te begrijpen.',
+            en: 'The keyword does not appear in any H2-H6. Subheadings help search engines understand the topics on the page.'
+        },
+        recommendations: {
+            nl: ['Gebruik het zoekwoord of een synoniem in minimaal één subheading'],
+            en: ['Use the keyword or a synonym in at least one subheading']
+        }
+    },
+    {
+        id: 'thin-content', severity: 'warning', category: 'content', score: 'content',
+        applies: results => !!results.content,
+        evaluate: (results, { thresholds }) => results.content.wordCount < thresholds.minWords && {
+            count: 1,
+            severity: results.content.isMinimal ? 'error' : 'warning',
+            details: [{ nl: `${results.content.wordCount} woorden`, en: `${results.content.wordCount} words` }]
+        },
+        message: { nl: 'Dunne content', en: 'Thin content' },
+        description: {
+            nl: ({ thresholds }) => `De hoofdcontent bevat minder dan ${thresholds.minWords} woorden. Pagina's met weinig unieke tekst ranken moeilijker.`,
+            en: ({ thresholds }) => `The main content has fewer than ${thresholds.minWords} words. Pages with little unique text rank less easily.`
+        },
+        recommendations: {
+            nl: ['Breid de content uit met antwoorden op vragen van bezoekers', 'Voeg voorbeelden, details of een FAQ toe', 'Voeg zeer dunne pagina\'s samen met verwante pagina\'s'],
+            en: ['Expand the content with answers to visitor questions', 'Add examples, details or an FAQ', 'Merge very thin pages with related pages']
+        }
+    },
+    {
+        id: 'readability-low', severity: 'notice', category: 'content', score: 'readability',
+        applies: results => results.content?.readabilityScore !== null && results.content?.readabilityScore !== undefined,
+        evaluate: (results, { thresholds }) => results.content.readabilityScore < thresholds.minReadability &&
+            { count: 1, details: [`${results.content.readabilityScore} (${results.content.readabilityLevel})`] },
+        message: { nl: 'Lage leesbaarheid', en: 'Low readability' },
+        description: {
+            nl: ({ thresholds }) => `De leesbaarheidsscore ligt onder ${thresholds.minReadability}. Moeilijke tekst zorgt ervoor dat bezoekers sneller afhaken.`,
+            en: ({ thresholds }) => `The readability score is below ${thresholds.minReadability}. Difficult text makes visitors leave sooner.`
+        },
+        recommendations: {
+            nl: ['Schrijf kortere zinnen (maximaal 20 woorden)', 'Gebruik minder lange woorden en vakjargon', 'Deel lange alinea\'s op'],
+            en: ['Write shorter sentences (20 words max)', 'Use fewer long words and jargon', 'Split long paragraphs']
+        }
+    },
+    {
+        id: 'keyword-missing-title', severity: 'warning', category: 'keywords', score: 'keywords',
+        applies: results => results.keywords?.keywords?.length > 0,
+        evaluate: results => {
+            const missing = results.keywords.keywords.filter(keyword => !keyword.checks.find(check => check.id === 'title')?.found);
+            return missing.length > 0 && { count: missing.length, details: missing.map(keyword => keyword.keyword) };
+        },
+        message: { nl: 'Zoekwoord ontbreekt in title', en: 'Focus keyword missing in title' },
+        description: {
+            nl: 'Het zoekwoord staat niet in de title tag, terwijl de title het sterkste on-page signaal is voor het onderwerp.',
+            en: 'The keyword is not in the title tag, which is the strongest on-page topic signal.'
+        },
+        recommendations: {
+            nl: ['Verwerk het zoekwoord natuurlijk in de title, bij voorkeur vooraan'],
+            en: ['Work the keyword naturally into the title, preferably near the start']
+        }
+    },
+    {
+        id: 'keyword-missing-content', severity: 'warning', category: 'keywords', score: 'keywords',
+        applies: results => results.keywords?.keywords?.length > 0,
+        evaluate: results => {
+            const missing = results.keywords.keywords.filter(keyword => keyword.occurrences === 0);
+            return missing.length > 0 && { count: missing.length, details: missing.map(keyword => keyword.keyword) };
+        },
+        message: { nl: 'Zoekwoord niet gevonden in content', en: 'Focus keyword not found in content' },
+        description: {
+            nl: 'Het zoekwoord komt niet voor in de hoofdcontent van de pagina.',
+            en: 'The keyword does not appear in the main content of the page.'
+        },
+        recommendations: {
+            nl: ['Gebruik het zoekwoord in de eerste alinea en enkele keren in de tekst', 'Gebruik ook synoniemen en verwante termen'],
+            en: ['Use the keyword in the first paragraph and a few times in the text', 'Also use synonyms and related terms']
+        }
+    },
+    {
+        id: 'keyword-stuffing', severity: 'warning', category: 'keywords',
+        applies: results => results.keywords?.keywords?.length > 0,
+        evaluate: results => {
+            const stuffed = results.keywords.keywords.filter(keyword => keyword.isStuffed);
+            return stuffed.length > 0 && { count: stuffed.length, details: stuffed.map(keyword => `${keyword.keyword} (${keyword.density}%)`) };
+        },
+        message: { nl: 'Keyword stuffing', en: 'Keyword stuffing' },
+        description: {
+            nl: 'Het zoekwoord komt zo vaak voor dat het onnatuurlijk leest. Zoekmachines kunnen dit als spam zien.',
+            en: 'The keyword appears so often that it reads unnaturally. Search engines may treat this as spam.'
+        },
+        recommendations: {
+            nl: ['Verlaag de keyword dichtheid tot onder 3%', 'Vervang herhalingen door synoniemen'],
+            en: ['Lower the keyword density below 3%', 'Replace repetitions with synonyms']
+        }
+    },
+    {
+        id: 'meta-missing', severity: 'warning', category: 'content', score: 'meta',
+        evaluate: results => !results.meta?.exists,
+        message: { nl: 'Meta description ontbreekt', en: 'Meta description missing' },
+        description: {
+            nl: 'Meta descriptions verschijnen onder je titel in zoekresultaten. Ze beïnvloeden de click-through rate en geven gebruikers een preview van je content.',
+            en: 'Meta descriptions appear below the title in search results and influence the click-through rate.'
+        },
+        recommendations: {
+            nl: ['Voeg een meta description toe van 120-160 karakters', 'Maak het aantrekkelijk en actionable', 'Gebruik relevante keywords natuurlijk'],
+            en: ['Add a meta description of 120-160 characters', 'Make it compelling and actionable', 'Use relevant keywords naturally']
+        }
+    },
+    {
+        id: 'meta-length', severity: 'notice', category: 'content', score: 'meta',
+        applies: results => !!results.meta?.exists,
+        evaluate: (results, { thresholds }) => (results.meta.length < thresholds.metaMin || results.meta.length > thresholds.metaMax) &&
+            { count: 1, details: [{ nl: `${results.meta.length} karakters`, en: `${results.meta.length} characters` }] },
+        message: { nl: 'Meta description lengte niet optimaal', en: 'Meta description length not optimal' },
+        description: {
+            nl: ({ thresholds }) => `Meta descriptions korter dan ${thresholds.metaMin} karakters benutten de ruimte in zoekresultaten niet; langer dan ${thresholds.metaMax} karakters worden afgekort.`,
+            en: ({ thresholds }) => `Meta descriptions shorter than ${thresholds.metaMin} characters waste space in search results; longer than ${thresholds.metaMax} get truncated.`
+        },
+        recommendations: {
+            nl: ({ thresholds }) => [`Houd de meta description tussen ${thresholds.metaMin}-${thresholds.metaMax} karakters`, 'Zet de belangrijkste informatie en call-to-action vooraan'],
+            en: ({ thresholds }) => [`Keep the meta description between ${thresholds.metaMin}-${thresholds.metaMax} characters`, 'Put the key information and call to action first']
+        }
+    },
+    {
+        id: 'images-alt-coverage', severity: 'warning', category: 'media', score: 'images',
+        applies: results => !!results.images,
+        evaluate: (results, { thresholds }) => results.images.percentage < thresholds.imageAltCoverage &&
+            { count: results.images.withoutAlt, details: [{ nl: `${results.images.percentage}% met alt-text`, en: `${results.images.percentage}% with alt text` }] },
+        message: { nl: 'Te weinig afbeeldingen met alt-text', en: 'Too few images with alt text' },
+        description: {
+            nl: ({ thresholds }) => `Minder dan ${thresholds.imageAltCoverage}% van de afbeeldingen heeft een alt-text. Alt-text helpt zoekmachines en schermlezers de afbeelding te begrijpen.`,
+            en: ({ thresholds }) => `Less than ${thresholds.imageAltCoverage}% of the images have alt text, which helps search engines and screen readers.`
+        },
+        recommendations: {
+            nl: ['Geef elke inhoudelijke afbeelding een beschrijvende alt-text', 'Gebruik alt="" voor puur decoratieve afbeeldingen', 'Gebruik de Alt Text Generator voor suggesties'],
+            en: ['Give every meaningful image a descriptive alt text', 'Use alt="" for purely decorative images', 'Use the Alt Text Generator for suggestions']
+        }
+    },
+    {
+        id: 'images-missing-alt', severity: 'notice', category: 'media',
+        applies: results => !!results.images,
+        evaluate: (results, { thresholds }) => results.images.percentage >= thresholds.imageAltCoverage && results.images.withoutAlt,
+        message: { nl: 'Afbeeldingen zonder alt-text', en: 'Images without alt text' },
+        description: {
+            nl: 'Enkele afbeeldingen hebben geen alt attribuut.',
+            en: 'Some images have no alt attribute.'
+        },
+        recommendations: {
+            nl: ['Voeg een alt-text toe of gebruik alt="" voor decoratieve afbeeldingen'],
+            en: ['Add alt text or use alt="" for decorative images']
+        }
+    },
+    {
+        id: 'images-dimensions', severity: 'warning', category: 'media',
+        applies: results => !!results.images?.items,
+        evaluate: results => results.images.missingDimensions,
+        message: { nl: 'Afbeeldingen zonder width/height', en: 'Images without width/height' },
+        description: {
+            nl: 'Zonder afmetingen weet de browser niet hoeveel ruimte een afbeelding inneemt, wat layout shifts (CLS) veroorzaakt.',
+            en: 'Without dimensions the browser cannot reserve space for the image, causing layout shifts (CLS).'
+        },
+        recommendations: {
+            nl: ['Voeg width en height attributen toe aan elke <img>', 'Of gebruik CSS aspect-ratio'],
+            en: ['Add width and height attributes to every <img>', 'Or use CSS aspect-ratio']
+        }
+    },
+    {
+        id: 'images-oversized', severity: 'warning', category: 'media',
+        applies: results => !!results.images?.items,
+        evaluate: results => results.images.largeFiles + results.images.missingSrcset,
+        message: { nl: 'Te grote afbeeldingen', en: 'Oversized images' },
+        description: {
+            nl: 'Grote bestanden of afbeeldingen zonder srcset vertragen het laden, vooral op mobiel.',
+            en: 'Large files or images without srcset slow down loading, especially on mobile.'
+        },
+        recommendations: {
+            nl: ['Comprimeer afbeeldingen en schaal ze naar de getoonde grootte', 'Bied kleinere varianten aan via srcset en sizes'],
+            en: ['Compress images and scale them to their display size', 'Offer smaller variants via srcset and sizes']
+        }
+    },
+    {
+        id: 'images-legacy-format', severity: 'notice', category: 'media',
+        applies: results => !!results.images?.items,
+        evaluate: results => results.images.legacyFormat,
+        message: { nl: 'Afbeeldingen niet in WebP/AVIF', en: 'Images not in WebP/AVIF' },
+        description: {
+            nl: 'JPEG en PNG zijn meestal 25-50% groter dan WebP of AVIF bij dezelfde kwaliteit.',
+            en: 'JPEG and PNG are usually 25-50% larger than WebP or AVIF at the same quality.'
+        },
+        recommendations: {
+            nl: ['Lever afbeeldingen als WebP of AVIF, eventueel via <picture> met een fallback'],
+            en: ['Serve images as WebP or AVIF, optionally via <picture> with a fallback']
+        }
+    },
+    {
+        id: 'images-lazy-loading', severity: 'notice', category: 'media',
+        applies: results => !!results.images?.items,
+        evaluate: results => results.images.missingLazy + results.images.lazyAboveFold,
+        message: { nl: 'Lazy loading niet optimaal', en: 'Image lazy loading not optimal' },
+        description: {
+            nl: 'Afbeeldingen onder de vouw horen lazy te laden, de eerste afbeeldingen juist niet omdat dat de LCP vertraagt.',
+            en: 'Images below the fold should lazy load, the first images should not because that delays LCP.'
+        },
+        recommendations: {
+            nl: ['Gebruik loading="lazy" voor afbeeldingen onder de vouw', 'Verwijder loading="lazy" van de hero afbeelding'],
+            en: ['Use loading="lazy" for images below the fold', 'Remove loading="lazy" from the hero image']
+        }
+    },
+    {
+        id: 'images-naming', severity: 'notice', category: 'media',
+        applies: results => !!results.images?.items,
+        evaluate: results => results.images.decorativeWithAlt + results.images.poorFilenames,
+        message: { nl: 'Decoratieve alt-text of camera bestandsnamen', en: 'Decorative alt text or camera filenames' },
+        description: {
+            nl: 'Decoratieve afbeeldingen met alt-text zorgen voor ruis bij schermlezers; namen als IMG_1234.jpg zeggen niets over de afbeelding.',
+            en: 'Decorative images with alt text add noise for screen readers; names like IMG_1234.jpg say nothing about the image.'
+        },
+        recommendations: {
+            nl: ['Gebruik alt="" voor decoratieve afbeeldingen', 'Geef bestanden beschrijvende namen zoals rode-fiets.jpg'],
+            en: ['Use alt="" for decorative images', 'Give files descriptive names such as red-bike.jpg']
+        }
+    },
+    {
+        id: 'canonical-missing', severity: 'notice', category: 'indexing', score: 'canonical',
+        evaluate: results => !results.canonical?.exists,
+        message: { nl: 'Canonical URL ontbreekt', en: 'Canonical URL missing' },
+        description: {
+            nl: 'Zonder canonical kiest de zoekmachine zelf welke variant van de URL (met parameters, www, trailing slash) geïndexeerd wordt.',
+            en: 'Without a canonical the search engine picks which URL variant gets indexed.'
+        },
+        recommendations: {
+            nl: ['Voeg <link rel="canonical"> met de absolute URL van de pagina toe aan de <head>'],
+            en: ['Add <link rel="canonical"> with the absolute page URL to the <head>']
+        }
+    },
+    {
+        id: 'canonical-invalid', severity: 'error', category: 'indexing', score: 'canonical',
+        applies: results => !!results.canonical?.exists,
+        evaluate: results => (results.canonical.errors?.length > 0 || !results.canonical.isValid) &&
+            { count: results.canonical.errors?.length || 1, details: results.canonical.errors || [] },
+        message: { nl: 'Canonical problemen', en: 'Canonical problems' },
+        description: {
+            nl: 'De canonical is ongeldig, tegenstrijdig of verwijst naar een URL die niet geïndexeerd kan worden.',
+            en: 'The canonical is invalid, conflicting or points to a URL that cannot be indexed.'
+        },
+        recommendations: {
+            nl: ['Gebruik één absolute canonical per pagina', 'Laat de canonical verwijzen naar een 200 pagina zonder redirect of noindex'],
+            en: ['Use one absolute canonical per page', 'Point the canonical to a 200 page without redirect or noindex']
+        }
+    },
+    {
+        id: 'broken-links', severity: 'error', category: 'technical', score: 'links',
+        applies: results => !!results.links,
+        evaluate: (results, { thresholds }) => results.links.broken > thresholds.maxBrokenLinks && results.links.broken,
+        message: { nl: 'Gebroken links gevonden', en: 'Broken links found' },
+        description: {
+            nl: 'Links naar pagina\'s die niet bestaan zijn slecht voor de gebruikerservaring en verspillen crawl budget.',
+            en: 'Links to pages that do not exist hurt the user experience and waste crawl budget.'
+        },
+        recommendations: {
+            nl: ['Herstel of verwijder de gebroken links', 'Stel redirects in voor verplaatste pagina\'s'],
+            en: ['Fix or remove the broken links', 'Add redirects for moved pages']
+        }
+    },
+    {
+        id: 'url-structure', severity: 'notice', category: 'technical', score: 'url',
+        applies: results => !!results.urlStructure,
+        evaluate: results => !(results.urlStructure.isShort && results.urlStructure.isReadable) && {
+            count: 1,
+            details: [
+                !results.urlStructure.isShort && { nl: `${results.urlStructure.length} karakters`, en: `${results.urlStructure.length} characters` },
+                !results.urlStructure.isReadable && { nl: 'speciale tekens in het pad', en: 'special characters in the path' }
+            ].filter(Boolean)
+        },
+        message: { nl: 'URL structuur niet optimaal', en: 'URL structure not optimal' },
+        description: {
+            nl: 'Korte, leesbare URLs zijn duidelijker voor bezoekers en zoekmachines.',
+            en: 'Short, readable URLs are clearer for visitors and search engines.'
+        },
+        recommendations: {
+            nl: ['Houd URLs korter dan 100 karakters', 'Gebruik kleine letters, cijfers en koppeltekens'],
+            en: ['Keep URLs under 100 characters', 'Use lowercase letters, digits and hyphens']
+        }
+    },
+    {
+        id: 'robots-txt-blocked', severity: 'error', category: 'indexing',
+        evaluate: results => !!results.robots?.blocked,
+        message: { nl: 'Geblokkeerd door robots.txt', en: 'Blocked by robots.txt' },
+        description: {
+            nl: 'Robots.txt verbiedt crawlers deze pagina te bezoeken, waardoor de inhoud niet gelezen wordt.',
+            en: 'Robots.txt disallows crawlers from visiting this page, so its content is not read.'
+        },
+        recommendations: {
+            nl: ['Controleer de Disallow regels in robots.txt', 'Gebruik noindex in plaats van robots.txt om pagina\'s uit de index te houden'],
+            en: ['Check the Disallow rules in robots.txt', 'Use noindex instead of robots.txt to keep pages out of the index']
+        }
+    },
+    {
+        id: 'noindex', severity: 'error', category: 'indexing',
+        evaluate: results => !!results.robotsDirectives?.noindex,
+        message: { nl: 'Pagina staat op noindex', en: 'Page set to noindex' },
+        description: {
+            nl: 'Een robots meta tag of X-Robots-Tag header vraagt zoekmachines deze pagina niet te indexeren.',
+            en: 'A robots meta tag or X-Robots-Tag header asks search engines not to index this page.'
+        },
+        recommendations: {
+            nl: ['Verwijder noindex als de pagina in Google moet verschijnen', 'Controleer ook crawler-specifieke tags en de X-Robots-Tag header'],
+            en: ['Remove noindex if the page should appear in Google', 'Also check crawler-specific tags and the X-Robots-Tag header']
+        }
+    },
+    {
+        id: 'robots-conflicts', severity: 'warning', category: 'indexing',
+        applies: results => !!results.robotsDirectives,
+        evaluate: results => results.robotsDirectives.conflicts.length > 0 &&
+            { count: results.robotsDirectives.conflicts.length, details: results.robotsDirectives.conflicts },
+        message: { nl: 'Tegenstrijdige robots directives', en: 'Conflicting robots directives' },
+        description: {
+            nl: 'Meta tags en headers geven tegenstrijdige instructies; zoekmachines volgen dan de meest restrictieve.',
+            en: 'Meta tags and headers give conflicting instructions; search engines follow the most restrictive one.'
+        },
+        recommendations: {
+            nl: ['Gebruik één bron (meta tag of header) voor robots directives', 'Verwijder dubbele robots meta tags'],
+            en: ['Use one source (meta tag or header) for robots directives', 'Remove duplicate robots meta tags']
+        }
+    },
+    {
+        id: 'open-graph-missing', severity: 'warning', category: 'social', score: 'social',
+        applies: results => !!results.social,
+        evaluate: results => !results.social.hasOpenGraph,
+        message: { nl: 'Open Graph tags ontbreken', en: 'Open Graph tags missing' },
+        description: {
+            nl: 'Zonder Open Graph tags bepalen Facebook, LinkedIn en WhatsApp zelf welke titel en afbeelding getoond worden.',
+            en: 'Without Open Graph tags social networks decide which title and image to show.'
+        },
+        recommendations: {
+            nl: ['Voeg og:title, og:description, og:image en og:url toe'],
+            en: ['Add og:title, og:description, og:image and og:url']
+        }
+    },
+    {
+        id: 'viewport-missing', severity: 'error', category: 'mobile', score: 'mobile',
+        applies: results => !!results.mobile,
+        evaluate: results => !results.mobile.viewport.exists,
+        message: { nl: 'Viewport meta tag ontbreekt', en: 'Viewport meta tag missing' },
+        description: {
+            nl: 'Zonder viewport meta tag tonen mobiele browsers de desktop weergave verkleind.',
+            en: 'Without a viewport meta tag mobile browsers show a scaled-down desktop layout.'
+        },
+        recommendations: {
+            nl: ['Voeg <meta name="viewport" content="width=device-width, initial-scale=1"> toe'],
+            en: ['Add <meta name="viewport" content="width=device-width, initial-scale=1">']
+        }
+    },
+    {
+        id: 'viewport-invalid', severity: 'warning', category: 'mobile', score: 'mobile',
+        applies: results => !!results.mobile?.viewport.exists,
+        evaluate: results => !results.mobile.viewport.isValid && {
+            count: 1,
+            details: [
+                !results.mobile.viewport.deviceWidth && { nl: 'width=device-width ontbreekt', en: 'width=device-width missing' },
+                results.mobile.viewport.zoomDisabled && { nl: 'zoomen uitgeschakeld', en: 'zoom disabled' }
+            ].filter(Boolean)
+        },
+        message: { nl: 'Viewport niet correct ingesteld', en: 'Viewport not configured correctly' },
+        description: {
+            nl: 'De viewport gebruikt geen width=device-width of schakelt zoomen uit, wat slecht is voor mobiele bezoekers en toegankelijkheid.',
+            en: 'The viewport does not use width=device-width or disables zooming, which hurts mobile visitors and accessibility.'
+        },
+        recommendations: {
+            nl: ['Gebruik width=device-width, initial-scale=1', 'Verwijder user-scalable=no en een maximum-scale kleiner dan 2'],
+            en: ['Use width=device-width, initial-scale=1', 'Remove user-scalable=no and a maximum-scale below 2']
+        }
+    },
+    {
+        id: 'fixed-width-elements', severity: 'warning', category: 'mobile', score: 'mobile',
+        applies: results => !!results.mobile,
+        evaluate: results => results.mobile.fixedWidthElements.length,
+        message: { nl: 'Elementen met vaste breedte', en: 'Fixed-width elements' },
+        description: {
+            nl: 'Elementen breder dan een smartphone scherm zorgen voor horizontaal scrollen.',
+            en: 'Elements wider than a phone screen cause horizontal scrolling.'
+        },
+        recommendations: {
+            nl: ['Gebruik max-width: 100% of relatieve breedtes in plaats van vaste pixels'],
+            en: ['Use max-width: 100% or relative widths instead of fixed pixels']
+        }
+    },
+    {
+        id: 'small-fonts', severity: 'notice', category: 'mobile',
+        applies: results => !!results.mobile,
+        evaluate: results => results.mobile.smallFonts.length,
+        message: { nl: 'Kleine lettergroottes', en: 'Small font sizes' },
+        description: {
+            nl: 'Tekst kleiner dan 12px is op mobiel moeilijk leesbaar.',
+            en: 'Text smaller than 12px is hard to read on mobile.'
+        },
+        recommendations: {
+            nl: ['Gebruik minimaal 16px voor lopende tekst'],
+            en: ['Use at least 16px for body text']
+        }
+    },
+    {
+        id: 'small-tap-targets', severity: 'notice', category: 'mobile',
+        applies: results => !!results.mobile,
+        evaluate: results => results.mobile.smallTapTargets + results.mobile.denseLinkGroups,
+        message: { nl: 'Kleine of te dicht op elkaar staande tap targets', en: 'Small or crowded tap targets' },
+        description: {
+            nl: 'Knoppen en links die te klein zijn of te dicht op elkaar staan zijn lastig aan te tikken.',
+            en: 'Buttons and links that are too small or too close together are hard to tap.'
+        },
+        recommendations: {
+            nl: ['Maak tap targets minimaal 48x48px met ruimte ertussen'],
+            en: ['Make tap targets at least 48x48px with space between them']
+        }
+    },
+    {
+        id: 'page-weight-budget', severity: 'warning', category: 'performance', score: 'performance',
+        applies: results => results.performance?.measured > 0,
+        evaluate: results => {
+            const exceeded = results.performance.budgets.filter(budget => budget.exceeded);
+            return exceeded.length > 0 && { count: exceeded.length, details: exceeded.map(budget => budget.label) };
+        },
+        message: { nl: 'Pagina boven budget', en: 'Page weight over budget' },
+        description: {
+            nl: 'De pagina laadt meer bytes of requests dan de ingestelde performance budgets.',
+            en: 'The page loads more bytes or requests than the configured performance budgets.'
+        },
+        recommendations: {
+            nl: ['Verwijder ongebruikte scripts en CSS', 'Comprimeer afbeeldingen en fonts', 'Laad third-party scripts alleen waar nodig'],
+            en: ['Remove unused scripts and CSS', 'Compress images and fonts', 'Only load third-party scripts where needed']
+        }
+    },
+    {
+        id: 'render-blocking', severity: 'notice', category: 'performance',
+        applies: results => !!results.performance,
+        evaluate: results => results.performance.renderBlocking.length,
+        message: { nl: 'Render-blocking resources', en: 'Render-blocking resources' },
+        description: {
+            nl: 'Scripts en stylesheets in de <head> zonder async/defer blokkeren het eerste scherm.',
+            en: 'Scripts and stylesheets in the <head> without async/defer block the first render.'
+        },
+        recommendations: {
+            nl: ['Gebruik defer of async voor scripts', 'Inline kritieke CSS en laad de rest later'],
+            en: ['Use defer or async for scripts', 'Inline critical CSS and load the rest later']
+        }
+    },
+    {
+        id: 'tags-duplicate', severity: 'warning', category: 'tracking',
+        applies: results => !!results.tags,
+        evaluate: results => results.tags.duplicates > 0 &&
+            { count: results.tags.duplicates, details: results.tags.tags.filter(tag => tag.duplicate).map(tag => tag.name) },
+        message: { nl: 'Dubbele tracking tags', en: 'Duplicate tracking tags' },
+        description: {
+            nl: 'Een tag die meerdere keren geladen of geïnitialiseerd wordt telt pageviews en conversies dubbel.',
+            en: 'A tag that is loaded or initialised more than once double counts pageviews and conversions.'
+        },
+        recommendations: {
+            nl: ['Laad elke tag maar één keer, bij voorkeur via Google Tag Manager'],
+            en: ['Load each tag only once, preferably via Google Tag Manager']
+        }
+    },
+    {
+        id: 'tags-installation', severity: 'notice', category: 'tracking',
+        applies: results => !!results.tags,
+        evaluate: results => results.tags.issues - results.tags.tags.filter(tag => tag.duplicate).length,
+        message: { nl: 'Problemen met tag installatie', en: 'Tag installation problems' },
+        description: {
+            nl: 'Tags missen onderdelen (zoals een config call of noscript fallback) of gebruiken een verouderde versie.',
+            en: 'Tags are missing parts (such as a config call or noscript fallback) or use a deprecated version.'
+        },
+        recommendations: {
+            nl: ['Volg de installatie-instructies van de leverancier', 'Vervang verouderde tags (bijv. Universal Analytics)'],
+            en: ['Follow the vendor installation instructions', 'Replace deprecated tags (e.g. Universal Analytics)']
+        }
+    },
+    {
+        id: 'tracking-without-consent', severity: 'warning', category: 'tracking',
+        applies: results => !!results.tags,
+        evaluate: results => results.tags.warnings.length > 0 && { count: 1, details: results.tags.warnings },
+        message: { nl: 'Tracking zonder cookie consent', en: 'Tracking without cookie consent' },
+        description: {
+            nl: 'Er worden tracking tags geladen zonder (of vóór) een cookie consent oplossing.',
+            en: 'Tracking tags are loaded without (or before) a cookie consent solution.'
+        },
+        recommendations: {
+            nl: ['Laad tracking pas na toestemming, bijv. via Consent Mode of de CMP'],
+            en: ['Only load tracking after consent, e.g. via Consent Mode or the CMP']
+        }
+    },
+    {
+        id: 'security-headers', severity: 'warning', category: 'technical', score: 'headers',
+        applies: results => !!results.headers?.available,
+        evaluate: results => results.headers.failures > 0 &&
+            { count: results.headers.failures, details: results.headers.checks.filter(check => check.status === 'error').map(check => check.label) },
+        message: { nl: 'Ontbrekende of foute HTTP headers', en: 'Missing security headers' },
+        description: {
+            nl: 'Belangrijke security headers zoals HSTS of X-Content-Type-Options ontbreken of zijn fout ingesteld.',
+            en: 'Important security headers such as HSTS or X-Content-Type-Options are missing or misconfigured.'
+        },
+        recommendations: {
+            nl: ['Stel de ontbrekende headers in op de server of CDN', 'Controleer de uitleg per header in de HTTP Headers sectie'],
+            en: ['Configure the missing headers on the server or CDN', 'Check the explanation per header in the HTTP Headers section']
+        }
+    },
+    {
+        id: 'hreflang-errors', severity: 'error', category: 'international',
+        applies: results => !!results.hreflang,
+        evaluate: results => results.hreflang.errors.length > 0 &&
+            { count: results.hreflang.errors.length, details: results.hreflang.errors },
+        message: { nl: 'hreflang fouten', en: 'hreflang errors' },
+        description: {
+            nl: 'Ongeldige of onvolledige hreflang annotaties worden door zoekmachines genegeerd.',
+            en: 'Invalid or incomplete hreflang annotations are ignored by search engines.'
+        },
+        recommendations: {
+            nl: ['Gebruik ISO 639-1 taalcodes en ISO 3166-1 regiocodes', 'Voeg een self-referencing hreflang toe', 'Zorg voor wederzijdse return links'],
+            en: ['Use ISO 639-1 language and ISO 3166-1 region codes', 'Add a self-referencing hreflang', 'Make sure alternates link back']
+        }
+    },
+    {
+        id: 'html-lang-mismatch', severity: 'warning', category: 'international',
+        applies: results => !!results.hreflang,
+        evaluate: results => results.hreflang.langMatches === false,
+        message: { nl: 'HTML lang komt niet overeen met de taal van de content', en: 'HTML lang does not match content language' },
+        description: {
+            nl: 'Het lang attribuut op <html> wijkt af van de gedetecteerde taal van de tekst.',
+            en: 'The lang attribute on <html> differs from the detected language of the text.'
+        },
+        recommendations: {
+            nl: ['Pas <html lang> aan naar de taal van de content'],
+            en: ['Set <html lang> to the language of the content']
+        }
+    },
+    {
+        id: 'structured-data-missing', severity: 'notice', category: 'structured', score: 'structuredData',
+        applies: results => !!results.structuredData,
+        evaluate: results => !results.structuredData.exists,
+        message: { nl: 'Structured data ontbreekt', en: 'Structured data missing' },
+        description: {
+            nl: 'Zonder structured data komt de pagina niet in aanmerking voor rich results zoals sterren, prijzen of FAQ\'s.',
+            en: 'Without structured data the page is not eligible for rich results such as stars, prices or FAQs.'
+        },
+        recommendations: {
+            nl: ['Voeg JSON-LD toe met het passende schema.org type (Organization, Product, Article, ...)'],
+            en: ['Add JSON-LD with the matching schema.org type (Organization, Product, Article, ...)']
+        }
+    },
+    {
+        id: 'structured-data-errors', severity: 'error', category: 'structured', score: 'structuredData',
+        applies: results => !!results.structuredData?.exists,
+        evaluate: results => results.structuredData.errors,
+        message: { nl: 'Fouten in structured data', en: 'Structured data errors' },
+        description: {
+            nl: 'Verplichte eigenschappen ontbreken of de JSON-LD kan niet gelezen worden, waardoor rich results niet getoond worden.',
+            en: 'Required properties are missing or the JSON-LD cannot be parsed, so rich results are not shown.'
+        },
+        recommendations: {
+            nl: ['Vul de ontbrekende verplichte eigenschappen aan', 'Test de pagina in de Google Rich Results Test'],
+            en: ['Add the missing required properties', 'Test the page in the Google Rich Results Test']
+        }
+    },
+    {
+        id: 'schema-type-missing', severity: 'warning', category: 'structured', score: 'schemaType',
+        applies: (results, { thresholds }) => !!results.structuredData && !!thresholds.requiredSchema,
+        evaluate: (results, { thresholds }) => !results.structuredData.items.some(item =>
+            item.type === thresholds.requiredSchema || STRUCTURED_DATA_SUBTYPES[item.type] === thresholds.requiredSchema) &&
+            { count: 1, details: [thresholds.requiredSchema] },
+        message: { nl: 'Vereist schema type ontbreekt', en: 'Required schema type missing' },
+        description: {
+            nl: ({ thresholds }) => `Het scoreprofiel verwacht structured data van het type ${thresholds.requiredSchema || '-'} op deze pagina.`,
+            en: ({ thresholds }) => `The scoring profile expects structured data of type ${thresholds.requiredSchema || '-'} on this page.`
+        },
+        recommendations: {
+            nl: ({ thresholds }) => [`Voeg een ${thresholds.requiredSchema || 'passend'} schema toe in JSON-LD`],
+            en: ({ thresholds }) => [`Add a ${thresholds.requiredSchema || 'matching'} schema in JSON-LD`]
+        }
+    }
+];
+
+const SCORE_THRESHOLD_LABELS = {
+    titleMin: 'Title minimaal (karakters)',
+    titleMax: 'Title maximaal (karakters)',
+    metaMin: 'Meta description minimaal (karakters)',
+    metaMax: 'Meta description maximaal (karakters)',
+    imageAltCoverage: 'Alt-text coverage (%)',
+    maxBrokenLinks: 'Maximaal gebroken links',
+    minWords: 'Minimaal aantal woorden',
+    minReadability: 'Minimale leesbaarheidsscore',
+    requiredSchema: 'Vereist schema type'
+};
+
+// Instellingen van de request scheduler zoals ze in het Verbinding venster staan
+const SCHEDULER_SETTING_LABELS = {
+    concurrency: 'Gelijktijdige verzoeken (totaal)',
+    perHostConcurrency: 'Gelijktijdige verzoeken per host',
+    minDelay: 'Minimale pauze per host (ms)',
+    maxRetries: 'Herhalingen bij 429/503',
+    budget: 'Budget per crawl (0 = onbeperkt)'
+};
+
+// Scoreprofielen: gewicht 0 betekent dat de check niet meetelt
+const SCORING_PROFILES = {
+    default: {
+        name: 'Standaard',
+        weights: {
+            status: 15, title: 15, h1: 10, headings: 0, meta: 15, images: 10, canonical: 10, links: 10, url: 15,
+            content: 10, readability: 0, keywords: 0, mobile: 10, performance: 10, headers: 10, structuredData: 10, schemaType: 0, social: 0
+        },
+        thresholds: {
+            titleMin: 30, titleMax: 60, metaMin: 120, metaMax: 160, imageAltCoverage: 80, maxBrokenLinks: 0,
+            minWords: CONTENT_QUALITY_THRESHOLDS.thinContent, minReadability: 50, requiredSchema: ''
+        }
+    },
+    ecommerce: {
+        name: 'E-commerce',
+        weights: {
+            status: 15, title: 15, h1: 10, headings: 0, meta: 10, images: 15, canonical: 15, links: 10, url: 10,
+            content: 5, readability: 0, keywords: 5, mobile: 15, performance: 15, headers: 5, structuredData: 10, schemaType: 15, social: 5
+        },
+        thresholds: {
+            titleMin: 30, titleMax: 60, metaMin: 120, metaMax: 160, imageAltCoverage: 95, maxBrokenLinks: 0,
+            minWords: 150, minReadability: 40, requiredSchema: 'Product'
+        }
+    },
+    blog: {
+        name: 'Blog',
+        weights: {
+            status: 15, title: 15, h1: 10, headings: 10, meta: 15, images: 5, canonical: 10, links: 5, url: 10,
+            content: 20, readability: 15, keywords: 10, mobile: 10, performance: 5, headers: 0, structuredData: 5, schemaType: 10, social: 10
+        },
+        thresholds: {
+            titleMin: 30, titleMax: 60, metaMin: 120, metaMax: 160, imageAltCoverage: 80, maxBrokenLinks: 0,
+            minWords: 800, minReadability: 60, requiredSchema: 'Article'
+        }
+    },
+    local: {
+        name: 'Lokaal bedrijf',
+        weights: {
+            status: 15, title: 15, h1: 10, headings: 0, meta: 15, images: 5, canonical: 5, links: 10, url: 5,
+            content: 5, readability: 0, keywords: 10, mobile: 20, performance: 10, headers: 0, structuredData: 10, schemaType: 20, social: 5
+        },
+        thresholds: {
+            titleMin: 30, titleMax: 60, metaMin: 120, metaMax: 160, imageAltCoverage: 80, maxBrokenLinks: 0,
+            minWords: 200, minReadability: 50, requiredSchema: 'LocalBusiness'
+        }
+    }
+};
+
 class SEOChecker {
     constructor() {
         this.results = {};
+        this.resultsProfileId = undefined; // Scoreprofiel van de getoonde resultaten (undefined = actief profiel)
         this.keyword = '';
+        this.language = 'nl';
         this.cache = new Map(); // Add caching for better performance
         this.cacheExpiry = 5 * 60 * 1000; // 5 minutes cache
+        this.linkStatusCache = new Map();
+        this.linkCheckConcurrency = 6;
+        this.linkCheckTimeout = 10000;
+        this.maxRedirectHops = 10;
+        this.maxResourceChecks = 60;
+        this.performanceBudgets = this.loadPerformanceBudgets();
     }
 
     async analyzeWebsite(url, keyword = '') {
@@ -24,22 +1083,39 @@ class SEOChecker {
         }
         
         try {
-            const response = await this.fetchWithCORS(url);
-            const html = await response.text();
+            const response = await requestScheduler.fetch(url);
+            const html = response.body || '';
             const parser = new DOMParser();
             const doc = parser.parseFromString(html, 'text/html');
+            const contentBlocks = this.extractMainContent(doc);
+            const languageInfo = this.resolveLanguage(doc, contentBlocks);
+            this.language = languageInfo.language;
+
+            const images = await this.analyzeImages(doc, url);
 
             this.results = {
                 url: url,
                 keyword: keyword,
                 status: await this.checkStatus(response),
+                headers: this.analyzeHeaders(response.headers, url),
+                robotsDirectives: this.analyzeRobotsDirectives(doc, response.headers),
                 title: this.analyzeTitle(doc),
-                h1: this.analyzeH1(doc),
+                h1: this.analyzeH1(doc, this.keyword),
+                headings: this.analyzeHeadings(doc, this.keyword),
                 meta: this.analyzeMeta(doc),
-                images: this.analyzeImages(doc),
-                canonical: this.analyzeCanonical(doc, url),
+                content: this.analyzeContent(contentBlocks, languageInfo),
+                keywords: keywordAnalyzer.analyze(doc, url, keyword, this.language, contentBlocks),
+                images: images,
+                mobile: this.analyzeMobile(doc),
+                performance: await this.analyzeResources(doc, url, html, images),
+                tags: this.analyzeTags(doc),
+                canonical: await this.analyzeCanonical(doc, url, response.headers),
                 links: await this.analyzeLinks(doc, url),
-                urlStructure: this.analyzeURL(url)
+                urlStructure: this.analyzeURL(url),
+                structuredData: this.analyzeStructuredData(doc),
+                social: await this.analyzeSocial(doc, url),
+                hreflang: await this.analyzeHreflang(doc, url, response.headers, languageInfo),
+                robots: await this.analyzeRobots(url)
             };
 
             // Cache the results
@@ -64,101 +1140,404 @@ class SEOChecker {
         }
     }
 
-    async fetchWithCORS(url) {
-        // Probeer eerst directe toegang
-        try {
-            const response = await fetch(url, { 
-                mode: 'cors',
-                headers: {
-                    'User-Agent': 'SEO-MAX-Bot/1.0'
-                }
-            });
-            if (response.ok) {
-                return response;
+    async checkStatus(response) {
+        const status = response.status;
+        const headerDirectives = this.getHeaderRobotsDirectives(response.headers);
+        
+        return {
+            statusCode: status,
+            statusText: response.statusText || '',
+            isSuccess: status >= 200 && status < 300,
+            finalUrl: response.url || null,
+            redirectChain: response.redirectChain || [],
+            timing: response.timing || null,
+            size: response.size ?? null,
+            noindex: !headerDirectives.index,
+            nofollow: !headerDirectives.follow
+        };
+    }
+
+    // Effectieve X-Robots-Tag directives voor Google (algemeen en googlebot)
+    getHeaderRobotsDirectives(headers) {
+        return this.mergeRobotsDirectives(
+            this.parseRobotsDirectives(headers?.get?.('x-robots-tag') || '', 'header')
+                .filter(group => group.bot === 'all' || group.bot === 'googlebot')
+        );
+    }
+
+    // Alle robots meta tags en de X-Robots-Tag header, met de effectieve directives per crawler
+    analyzeRobotsDirectives(doc, headers) {
+        const groups = [];
+        doc.querySelectorAll('meta[name]').forEach(meta => {
+            const name = meta.getAttribute('name').trim().toLowerCase();
+            if (!ROBOTS_META_NAMES.includes(name)) return;
+            const bot = name === 'robots' ? 'all' : name;
+            groups.push(...this.parseRobotsDirectives(meta.getAttribute('content') || '', 'meta', bot));
+        });
+        const headerValue = headers?.get?.('x-robots-tag') || '';
+        if (headerValue) groups.push(...this.parseRobotsDirectives(headerValue, 'header'));
+
+        const bots = [...new Set(['googlebot', 'bingbot', ...groups.map(group => group.bot).filter(bot => bot !== 'all')])];
+        const crawlers = {};
+        const conflicts = [];
+        const warnings = [];
+
+        // Conflicten in de algemene directives één keer melden, per crawler alleen wat er bij komt
+        const genericConflicts = this.findRobotsConflicts(groups.filter(group => group.bot === 'all'));
+        const generic = this.mergeRobotsDirectives(groups.filter(group => group.bot === 'all'));
+        genericConflicts.forEach(conflict => conflicts.push(`alle crawlers: ${conflict.message}`));
+
+        bots.forEach(bot => {
+            const applicable = groups.filter(group => group.bot === 'all' || group.bot === bot);
+            crawlers[bot] = this.mergeRobotsDirectives(applicable);
+
+            // Een crawler-specifieke tag kan een algemene noindex niet opheffen
+            const specificIndex = groups.some(group => group.bot === bot && group.directives.includes('index'));
+            this.findRobotsConflicts(applicable)
+                .filter(conflict => !genericConflicts.some(generic => generic.id === conflict.id))
+                .forEach(conflict => conflicts.push(conflict.id === 'index' && specificIndex && !generic.index
+                    ? `${bot}: "index" heft de algemene noindex niet op`
+                    : `${bot}: ${conflict.message}`));
+        });
+        crawlers.all = generic;
+
+        const metaRobotsCount = groups.filter(group => group.source === 'meta' && group.bot === 'all').length;
+        if (metaRobotsCount > 1) warnings.push(`${metaRobotsCount} robots meta tags; ze worden samengevoegd`);
+        groups.flatMap(group => group.unknown).forEach(directive => warnings.push(`Onbekende directive "${directive}"`));
+        const google = crawlers.googlebot;
+        if (google.unavailableAfter && google.unavailableAfterPassed) {
+            warnings.push(`unavailable_after (${google.unavailableAfter}) is verstreken; Google toont de pagina niet meer`);
+        } else if (google.unavailableAfter && !google.unavailableAfterDate) {
+            warnings.push(`unavailable_after datum "${google.unavailableAfter}" is niet te lezen`);
+        }
+        if (google.indexifembedded && google.index) warnings.push('indexifembedded heeft alleen effect in combinatie met noindex');
+
+        return {
+            exists: groups.length > 0,
+            sources: groups,
+            crawlers,
+            noindex: !google.index,
+            nofollow: !google.follow,
+            conflicts: [...new Set(conflicts)],
+            warnings
+        };
+    }
+
+    findRobotsConflicts(groups) {
+        const conflicts = [];
+        const has = name => groups.some(group => group.directives.includes(name));
+
+        if ((has('index') || has('all')) && (has('noindex') || has('none'))) {
+            conflicts.push({ id: 'index', message: 'index en noindex tegelijk, noindex wint' });
+        }
+        if ((has('follow') || has('all')) && (has('nofollow') || has('none'))) {
+            conflicts.push({ id: 'follow', message: 'follow en nofollow tegelijk, nofollow wint' });
+        }
+        ['max-snippet', 'max-image-preview', 'max-video-preview'].forEach(name => {
+            const values = [...new Set(groups.map(group => group.values[name]).filter(value => value !== undefined))];
+            if (values.length > 1) conflicts.push({ id: name, message: `meerdere ${name} waarden (${values.join(', ')}), de strengste wint` });
+        });
+        if (has('nosnippet') && groups.some(group => parseInt(group.values['max-snippet']) > 0)) {
+            conflicts.push({ id: 'nosnippet', message: 'nosnippet en max-snippet tegelijk, nosnippet wint' });
+        }
+        return conflicts;
+    }
+
+    // "googlebot: noindex, nofollow, max-snippet:50" -> [{ bot, source, directives, values, unknown }]
+    parseRobotsDirectives(value, source, defaultBot = 'all') {
+        const groups = [];
+        let current = null;
+        const startGroup = bot => {
+            current = { bot, source, directives: [], values: {}, unknown: [] };
+            groups.push(current);
+        };
+        startGroup(defaultBot);
+
+        let lastDirective = null;
+        value.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+            let token = part;
+            const prefix = part.match(/^([a-z0-9_-]+)\s*:\s*(.*)$/i);
+            if (prefix && !ROBOTS_DIRECTIVES.includes(prefix[1].toLowerCase())) {
+                // In de header geeft "naam:" aan voor welke crawler de volgende directives gelden
+                startGroup(prefix[1].toLowerCase());
+                token = prefix[2];
+                if (!token) return;
             }
-        } catch (error) {
-            console.log('Direct fetch failed, trying proxies...');
+
+            const [rawName, ...rest] = token.split(':');
+            const name = rawName.trim().toLowerCase();
+            if (ROBOTS_DIRECTIVES.includes(name)) {
+                current.directives.push(name);
+                if (rest.length > 0) current.values[name] = rest.join(':').trim();
+                lastDirective = name;
+            } else if (lastDirective === 'unavailable_after') {
+                // Datums als "Friday, 25-Jun-10 15:00:00 PST" bevatten zelf een komma
+                current.values.unavailable_after = `${current.values.unavailable_after}, ${token}`;
+            } else {
+                current.unknown.push(token);
+            }
+        });
+
+        return groups.filter(group => group.directives.length > 0 || group.unknown.length > 0);
+    }
+
+    // Samenvoegen volgens Google: de meest restrictieve directive wint
+    mergeRobotsDirectives(groups) {
+        const has = name => groups.some(group => group.directives.includes(name));
+        const values = name => groups.map(group => group.values[name]).filter(value => value !== undefined);
+        const numbers = name => values(name).map(value => parseInt(value)).filter(Number.isFinite);
+        const minLimit = list => list.length === 0 ? null : (list.every(value => value === -1) ? -1 : Math.min(...list.filter(value => value !== -1)));
+
+        const imagePreviews = values('max-image-preview').map(value => value.toLowerCase()).filter(value => IMAGE_PREVIEW_LEVELS.includes(value));
+        const unavailableAfter = values('unavailable_after')[0] || null;
+        const unavailableDate = unavailableAfter ? new Date(unavailableAfter.replace(/(\d{1,2})-(\w{3})-(\d{2,4})/, '$1 $2 $3')) : null;
+        const validDate = unavailableDate && !isNaN(unavailableDate.getTime()) ? unavailableDate : null;
+
+        return {
+            index: !has('noindex') && !has('none'),
+            follow: !has('nofollow') && !has('none'),
+            noarchive: has('noarchive') || has('nocache'),
+            nosnippet: has('nosnippet'),
+            noimageindex: has('noimageindex'),
+            notranslate: has('notranslate'),
+            indexifembedded: has('indexifembedded'),
+            maxSnippet: has('nosnippet') ? 0 : minLimit(numbers('max-snippet')),
+            maxImagePreview: imagePreviews.length > 0
+                ? IMAGE_PREVIEW_LEVELS[Math.min(...imagePreviews.map(value => IMAGE_PREVIEW_LEVELS.indexOf(value)))]
+                : null,
+            maxVideoPreview: minLimit(numbers('max-video-preview')),
+            unavailableAfter,
+            unavailableAfterDate: validDate ? validDate.toISOString() : null,
+            unavailableAfterPassed: validDate ? validDate.getTime() < Date.now() : false
+        };
+    }
+
+    // HTTP response headers: caching, compressie, security headers, content-type en Link
+    analyzeHeaders(headers, url) {
+        const get = name => headers?.get?.(name) || null;
+        const isHttps = url.startsWith('https://');
+        const checks = [];
+        const addCheck = (id, label, status, value, message) => checks.push({ id, label, status, value, message });
+
+        // Zonder headers (bijv. via een externe proxy) is er niets te beoordelen
+        const available = !!get('content-type') || !!get('date') || !!get('server');
+        if (!available) {
+            return { available: false, checks: [], passed: 0, warnings: 0, failures: 0, isValid: true };
         }
 
-        // Probeer verschillende proxy services
-        const proxies = [
-            // Eigen Vercel proxy (als deployed)
-            `/api/proxy?url=${encodeURIComponent(url)}`,
-            // Backup proxies
-            `https://api.allorigins.win/get?url=${encodeURIComponent(url)}`,
-            `https://cors-anywhere.herokuapp.com/${url}`,
-            `https://thingproxy.freeboard.io/fetch/${url}`
-        ];
+        const cacheControl = get('cache-control');
+        if (!cacheControl) {
+            addCheck('cache-control', 'Cache-Control', 'warning', 'Ontbreekt',
+                'Zonder Cache-Control bepaalt elke browser en CDN zelf hoe lang de pagina gecachet wordt.');
+        } else if (/no-store/i.test(cacheControl)) {
+            addCheck('cache-control', 'Cache-Control', 'warning', cacheControl,
+                'no-store voorkomt elke vorm van caching, ook de back/forward cache van de browser.');
+        } else {
+            addCheck('cache-control', 'Cache-Control', 'success', cacheControl, 'Caching is expliciet ingesteld.');
+        }
 
-        for (let i = 0; i < proxies.length; i++) {
-            const proxyUrl = proxies[i];
-            try {
-                console.log(`Trying proxy ${i + 1}/${proxies.length}: ${proxyUrl}`);
-                const response = await fetch(proxyUrl, {
-                    timeout: 15000
-                });
-                
-                if (proxyUrl.includes('/api/proxy')) {
-                    // Eigen Vercel proxy
-                    if (response.ok) {
-                        const data = await response.json();
-                        if (data.contents) {
-                            return {
-                                status: data.status || 200,
-                                text: () => Promise.resolve(data.contents),
-                                headers: new Headers(data.headers || {})
-                            };
-                        }
-                    }
-                } else if (proxyUrl.includes('allorigins.win')) {
-                    // AllOrigins proxy
-                    if (response.ok) {
-                        const data = await response.json();
-                        if (data.contents) {
-                            return {
-                                status: data.status?.http_code || 200,
-                                text: () => Promise.resolve(data.contents),
-                                headers: new Headers()
-                            };
-                        }
-                    }
-                } else {
-                    // Andere proxies
-                    if (response.ok) {
-                        return response;
-                    }
+        const etag = get('etag');
+        const lastModified = get('last-modified');
+        addCheck('validators', 'ETag / Last-Modified', etag || lastModified ? 'success' : 'warning',
+            [etag && `ETag: ${etag}`, lastModified && `Last-Modified: ${lastModified}`].filter(Boolean).join(', ') || 'Ontbreekt',
+            etag || lastModified
+                ? 'Browsers en crawlers kunnen conditionele requests doen (304 Not Modified).'
+                : 'Zonder ETag of Last-Modified moet de pagina bij elke hercontrole volledig opnieuw gedownload worden.');
+
+        const encoding = get('content-encoding');
+        addCheck('compression', 'Compressie', /gzip|br|zstd|deflate/i.test(encoding || '') ? 'success' : 'warning',
+            encoding || 'Geen',
+            encoding
+                ? 'De HTML wordt gecomprimeerd verstuurd.'
+                : 'Gzip of Brotli compressie verkleint de HTML meestal met 60-80%.');
+
+        // Zonder HTTPS telt alleen dat als fout; HSTS is dan niet van toepassing (skipped) en telt niet mee
+        const hsts = get('strict-transport-security');
+        if (!isHttps) {
+            addCheck('https', 'HTTPS', 'error', 'Niet gebruikt',
+                'De pagina wordt via HTTP geladen. Zonder HTTPS is de verbinding niet versleuteld en tonen browsers een "Niet veilig" melding.');
+            addCheck('hsts', 'HSTS', 'skipped', 'Niet van toepassing',
+                'HSTS kan alleen op HTTPS worden ingesteld.');
+        } else if (!hsts) {
+            addCheck('hsts', 'HSTS', 'error', 'Ontbreekt',
+                'Strict-Transport-Security dwingt HTTPS af en voorkomt downgrade aanvallen.');
+        } else {
+            const maxAge = parseInt(hsts.match(/max-age=(\d+)/i)?.[1] || '0');
+            addCheck('hsts', 'HSTS', maxAge >= 15552000 ? 'success' : 'warning', hsts,
+                maxAge >= 15552000
+                    ? 'HTTPS wordt afgedwongen.'
+                    : 'max-age is korter dan 180 dagen (15552000 seconden); aanbevolen is minimaal een half jaar.');
+        }
+
+        const csp = get('content-security-policy');
+        if (!csp) {
+            addCheck('csp', 'Content-Security-Policy', 'warning', get('content-security-policy-report-only') ? 'Alleen report-only' : 'Ontbreekt',
+                'Een Content-Security-Policy beperkt welke scripts en bronnen geladen mogen worden en beschermt tegen XSS.');
+        } else {
+            const unsafe = /script-src[^;]*'unsafe-(inline|eval)'/i.test(csp) || (!/script-src/i.test(csp) && /default-src[^;]*'unsafe-(inline|eval)'/i.test(csp));
+            addCheck('csp', 'Content-Security-Policy', unsafe ? 'warning' : 'success', csp.length > 120 ? `${csp.substring(0, 120)}...` : csp,
+                unsafe ? "De policy staat 'unsafe-inline' of 'unsafe-eval' toe voor scripts en biedt daardoor weinig XSS bescherming." : 'Er is een Content-Security-Policy ingesteld.');
+        }
+
+        const contentTypeOptions = get('x-content-type-options');
+        addCheck('x-content-type-options', 'X-Content-Type-Options', /nosniff/i.test(contentTypeOptions || '') ? 'success' : 'error',
+            contentTypeOptions || 'Ontbreekt',
+            /nosniff/i.test(contentTypeOptions || '')
+                ? 'Browsers raden het content type niet zelf.'
+                : 'Zonder "nosniff" kan een browser bestanden als een ander type interpreteren (MIME sniffing).');
+
+        const referrerPolicy = get('referrer-policy');
+        const weakReferrer = /unsafe-url|no-referrer-when-downgrade/i.test(referrerPolicy || '');
+        addCheck('referrer-policy', 'Referrer-Policy', referrerPolicy && !weakReferrer ? 'success' : 'warning',
+            referrerPolicy || 'Ontbreekt',
+            !referrerPolicy
+                ? 'Aanbevolen is "strict-origin-when-cross-origin" zodat volledige URLs niet naar andere sites lekken.'
+                : weakReferrer ? 'Deze policy stuurt de volledige URL mee naar andere sites.' : 'Referrer informatie wordt beperkt gedeeld.');
+
+        const contentType = get('content-type');
+        const charset = contentType?.match(/charset=([^;]+)/i)?.[1].trim().toLowerCase() || null;
+        if (!contentType || !/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+            addCheck('content-type', 'Content-Type', 'error', contentType || 'Ontbreekt',
+                'Een HTML pagina hoort als text/html verstuurd te worden.');
+        } else {
+            addCheck('content-type', 'Content-Type', charset === 'utf-8' ? 'success' : 'warning', contentType,
+                charset === 'utf-8'
+                    ? 'HTML met UTF-8 tekenset.'
+                    : charset ? `Tekenset ${charset}; UTF-8 wordt aanbevolen.` : 'Geen charset in de header; de browser moet de tekenset raden tot een <meta charset> gevonden wordt.');
+        }
+
+        const linkHeader = get('link');
+        if (linkHeader) {
+            const rels = [...new Set(this.parseLinkHeader(linkHeader).map(link => link.params.rel).filter(Boolean))];
+            addCheck('link', 'Link Header', 'success', rels.join(', ') || linkHeader,
+                'Link headers kunnen canonical, hreflang en preload hints bevatten voor crawlers en browsers.');
+        }
+
+        return {
+            available: true,
+            checks,
+            passed: checks.filter(check => check.status === 'success').length,
+            warnings: checks.filter(check => check.status === 'warning').length,
+            failures: checks.filter(check => check.status === 'error').length,
+            isValid: checks.every(check => check.status !== 'error')
+        };
+    }
+
+    // Herken bekende third-party tags aan de hand van script src en inline snippets
+    analyzeTags(doc) {
+        const scripts = Array.from(doc.querySelectorAll('script'));
+        const noscriptHtml = Array.from(doc.querySelectorAll('noscript')).map(noscript => noscript.innerHTML).join('\n');
+        const trackingCategories = ['analytics', 'advertising', 'heatmap'];
+        const countValues = values => values.reduce((counts, value) => counts.set(value, (counts.get(value) || 0) + 1), new Map());
+
+        const tags = TAG_FINGERPRINTS.map(fingerprint => {
+            const srcScripts = fingerprint.src
+                ? scripts.filter(script => fingerprint.src.test(script.getAttribute('src') || ''))
+                : [];
+            const inlineScripts = scripts.filter(script => !script.hasAttribute('src') && (
+                (fingerprint.inline && fingerprint.inline.test(script.textContent)) ||
+                (fingerprint.ids && new RegExp(fingerprint.ids.source, fingerprint.ids.flags).test(script.textContent))
+            ));
+            const hasElement = fingerprint.selector ? !!doc.querySelector(fingerprint.selector) : false;
+            if (srcScripts.length === 0 && inlineScripts.length === 0 && !hasElement) return null;
+
+            // IDs uit de script URL, een data attribuut en inline initialisaties
+            const loaderIds = srcScripts
+                .map(script => (script.getAttribute('src').match(fingerprint.src)?.[1]) ||
+                    (fingerprint.idAttribute ? script.getAttribute(fingerprint.idAttribute) : null))
+                .filter(Boolean);
+            const initIds = fingerprint.ids
+                ? inlineScripts.flatMap(script => Array.from(script.textContent.matchAll(fingerprint.ids), match => match[1]))
+                : [];
+            const ids = [...new Set([...loaderIds, ...initIds])];
+
+            const issues = [];
+            const srcCounts = countValues(srcScripts.map(script => script.getAttribute('src')));
+            const loaderIdCounts = countValues(loaderIds);
+            const initIdCounts = countValues(initIds);
+            const duplicateSrc = [...srcCounts.values()].some(count => count > 1);
+            const duplicateIds = ids.filter(id => (initIdCounts.get(id) || 0) > 1 || (!duplicateSrc && (loaderIdCounts.get(id) || 0) > 1));
+
+            if (duplicateSrc) issues.push(`Script wordt ${Math.max(...srcCounts.values())} keer geladen`);
+            duplicateIds.forEach(id => issues.push(`${id} wordt meerdere keren geïnitialiseerd`));
+            if (ids.length > 1 && ['gtm', 'ga4', 'meta-pixel', 'hotjar', 'clarity'].includes(fingerprint.id)) {
+                issues.push(`Meerdere IDs op één pagina: ${ids.join(', ')}`);
+            }
+            if (fingerprint.deprecated) issues.push(fingerprint.deprecated);
+
+            if (fingerprint.id === 'gtm') {
+                const snippetInBody = inlineScripts.length > 0 && inlineScripts.every(script => !script.closest('head'));
+                if (snippetInBody) issues.push('GTM snippet staat niet in de <head>');
+                ids.filter(id => !noscriptHtml.includes(`ns.html?id=${id}`))
+                    .forEach(id => issues.push(`<noscript> fallback ontbreekt voor ${id}`));
+            }
+            if (fingerprint.id === 'ga4') {
+                loaderIds.filter(id => !initIds.includes(id))
+                    .forEach(id => issues.push(`gtag.js voor ${id} wordt geladen zonder gtag('config')`));
+                if (srcScripts.length === 0 && !scripts.some(script => /googletagmanager\.com\/gtag\/js/i.test(script.getAttribute('src') || ''))) {
+                    issues.push('gtag(\'config\') zonder gtag.js loader');
                 }
-            } catch (proxyError) {
-                console.log(`Proxy ${i + 1} failed:`, proxyError.message);
-                continue;
             }
+
+            return {
+                id: fingerprint.id,
+                name: fingerprint.name,
+                category: fingerprint.category,
+                ids,
+                loaders: srcScripts.length,
+                inlineSnippets: inlineScripts.length,
+                firstIndex: Math.min(...[...srcScripts, ...inlineScripts].map(script => scripts.indexOf(script)), Infinity),
+                duplicate: duplicateSrc || duplicateIds.length > 0,
+                issues
+            };
+        }).filter(Boolean);
+
+        // Consent: tracking hoort niet vóór de cookie banner te laden
+        const consentTags = tags.filter(tag => tag.category === 'consent' && tag.id !== 'consent-mode');
+        const trackingTags = tags.filter(tag => trackingCategories.includes(tag.category));
+        const warnings = [];
+        if (trackingTags.length > 0 && consentTags.length === 0 && !tags.some(tag => tag.id === 'consent-mode')) {
+            warnings.push('Tracking gevonden maar geen cookie banner of Consent Mode herkend');
         }
-        
-        throw new Error('Website niet bereikbaar via proxy services. Voor betrouwbare crawling: deploy naar Vercel/Netlify.');
-    }
+        const firstConsent = Math.min(...consentTags.map(tag => tag.firstIndex), Infinity);
+        trackingTags.filter(tag => tag.firstIndex < firstConsent && consentTags.length > 0)
+            .forEach(tag => tag.issues.push('Laadt vóór de cookie banner'));
 
-    async checkStatus(response) {
-        const status = response.status;
-        const headers = response.headers;
-        
         return {
-            statusCode: status,
-            isSuccess: status >= 200 && status < 300,
-            noindex: headers.get('x-robots-tag')?.includes('noindex') || false,
-            nofollow: headers.get('x-robots-tag')?.includes('nofollow') || false
+            tags: tags.map(({ firstIndex: _firstIndex, ...tag }) => tag),
+            found: tags.length,
+            duplicates: tags.filter(tag => tag.duplicate).length,
+            issues: tags.reduce((sum, tag) => sum + tag.issues.length, 0),
+            hasConsent: consentTags.length > 0,
+            hasTracking: trackingTags.length > 0,
+            warnings
         };
     }
 
+    async analyzeRobots(url) {
+        try {
+            const result = await robotsTxt.testUrl(url);
+            const googlebot = result.bots.find(bot => bot.name === 'Googlebot');
+            return {
+                ...result,
+                blocked: googlebot ? !googlebot.allowed : false
+            };
+        } catch (error) {
+            console.log('Robots.txt check failed:', error.message);
+            return null;
+        }
+    }
+
     analyzeTitle(doc) {
         const titleElement = doc.querySelector('title');
         const title = titleElement ? titleElement.textContent.trim() : '';
         
+        // Of de lengte goed is hangt af van het scoreprofiel en wordt pas bij het tonen bepaald
         return {
             exists: !!titleElement,
             content: title,
             length: title.length,
-            isOptimal: title.length >= 30 && title.length <= 60,
-            hasKeyword: this.keyword ? title.toLowerCase().includes(this.keyword) : null
+            hasKeyword: this.keyword ? keywordAnalyzer.matches(title, this.keyword, this.language) : null
         };
     }
 
@@ -182,9 +1561,7 @@ class SEOChecker {
         
         let keywordInH1 = false;
         if (keyword) {
-            keywordInH1 = h1Texts.some(text => 
-                text.toLowerCase().includes(keyword.toLowerCase())
-            );
+            keywordInH1 = h1Texts.some(text => keywordAnalyzer.matches(text, keyword, this.language));
         }
         
         return {
@@ -197,874 +1574,4853 @@ class SEOChecker {
         };
     }
 
-    analyzeMeta(doc) {
-        const metaDesc = doc.querySelector('meta[name="description"]');
-        const robotsMeta = doc.querySelector('meta[name="robots"]');
-        
-        const description = metaDesc ? metaDesc.getAttribute('content').trim() : '';
-        
-        return {
-            exists: !!metaDesc,
-            content: description,
-            length: description.length,
-            isOptimal: description.length >= 120 && description.length <= 160,
-            noindex: robotsMeta ? robotsMeta.getAttribute('content').includes('noindex') : false,
-            nofollow: robotsMeta ? robotsMeta.getAttribute('content').includes('nofollow') : false
-        };
-    }
+    // Volledige document outline (H1-H6): overgeslagen niveaus, lege, verborgen en dubbele headings
+    analyzeHeadings(doc, keyword) {
+        const headings = Array.from(doc.querySelectorAll('h1, h2, h3, h4, h5, h6')).map(element => ({
+            level: parseInt(element.tagName.substring(1)),
+            text: this.cleanHeadingText(element.textContent.replace(/\s+/g, ' ').trim()),
+            empty: element.textContent.trim().length === 0,
+            hidden: this.isHeadingHidden(element),
+            skipped: false,
+            duplicate: false,
+            hasKeyword: false,
+            children: []
+        }));
+
+        const counts = { h1: 0, h2: 0, h3: 0, h4: 0, h5: 0, h6: 0 };
+        const skippedLevels = [];
+        const textCounts = new Map();
+        let previousLevel = 0;
+
+        headings.forEach(heading => {
+            counts[`h${heading.level}`]++;
+
+            // Een niveau dieper dan de vorige heading + 1 is een overgeslagen niveau (bijv. H2 -> H4)
+            if (previousLevel > 0 && heading.level > previousLevel + 1) {
+                heading.skipped = true;
+                skippedLevels.push({ from: previousLevel, to: heading.level, text: heading.text });
+            }
+            previousLevel = heading.level;
+
+            if (!heading.empty) {
+                const key = heading.text.toLowerCase();
+                const entry = textCounts.get(key) || { text: heading.text, count: 0 };
+                entry.count++;
+                textCounts.set(key, entry);
+            }
+            if (keyword && heading.level > 1) {
+                heading.hasKeyword = keywordAnalyzer.matches(heading.text, keyword, this.language);
+            }
+        });
+
+        const duplicates = Array.from(textCounts.values()).filter(entry => entry.count > 1);
+        headings.forEach(heading => {
+            heading.duplicate = !heading.empty && textCounts.get(heading.text.toLowerCase()).count > 1;
+        });
+
+        // Bouw de boomstructuur: elke heading hangt onder de laatste heading met een lager niveau
+        const tree = [];
+        const stack = [];
+        headings.forEach(heading => {
+            while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) {
+                stack.pop();
+            }
+            (stack.length > 0 ? stack[stack.length - 1].children : tree).push(heading);
+            stack.push(heading);
+        });
+
+        const subheadings = headings.filter(heading => heading.level > 1);
+        const subheadingsWithKeyword = subheadings.filter(heading => heading.hasKeyword).length;
+        const empty = headings.filter(heading => heading.empty).length;
+        const hidden = headings.filter(heading => heading.hidden).length;
 
-    analyzeImages(doc) {
-        const images = doc.querySelectorAll('img');
-        const totalImages = images.length;
-        const imagesWithAlt = Array.from(images).filter(img => img.getAttribute('alt'));
-        const imagesWithoutAlt = Array.from(images).filter(img => !img.getAttribute('alt'));
-        
-        // Extract filenames from images without alt text
-        const missingAltImages = imagesWithoutAlt
-            .map(img => {
-                const src = (img.getAttribute('src') || '').trim();
-                const filename = src.split('/').pop() || src;
-                return {
-                    filename: filename,
-                    src: src,
-                    fullUrl: img.src || src
-                };
-            })
-            // Filter entries zonder bruikbare src / bestandsnaam, om lege kaarten te vermijden
-            .filter(img => img.src && img.filename);
-        
         return {
-            total: totalImages,
-            withAlt: imagesWithAlt.length,
-            withoutAlt: imagesWithoutAlt.length,
-            percentage: totalImages > 0 ? Math.round((imagesWithAlt.length / totalImages) * 100) : 100,
-            missingAltImages: missingAltImages
+            total: headings.length,
+            counts,
+            tree,
+            skippedLevels,
+            empty,
+            hidden,
+            duplicates,
+            subheadings: subheadings.length,
+            subheadingsWithKeyword,
+            keywordInSubheadings: keyword ? subheadingsWithKeyword > 0 : null,
+            isValid: skippedLevels.length === 0 && empty === 0 && hidden === 0
         };
     }
 
-    analyzeCanonical(doc, currentUrl) {
-        const canonicalElement = doc.querySelector('link[rel="canonical"]');
-        const canonicalUrl = canonicalElement ? canonicalElement.getAttribute('href') : null;
-        
+    isHeadingHidden(element) {
+        // Exacte classnamen, zodat bijvoorbeeld "overflow-hidden" niet als verborgen telt
+        const hiddenClasses = ['sr-only', 'visually-hidden', 'screen-reader-text', 'screen-reader-only', 'd-none', 'hidden', 'hide', 'invisible'];
+
+        for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+            if (node.hasAttribute('hidden') || node.getAttribute('aria-hidden') === 'true') return true;
+
+            const style = (node.getAttribute('style') || '').replace(/\s+/g, '').toLowerCase();
+            if (style.includes('display:none') || style.includes('visibility:hidden')) return true;
+
+            const classes = (node.getAttribute('class') || '').toLowerCase().split(/\s+/);
+            if (classes.some(className => hiddenClasses.includes(className))) return true;
+        }
+        return false;
+    }
+
+    // Content kwaliteit van de hoofdcontent: omvang, zinslengte, passieve zinnen, leesbaarheid en signaalwoorden
+    analyzeContent(blocks, languageInfo) {
+        const allText = blocks.map(block => block.text).join(' ');
+        const { language, declaredLanguage, detectedLanguage } = languageInfo;
+        const config = READABILITY_LANGUAGES[language];
+
+        const wordCount = this.getWords(allText).length;
+        const sentences = blocks
+            .filter(block => !block.isHeading)
+            .flatMap(block => this.splitSentences(block.text))
+            .map(sentence => this.getWords(sentence))
+            .filter(words => words.length > 0);
+
+        const sentenceCount = sentences.length;
+        const sentenceWords = sentences.reduce((sum, words) => sum + words.length, 0);
+        const syllables = sentences.reduce((sum, words) =>
+            sum + words.reduce((wordSum, word) => wordSum + this.countSyllables(word, language), 0), 0);
+        const longSentences = sentences.filter(words => words.length > CONTENT_QUALITY_THRESHOLDS.longSentence).length;
+        const passiveSentences = sentences.filter(words => this.isPassiveSentence(words, config)).length;
+        const transitionSentences = sentences.filter(words => {
+            const sentence = ` ${words.join(' ').toLowerCase()} `;
+            return config.transitionWords.some(word => sentence.includes(` ${word} `));
+        }).length;
+
+        const percentage = count => sentenceCount > 0 ? Math.round((count / sentenceCount) * 100) : 0;
+
+        let readabilityScore = null;
+        if (sentenceCount > 0 && sentenceWords > 0) {
+            const score = config.base
+                - config.sentenceWeight * (sentenceWords / sentenceCount)
+                - config.syllableWeight * (syllables / sentenceWords);
+            readabilityScore = Math.round(Math.min(100, Math.max(0, score)));
+        }
+
         return {
-            exists: !!canonicalElement,
-            url: canonicalUrl,
-            isSelfReferencing: canonicalUrl === currentUrl,
-            isValid: canonicalUrl ? this.isValidURL(canonicalUrl) : false
+            language,
+            languageName: config.name,
+            declaredLanguage,
+            detectedLanguage,
+            wordCount,
+            paragraphCount: blocks.filter(block => !block.isHeading).length,
+            sentenceCount,
+            averageSentenceLength: sentenceCount > 0 ? Math.round((sentenceWords / sentenceCount) * 10) / 10 : 0,
+            longSentences,
+            longSentencePercentage: percentage(longSentences),
+            passiveSentences,
+            passivePercentage: percentage(passiveSentences),
+            transitionSentences,
+            transitionPercentage: percentage(transitionSentences),
+            readabilityFormula: config.formula,
+            readabilityScore,
+            readabilityLevel: this.getReadabilityLevel(readabilityScore),
+            isThin: wordCount < CONTENT_QUALITY_THRESHOLDS.thinContent,
+            isMinimal: wordCount < CONTENT_QUALITY_THRESHOLDS.minimalContent
         };
     }
 
-    async analyzeLinks(doc, baseUrl) {
-        const links = doc.querySelectorAll('a[href]');
-        const linkData = {
-            total: links.length,
-            internal: 0,
-            external: 0,
-            broken: 0,
-            checked: 0
-        };
+    // Hoofdcontent zonder navigatie, header, footer en andere boilerplate, als lijst van tekstblokken
+    extractMainContent(doc) {
+        const source = doc.querySelector('main, [role="main"], article') || doc.body;
+        if (!source) return [];
 
-        for (let link of Array.from(links).slice(0, 20)) {
-            const href = link.getAttribute('href');
-            if (!href || href.startsWith('#') || href.startsWith('mailto:') || href.startsWith('tel:')) continue;
-            
-            try {
-                const fullUrl = new URL(href, baseUrl).href;
-                const isInternal = new URL(fullUrl).hostname === new URL(baseUrl).hostname;
-                
-                if (isInternal) {
-                    linkData.internal++;
-                } else {
-                    linkData.external++;
-                }
-                
-                linkData.checked++;
-            } catch (error) {
-                linkData.broken++;
+        const root = source.cloneNode(true);
+        // Nooit een element verwijderen dat de hoofdcontent zelf bevat (bijv. <div class="sidebar"><main>)
+        const containsMainContent = element => !!element.querySelector('main, [role="main"], article');
+
+        root.querySelectorAll(`
+            nav, header, footer, aside, script, style, noscript, template, form, iframe, svg, button,
+            [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [aria-hidden="true"]
+        `).forEach(element => {
+            // Een <header> binnen een artikel bevat de titel en intro, geen sitebrede boilerplate
+            if (element.tagName === 'HEADER' && element.closest('article')) return;
+            if (!containsMainContent(element)) element.remove();
+        });
+
+        // Alleen exacte class- of id-tokens, zodat bijv. "has-sidebar" of "elementor-widget-container" blijft staan
+        const boilerplate = /^(nav|navbar|navigation|menu|footer|header|sidebar|breadcrumbs?|cookie|cookies|consent|newsletter|share|social|comments?|related)$/i;
+        root.querySelectorAll('[class], [id]').forEach(element => {
+            const tokens = `${element.getAttribute('class') || ''} ${element.getAttribute('id') || ''}`.split(/\s+/).filter(Boolean);
+            if (tokens.some(token => boilerplate.test(token)) && !containsMainContent(element)) {
+                element.remove();
             }
-        }
+        });
 
-        return linkData;
+        const blockSelector = 'p, li, blockquote, dd, td, figcaption, h1, h2, h3, h4, h5, h6';
+        const blocks = Array.from(root.querySelectorAll(blockSelector))
+            // Alleen de binnenste blokken, zodat tekst niet dubbel geteld wordt (bijv. <li><p>)
+            .filter(element => !element.querySelector(blockSelector))
+            .map(element => ({
+                text: element.textContent.replace(/\s+/g, ' ').trim(),
+                isHeading: /^H[1-6]$/.test(element.tagName)
+            }))
+            .filter(block => block.text.length > 0);
+
+        if (blocks.length === 0) {
+            const text = root.textContent.replace(/\s+/g, ' ').trim();
+            return text ? [{ text, isHeading: false }] : [];
+        }
+        return blocks;
     }
 
-    analyzeURL(url) {
-        const urlObj = new URL(url);
-        const path = urlObj.pathname;
-        
+    // Taal uit <html lang> als die ondersteund wordt, anders gedetecteerd uit de hoofdcontent
+    resolveLanguage(doc, blocks) {
+        const declaredLanguage = doc.documentElement.getAttribute('lang')?.trim().toLowerCase() || null;
+        const detectedLanguage = this.detectContentLanguage(blocks.map(block => block.text).join(' '));
+        const declaredCode = declaredLanguage ? declaredLanguage.split('-')[0] : null;
         return {
-            length: url.length,
-            isShort: url.length <= 100,
-            hasParameters: urlObj.search.length > 0,
-            depth: path.split('/').filter(segment => segment).length,
-            isReadable: !/[^a-zA-Z0-9\-\/\.]/.test(path),
-            protocol: urlObj.protocol
+            language: READABILITY_LANGUAGES[declaredCode] ? declaredCode : detectedLanguage,
+            declaredLanguage,
+            detectedLanguage
         };
     }
 
-    isValidURL(string) {
-        try {
-            new URL(string);
-            return true;
-        } catch (_) {
-            return false;
+    detectContentLanguage(text) {
+        const words = this.getWords(text.toLowerCase());
+        const scores = Object.entries(READABILITY_LANGUAGES).map(([code, config]) => ({
+            code,
+            hits: words.filter(word => config.stopWords.includes(word)).length
+        }));
+        scores.sort((a, b) => b.hits - a.hits);
+        // Bij twijfel Nederlands, de tool wordt vooral voor Nederlandse sites gebruikt
+        return scores[0].hits > scores[1].hits ? scores[0].code : 'nl';
+    }
+
+    getWords(text) {
+        return (text.match(/[\p{L}\p{N}'’-]+/gu) || []).filter(word => /\p{L}/u.test(word));
+    }
+
+    splitSentences(text) {
+        // Veelgebruikte afkortingen eerst neutraliseren zodat ze geen zin beëindigen
+        const normalized = text.replace(/\b(bijv|o\.a|m\.a\.w|d\.w\.z|i\.p\.v|e\.g|i\.e|etc|ca|nr|dr|mr|mrs|vs)\./gi,
+            match => match.replace(/\./g, ''));
+        return normalized.split(/[.!?]+(?:\s+|$)/).map(sentence => sentence.trim()).filter(Boolean);
+    }
+
+    countSyllables(word, language) {
+        const lower = word.toLowerCase().replace(/[^\p{L}]/gu, '');
+        const groups = lower.match(/[aeiouyàáâäèéêëìíîïòóôöùúûü]+/g);
+        let count = groups ? groups.length : 0;
+        // Stille e aan het einde van Engelse woorden (make, code), maar niet bij -le (simple)
+        if (language === 'en' && count > 1 && lower.endsWith('e') && !lower.endsWith('le')) {
+            count--;
         }
+        return Math.max(1, count);
     }
 
-    calculateScore() {
-        let score = 0;
-        let maxScore = 0;
+    isPassiveSentence(words, config) {
+        const lowerWords = words.map(word => word.toLowerCase());
+        return lowerWords.some((word, index) => {
+            if (!config.passiveAuxiliaries.includes(word)) return false;
+            return lowerWords
+                .slice(index + 1, index + 1 + config.participleWindow)
+                .some(next => config.participlePattern.test(next) || config.irregularParticiples.includes(next));
+        });
+    }
+
+    getReadabilityLevel(score) {
+        if (score === null) return 'Onbekend';
+        if (score >= 80) return 'Zeer makkelijk';
+        if (score >= 60) return 'Makkelijk';
+        if (score >= 50) return 'Redelijk';
+        if (score >= 30) return 'Moeilijk';
+        return 'Zeer moeilijk';
+    }
 
-        if (this.results.status?.isSuccess) score += 15;
-        maxScore += 15;
+    analyzeMeta(doc) {
+        const metaDesc = doc.querySelector('meta[name="description"]');
+        const robotsDirectives = this.mergeRobotsDirectives(
+            Array.from(doc.querySelectorAll('meta[name="robots" i], meta[name="googlebot" i]'))
+                .flatMap(meta => this.parseRobotsDirectives(meta.getAttribute('content') || '', 'meta'))
+        );
+        
+        const description = metaDesc ? metaDesc.getAttribute('content').trim() : '';
+        
+        return {
+            exists: !!metaDesc,
+            content: description,
+            length: description.length,
+            noindex: !robotsDirectives.index,
+            nofollow: !robotsDirectives.follow
+        };
+    }
 
-        if (this.results.title?.exists && this.results.title?.isOptimal) score += 15;
-        maxScore += 15;
+    // Mobiele geschiktheid: viewport, vaste breedtes, tap targets, lettergroottes en responsive afbeeldingen
+    analyzeMobile(doc) {
+        const viewportMeta = doc.querySelector('meta[name="viewport"]');
+        const viewportContent = viewportMeta?.getAttribute('content') || '';
+        const viewportProps = {};
+        viewportContent.split(/[,;]/).forEach(part => {
+            const [key, value] = part.split('=').map(item => item?.trim().toLowerCase());
+            if (key) viewportProps[key] = value || '';
+        });
+        const maximumScale = viewportProps['maximum-scale'] ? parseFloat(viewportProps['maximum-scale']) : null;
+        const viewport = {
+            exists: !!viewportMeta,
+            content: viewportContent,
+            deviceWidth: viewportProps.width === 'device-width',
+            initialScale: viewportProps['initial-scale'] || null,
+            zoomDisabled: ['no', '0'].includes(viewportProps['user-scalable']) || (maximumScale !== null && maximumScale < 2)
+        };
+        viewport.isValid = viewport.exists && viewport.deviceWidth && !viewport.zoomDisabled;
 
-        if (this.results.h1?.isOptimal) score += 10;
-        maxScore += 10;
+        const styleText = Array.from(doc.querySelectorAll('style')).map(style => style.textContent).join('\n');
+        const pxValue = (style, property) => {
+            const match = style.match(new RegExp(`(?:^|;|\\s)${property}\\s*:\\s*(\\d+(?:\\.\\d+)?)px`, 'i'));
+            return match ? parseFloat(match[1]) : null;
+        };
 
-        if (this.results.meta?.exists && this.results.meta?.isOptimal) score += 15;
-        maxScore += 15;
+        // Vaste breedtes breder dan een smartphone scherm
+        const fixedWidthElements = [];
+        doc.querySelectorAll('body [style]').forEach(element => {
+            const style = element.getAttribute('style');
+            const width = Math.max(pxValue(style, 'width') || 0, pxValue(style, 'min-width') || 0);
+            if (width > MOBILE_THRESHOLDS.maxFixedWidth) {
+                fixedWidthElements.push({ tag: element.tagName.toLowerCase(), width, source: 'style' });
+            }
+        });
+        doc.querySelectorAll('table[width], td[width], div[width]').forEach(element => {
+            const width = parseInt(element.getAttribute('width'));
+            if (!element.getAttribute('width').includes('%') && width > MOBILE_THRESHOLDS.maxFixedWidth) {
+                fixedWidthElements.push({ tag: element.tagName.toLowerCase(), width, source: 'attribuut' });
+            }
+        });
+        const cssWithoutMedia = styleText.replace(/@media[^{]+\{(?:[^{}]*\{[^{}]*\})*[^{}]*\}/g, '');
+        (cssWithoutMedia.match(/(?:^|[;{\s])(?:min-)?width\s*:\s*(\d+)px/gi) || []).forEach(declaration => {
+            const width = parseInt(declaration.match(/(\d+)px/)[1]);
+            if (width > MOBILE_THRESHOLDS.maxCssWidth) {
+                fixedWidthElements.push({ tag: 'css', width, source: '<style>' });
+            }
+        });
 
-        if (this.results.images?.percentage >= 80) score += 10;
-        maxScore += 10;
+        // Lettergroottes kleiner dan 12px
+        const smallFonts = [];
+        doc.querySelectorAll('body [style*="font-size"]').forEach(element => {
+            const size = pxValue(element.getAttribute('style'), 'font-size');
+            if (size !== null && size < MOBILE_THRESHOLDS.minFontSize) {
+                smallFonts.push({ tag: element.tagName.toLowerCase(), size, source: 'style' });
+            }
+        });
+        (styleText.match(/font-size\s*:\s*(\d+(?:\.\d+)?)px/gi) || []).forEach(declaration => {
+            const size = parseFloat(declaration.match(/(\d+(?:\.\d+)?)px/)[1]);
+            if (size < MOBILE_THRESHOLDS.minFontSize) smallFonts.push({ tag: 'css', size, source: '<style>' });
+        });
+        doc.querySelectorAll('font[size="1"], small small').forEach(element => {
+            smallFonts.push({ tag: element.tagName.toLowerCase(), size: null, source: 'html' });
+        });
 
-        if (this.results.canonical?.exists) score += 10;
-        maxScore += 10;
+        // Tap targets: expliciet te kleine knoppen/links en dicht op elkaar staande links in lopende tekst
+        const smallTapTargets = Array.from(doc.querySelectorAll('body a[style], body button[style], body input[style]')).filter(element => {
+            const style = element.getAttribute('style');
+            const width = pxValue(style, 'width');
+            const height = pxValue(style, 'height');
+            return (width !== null && width < MOBILE_THRESHOLDS.minTapTarget) || (height !== null && height < MOBILE_THRESHOLDS.minTapTarget);
+        }).length;
+        const denseLinkGroups = Array.from(doc.querySelectorAll('body p, body span, body div, body td')).filter(element => {
+            if (element.closest('nav, ul, ol, [role="navigation"]')) return false;
+            const directLinks = Array.from(element.children).filter(child => child.tagName === 'A');
+            if (directLinks.length < MOBILE_THRESHOLDS.denseLinkCount) return false;
+            const ownText = Array.from(element.childNodes)
+                .filter(node => node.nodeType === 3)
+                .map(node => node.textContent.trim())
+                .join('');
+            // Alleen scheidingstekens tussen de links = links staan vlak naast elkaar
+            return ownText.replace(/[|·•,\-–\s]/g, '').length < directLinks.length * 3;
+        }).length;
 
-        if (this.results.links?.broken === 0) score += 10;
-        maxScore += 10;
+        const images = doc.querySelectorAll('img');
+        const responsiveImages = Array.from(images).filter(img => img.hasAttribute('srcset') || img.closest('picture')).length;
+        const pictureCount = doc.querySelectorAll('picture').length;
 
-        if (this.results.urlStructure?.isShort && this.results.urlStructure?.isReadable) score += 15;
-        maxScore += 15;
+        const isMobileFriendly = viewport.isValid && fixedWidthElements.length === 0;
 
-        return Math.round((score / maxScore) * 100);
+        return {
+            viewport,
+            fixedWidthElements,
+            smallFonts,
+            smallTapTargets,
+            denseLinkGroups,
+            images: {
+                total: images.length,
+                responsive: responsiveImages,
+                pictures: pictureCount,
+                percentage: images.length > 0 ? Math.round((responsiveImages / images.length) * 100) : 100
+            },
+            isMobileFriendly
+        };
     }
-}
 
-const seoChecker = new SEOChecker();
+    // Afbeelding audit: alt-text, afmetingen, lazy loading, srcset, bestandsnaam en (via HEAD) grootte en formaat
+    async analyzeImages(doc, pageUrl) {
+        const items = Array.from(doc.querySelectorAll('img')).map((img, index) => {
+            const src = (img.getAttribute('src') || img.getAttribute('data-src') || '').trim();
+            let fullUrl = src;
+            try {
+                fullUrl = new URL(src, pageUrl).href;
+            } catch {
+                // Ongeldige src, gebruik de ruwe waarde
+            }
+            const rawFilename = src.split(/[?#]/)[0].split('/').pop() || '';
+            let filename = rawFilename;
+            try {
+                filename = decodeURIComponent(rawFilename);
+            } catch {
+                // Ongeldige percent-encoding, gebruik de ruwe bestandsnaam
+            }
+            filename = filename || src;
+            const picture = img.closest('picture');
+            const width = img.getAttribute('width');
+            const height = img.getAttribute('height');
+            const alt = img.getAttribute('alt');
 
-async function analyzeWebsite() {
-    const urlInput = document.getElementById('urlInput');
-    const keywordInput = document.getElementById('keywordInput');
-    const loadingSection = document.getElementById('loadingSection');
-    const resultsSection = document.getElementById('resultsSection');
-    const analyzeBtn = document.getElementById('analyzeBtn');
+            return {
+                index,
+                src,
+                fullUrl,
+                filename: src.startsWith('data:') ? 'inline (data URI)' : filename,
+                alt: alt === null ? null : alt.trim(),
+                decorative: this.isDecorativeImage(img, filename),
+                width: width ? parseInt(width) || null : null,
+                height: height ? parseInt(height) || null : null,
+                loading: (img.getAttribute('loading') || '').toLowerCase() || null,
+                lazyScript: img.hasAttribute('data-src') || img.hasAttribute('data-lazy-src') || /\blazy/i.test(img.className || ''),
+                hasSrcset: img.hasAttribute('srcset') || img.hasAttribute('data-srcset') || !!picture?.querySelector('source[srcset]'),
+                modernSource: !!picture?.querySelector('source[type="image/webp"], source[type="image/avif"]'),
+                aboveFold: index < IMAGE_THRESHOLDS.aboveFoldCount,
+                format: this.getImageFormat(null, src),
+                size: null,
+                status: null,
+                issues: []
+            };
+        });
 
-    const url = urlInput.value.trim();
-    const keyword = keywordInput.value.trim();
+        // Bestandsgrootte en content-type per unieke afbeelding via de proxy
+        const remoteUrls = [...new Set(items.map(item => item.fullUrl).filter(url => /^https?:\/\//i.test(url)))]
+            .slice(0, IMAGE_THRESHOLDS.maxChecks);
+        const headerResults = new Map();
+        await this.runWithConcurrency(remoteUrls, this.linkCheckConcurrency, async url => {
+            headerResults.set(url, await this.requestResourceHeaders(url));
+        });
 
-    if (!url) {
-        showErrorMessage('URL Vereist', 'Voer een geldige URL in om te beginnen met de SEO analyse');
-        return;
+        items.forEach(item => {
+            const headers = headerResults.get(item.fullUrl);
+            if (headers) {
+                item.size = headers.size;
+                item.status = headers.status;
+                item.format = this.getImageFormat(headers.contentType, item.src);
+            }
+            item.issues = this.getImageIssues(item);
+        });
+
+        // Decoratieve afbeeldingen met alt="" tellen als correct
+        const hasAlt = item => item.alt || (item.alt === '' && item.decorative);
+        const withAlt = items.filter(hasAlt);
+        const missingAltImages = items
+            .filter(item => !hasAlt(item))
+            .map(item => ({ filename: item.filename, src: item.src, fullUrl: item.fullUrl }))
+            // Filter entries zonder bruikbare src / bestandsnaam, om lege kaarten te vermijden
+            .filter(img => img.src && img.filename);
+        const countIssue = id => items.filter(item => item.issues.some(issue => issue.id === id)).length;
+        const sizedItems = items.filter(item => item.size !== null);
+
+        return {
+            total: items.length,
+            withAlt: withAlt.length,
+            withoutAlt: items.length - withAlt.length,
+            percentage: items.length > 0 ? Math.round((withAlt.length / items.length) * 100) : 100,
+            missingAltImages: missingAltImages,
+            items,
+            checked: sizedItems.length,
+            totalSize: sizedItems.reduce((sum, item) => sum + item.size, 0),
+            legacyFormat: countIssue('format'),
+            largeFiles: countIssue('size'),
+            missingSrcset: countIssue('srcset'),
+            missingDimensions: countIssue('dimensions'),
+            missingLazy: countIssue('lazy'),
+            lazyAboveFold: countIssue('lazy-above-fold'),
+            decorativeWithAlt: countIssue('decorative'),
+            poorFilenames: countIssue('filename')
+        };
     }
 
-    // Demo mode voor lokale testing
-    if (url.toLowerCase().includes('demo') || url === 'demo') {
-        showDemoResults(keyword);
-        return;
+    // Resource inventaris: scripts, stylesheets, fonts, afbeeldingen, iframes en preloads met hun grootte
+    async analyzeResources(doc, pageUrl, html, images) {
+        const resources = new Map();
+        const addResource = (href, type, element, extra = {}) => {
+            if (!href || /^(data|blob|javascript):/i.test(href.trim())) return;
+            let url;
+            try {
+                url = new URL(href.trim(), pageUrl).href.split('#')[0];
+            } catch {
+                return;
+            }
+            if (!/^https?:\/\//i.test(url)) return;
+
+            const existing = resources.get(url);
+            if (existing) {
+                existing.preloaded = existing.preloaded || !!extra.preloaded;
+                existing.renderBlocking = existing.renderBlocking || !!extra.renderBlocking;
+                if (existing.size === null && extra.size !== undefined) existing.size = extra.size;
+                return;
+            }
+            resources.set(url, {
+                url,
+                type,
+                firstParty: this.isFirstPartyUrl(url, pageUrl),
+                renderBlocking: false,
+                preloaded: false,
+                size: null,
+                contentType: null,
+                ...extra,
+                inHead: !!element?.closest('head')
+            });
+        };
+
+        doc.querySelectorAll('script[src]').forEach(script => {
+            const inHead = !!script.closest('head');
+            const isModule = (script.getAttribute('type') || '').toLowerCase() === 'module';
+            addResource(script.getAttribute('src'), 'script', script, {
+                renderBlocking: inHead && !script.hasAttribute('async') && !script.hasAttribute('defer') && !isModule
+            });
+        });
+
+        doc.querySelectorAll('link[rel~="stylesheet"][href]').forEach(link => {
+            const media = (link.getAttribute('media') || 'all').toLowerCase();
+            addResource(link.getAttribute('href'), 'style', link, {
+                renderBlocking: !!link.closest('head') && !link.hasAttribute('disabled') && media !== 'print'
+            });
+        });
+
+        // Preloads en modulepreloads krijgen het type van hun "as" attribuut
+        const preloadTypes = { script: 'script', style: 'style', font: 'font', image: 'image', document: 'iframe' };
+        doc.querySelectorAll('link[rel~="preload"][href], link[rel~="modulepreload"][href]').forEach(link => {
+            const isModule = /modulepreload/i.test(link.getAttribute('rel'));
+            const type = isModule ? 'script' : (preloadTypes[(link.getAttribute('as') || '').toLowerCase()] || 'other');
+            addResource(link.getAttribute('href'), type, link, { preloaded: true });
+        });
+
+        // Webfonts uit inline @font-face regels
+        doc.querySelectorAll('style').forEach(style => {
+            const fontFaces = style.textContent.match(/@font-face\s*{[^}]*}/gi) || [];
+            fontFaces.forEach(rule => {
+                const fontUrl = rule.match(/url\(\s*['"]?([^'")]+\.(?:woff2?|ttf|otf|eot)(?:\?[^'")]*)?)['"]?\s*\)/i)?.[1];
+                addResource(fontUrl, 'font', style);
+            });
+        });
+
+        doc.querySelectorAll('iframe[src]').forEach(iframe => addResource(iframe.getAttribute('src'), 'iframe', iframe));
+
+        // Afbeeldingen zijn al gemeten in de afbeelding audit
+        images.items.forEach(item => addResource(item.src, 'image', null, { size: item.size }));
+
+        const toMeasure = Array.from(resources.values())
+            .filter(resource => resource.size === null && resource.type !== 'image')
+            .slice(0, this.maxResourceChecks);
+        await this.runWithConcurrency(toMeasure, this.linkCheckConcurrency, async resource => {
+            const headers = await this.requestResourceHeaders(resource.url);
+            if (headers) {
+                resource.size = headers.size;
+                resource.contentType = headers.contentType;
+            }
+        });
+
+        const list = Array.from(resources.values());
+        const documentSize = new TextEncoder().encode(html || '').length;
+        const sumSize = items => items.reduce((sum, item) => sum + (item.size || 0), 0);
+        const totals = {};
+        ['script', 'style', 'font', 'image', 'iframe', 'other'].forEach(type => {
+            const items = list.filter(resource => resource.type === type);
+            totals[type] = { count: items.length, size: sumSize(items) };
+        });
+        const firstParty = list.filter(resource => resource.firstParty);
+        const thirdParty = list.filter(resource => !resource.firstParty);
+
+        const performance = {
+            resources: list,
+            documentSize,
+            totals,
+            firstParty: { count: firstParty.length, size: sumSize(firstParty) },
+            thirdParty: {
+                count: thirdParty.length,
+                size: sumSize(thirdParty),
+                hosts: [...new Set(thirdParty.map(resource => new URL(resource.url).hostname))]
+            },
+            renderBlocking: list.filter(resource => resource.renderBlocking),
+            preloads: list.filter(resource => resource.preloaded).length,
+            requestCount: list.length + 1,
+            totalSize: documentSize + sumSize(list),
+            measured: list.filter(resource => resource.size !== null).length,
+            unmeasured: list.filter(resource => resource.size === null).length
+        };
+        return this.evaluatePerformanceBudgets(performance);
+    }
+
+    // Vergelijk de gemeten groottes met de ingestelde budgetten
+    evaluatePerformanceBudgets(performance) {
+        const budgets = this.performanceBudgets;
+        const checks = [
+            { id: 'total', label: 'Totaal', actual: performance.totalSize },
+            { id: 'script', label: 'JavaScript', actual: performance.totals.script.size },
+            { id: 'style', label: 'CSS', actual: performance.totals.style.size },
+            { id: 'image', label: 'Afbeeldingen', actual: performance.totals.image.size },
+            { id: 'font', label: 'Fonts', actual: performance.totals.font.size },
+            { id: 'thirdParty', label: 'Third-party', actual: performance.thirdParty.size },
+            { id: 'requests', label: 'Requests', actual: performance.requestCount, isCount: true }
+        ].map(check => ({
+            ...check,
+            budget: budgets[check.id],
+            // Zonder gemeten groottes zijn alleen de requests te beoordelen
+            exceeded: (check.isCount || performance.measured > 0) && check.actual > budgets[check.id]
+        }));
+
+        return { ...performance, budgets: checks, overBudget: checks.some(check => check.exceeded) };
     }
 
-    try {
-        analyzeBtn.disabled = true;
-        loadingSection.style.display = 'block';
-        resultsSection.style.display = 'none';
+    loadPerformanceBudgets() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('seomax_performance_budgets')) || {};
+            return { ...PERFORMANCE_BUDGETS, ...saved };
+        } catch (error) {
+            return { ...PERFORMANCE_BUDGETS };
+        }
+    }
 
-        const results = await seoChecker.analyzeWebsite(url, keyword);
-        displayResults(results);
+    savePerformanceBudgets(budgets) {
+        this.performanceBudgets = { ...PERFORMANCE_BUDGETS, ...budgets };
+        localStorage.setItem('seomax_performance_budgets', JSON.stringify(this.performanceBudgets));
+    }
 
-        loadingSection.style.display = 'none';
-        resultsSection.style.display = 'block';
-    } catch (error) {
-        console.error('Analysis error:', error);
-        
-        // Show error in a less intrusive way
-        showErrorMessage(`Analyse fout: ${error.message}`, 'Probeer demo mode door "demo" in te typen');
-        
-        loadingSection.style.display = 'none';
-    } finally {
-        analyzeBtn.disabled = false;
+    // Subdomeinen van hetzelfde domein (cdn.example.com bij www.example.com) tellen als first-party
+    isFirstPartyUrl(url, pageUrl) {
+        try {
+            const host = new URL(url).hostname;
+            const root = new URL(pageUrl).hostname.replace(/^www\./, '');
+            return host === root || host.endsWith(`.${root}`);
+        } catch {
+            return false;
+        }
     }
-}
 
-function showErrorMessage(title, subtitle) {
-    // Create error notification instead of alert
-    const errorDiv = document.createElement('div');
-    errorDiv.className = 'error-notification';
-    errorDiv.innerHTML = `
-        <div class="error-content">
-            <i class="fas fa-exclamation-triangle"></i>
-            <div class="error-text">
-                <strong>${title}</strong>
-                <p>${subtitle}</p>
-            </div>
-            <button onclick="this.parentElement.parentElement.remove()" class="error-close">
-                <i class="fas fa-times"></i>
-            </button>
-        </div>
-    `;
-    
-    document.body.appendChild(errorDiv);
-    
-    // Auto remove after 5 seconds
-    setTimeout(() => {
-        if (errorDiv.parentElement) {
-            errorDiv.remove();
+    async requestResourceHeaders(url) {
+        try {
+            const response = await requestScheduler.fetch(url, { method: 'HEAD', timeout: this.linkCheckTimeout });
+            const length = parseInt(response.headers.get('content-length'));
+            return {
+                status: response.status,
+                size: Number.isFinite(length) ? length : null,
+                contentType: response.headers.get('content-type') || null
+            };
+        } catch (error) {
+            // Geen transport met HEAD ondersteuning bereikbaar: grootte en type blijven onbekend
+            return null;
         }
-    }, 5000);
-}
+    }
 
-function showDemoResults(keyword) {
-    const demoKeyword = keyword || 'webdesign';
-    
-    // Verschillende demo scenario's
-    const scenarios = {
-        'webdesign': {
-            title: `Professioneel ${demoKeyword} - Moderne websites`,
-            h1: [`Beste ${demoKeyword} bureau`],
-            meta: `Wij zijn gespecialiseerd in ${demoKeyword} en maken moderne, responsive websites die converteren.`,
-            score: 'excellent'
-        },
-        'seo': {
-            title: `${demoKeyword.toUpperCase()} Expert - Zoekmachine Optimalisatie`,
-            h1: [`${demoKeyword.toUpperCase()} diensten voor betere rankings`],
-            meta: `Professionele ${demoKeyword} diensten om je website hoger in Google te laten ranken. Meer verkeer gegarandeerd.`,
-            score: 'good'
-        },
-        'marketing': {
-            title: `Online ${demoKeyword} Bureau Amsterdam`,
-            h1: [`Digitaal ${demoKeyword} dat werkt`],
-            meta: `Verhoog je omzet met onze bewezen ${demoKeyword} strategieën. Specialist in online groei.`,
-            score: 'average'
+    getImageFormat(contentType, src) {
+        const type = (contentType || '').split(';')[0].trim().toLowerCase();
+        const dataType = src.match(/^data:image\/([a-z0-9+.-]+)/i)?.[1];
+        const extension = src.split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i)?.[1];
+        const format = (type.startsWith('image/') ? type.slice(6) : null) || dataType || extension;
+        if (!format) return null;
+
+        const normalized = format.toLowerCase().replace('svg+xml', 'svg').replace('x-icon', 'ico').replace('vnd.microsoft.icon', 'ico');
+        return normalized === 'jpg' ? 'jpeg' : normalized;
+    }
+
+    isDecorativeImage(img, filename) {
+        const role = (img.getAttribute('role') || '').toLowerCase();
+        if (role === 'presentation' || role === 'none' || img.getAttribute('aria-hidden') === 'true') return true;
+        if (img.getAttribute('width') === '1' && img.getAttribute('height') === '1') return true;
+        return /(^|[-_.])(spacer|blank|pixel|transparent|divider|separator|shadow|bullet|border|corner|bg|background|decoration|ornament)([-_.]|\d|$)/i.test(filename);
+    }
+
+    getImageIssues(item) {
+        const issues = [];
+        const add = (id, label) => issues.push({ id, label });
+        const isInline = item.src.startsWith('data:');
+        const isPhoto = ['jpeg', 'png'].includes(item.format) && !isInline;
+
+        if (item.alt === null && !item.decorative) add('alt', 'Alt attribuut ontbreekt');
+        else if (item.alt === null) add('alt', 'Decoratief: voeg alt="" toe');
+        else if (item.alt === '' && !item.decorative) add('alt', 'Lege alt-text');
+        if (item.decorative && item.alt) add('decorative', 'Decoratief: gebruik alt=""');
+
+        if (isPhoto && !item.modernSource) add('format', `${item.format.toUpperCase()}: WebP of AVIF is kleiner`);
+        if (item.size !== null && item.size > IMAGE_THRESHOLDS.largeFileSize) add('size', `Groot bestand (${formatBytes(item.size)})`);
+        if (!item.hasSrcset && item.format !== 'svg' &&
+            ((item.size !== null && item.size > IMAGE_THRESHOLDS.srcsetFileSize) || (item.width || 0) > IMAGE_THRESHOLDS.srcsetWidth)) {
+            add('srcset', 'Geen srcset voor kleinere schermen');
         }
-    };
-    
-    const scenario = scenarios[demoKeyword.toLowerCase()] || scenarios['webdesign'];
-    
-    // Simuleer demo resultaten
-    seoChecker.results = {
-        url: `https://demo-${demoKeyword.toLowerCase()}.com`,
-        keyword: demoKeyword,
-        status: { statusCode: 200, isSuccess: true, noindex: false, nofollow: false },
-        title: { 
-            exists: true, 
-            content: scenario.title, 
-            length: scenario.title.length, 
-            isOptimal: scenario.title.length >= 30 && scenario.title.length <= 60, 
-            hasKeyword: scenario.title.toLowerCase().includes(demoKeyword.toLowerCase())
-        },
-        h1: { 
-            count: 1, 
-            isOptimal: true, 
-            content: scenario.h1, 
-            hasKeyword: scenario.h1[0].toLowerCase().includes(demoKeyword.toLowerCase())
-        },
-        meta: { 
-            exists: true, 
-            content: scenario.meta, 
-            length: scenario.meta.length, 
-            isOptimal: scenario.meta.length >= 120 && scenario.meta.length <= 160, 
-            noindex: false, 
-            nofollow: false 
-        },
-        images: { 
-            total: Math.floor(Math.random() * 10) + 5, 
-            withAlt: Math.floor(Math.random() * 8) + 4, 
-            withoutAlt: Math.floor(Math.random() * 3), 
-            percentage: Math.floor(Math.random() * 30) + 70 
-        },
-        canonical: { exists: true, url: `https://demo-${demoKeyword.toLowerCase()}.com`, isSelfReferencing: true, isValid: true },
-        links: { 
-            total: Math.floor(Math.random() * 20) + 10, 
-            internal: Math.floor(Math.random() * 15) + 8, 
-            external: Math.floor(Math.random() * 5) + 2, 
-            broken: Math.floor(Math.random() * 2), 
-            checked: Math.floor(Math.random() * 20) + 10 
-        },
-        urlStructure: { 
-            length: `https://demo-${demoKeyword.toLowerCase()}.com`.length, 
-            isShort: true, 
-            hasParameters: false, 
-            depth: 1, 
-            isReadable: true, 
-            protocol: 'https:' 
-        }
-    };
-    
-    // Bereken percentage voor images
-    seoChecker.results.images.percentage = Math.round((seoChecker.results.images.withAlt / seoChecker.results.images.total) * 100);
-    
-    displayResults(seoChecker.results);
-    document.getElementById('resultsSection').style.display = 'block';
-    
-    // Toon demo melding
-    setTimeout(() => {
-        alert(`✅ Demo analyse voltooid!\n\n🎯 Zoekwoord: "${demoKeyword}"\n📊 SEO Score: ${seoChecker.calculateScore()}%\n\n💡 Probeer verschillende zoekwoorden zoals:\n• seo\n• marketing\n• webshop\n• consultant`);
-    }, 1000);
-}
 
-function displayResults(results) {
-    try {
-        console.log('Displaying results:', results);
-        
-        // Safe display with individual error handling
-        safeDisplayFunction(() => displayDashboardStats(results), 'Dashboard Stats');
-        safeDisplayFunction(() => displayCoreVitals(results), 'Core Vitals');
-        safeDisplayFunction(() => displayTopIssues(results), 'Top Issues');
-        safeDisplayFunction(() => displayStatusResults(results.status), 'Status Results');
-        safeDisplayFunction(() => displayTitleResults(results.title), 'Title Results');
-        safeDisplayFunction(() => displayH1Results(results.h1), 'H1 Results');
-        safeDisplayFunction(() => displayMetaResults(results.meta), 'Meta Results');
-        safeDisplayFunction(() => displayImageResults(results.images), 'Image Results');
-        safeDisplayFunction(() => displayCanonicalResults(results.canonical), 'Canonical Results');
-        safeDisplayFunction(() => displayLinksResults(results.links), 'Links Results');
-        safeDisplayFunction(() => displayURLResults(results.urlStructure), 'URL Results');
-        safeDisplayFunction(() => displaySummary(), 'Summary');
-        
-        console.log('All results displayed successfully');
-        
-        // Show save button after successful analysis
-        const saveBtn = document.getElementById('saveBtn');
-        if (saveBtn) saveBtn.style.display = 'inline-flex';
-        
-        // Setup homepage preview
-        setupHomepagePreview();
-        
-    } catch (error) {
-        console.error('Display error:', error);
-        // Don't show alert anymore, just log the error
-    }
-}
+        if (!item.width || !item.height) add('dimensions', 'Width/height ontbreekt (CLS)');
+        if (!item.aboveFold && !isInline && item.loading !== 'lazy' && !item.lazyScript) add('lazy', 'Geen loading="lazy"');
+        if (item.aboveFold && item.loading === 'lazy') add('lazy-above-fold', 'Lazy boven de vouw (LCP)');
 
-function safeDisplayFunction(displayFunc, name) {
-    try {
-        displayFunc();
-    } catch (error) {
-        console.warn(`Failed to display ${name}:`, error);
-        // Continue with other displays instead of stopping
+        if (/^(IMG|DSC|DSCN|DSCF|DCIM|PXL|GOPR|MVIMG|WhatsApp[ _]Image|Screenshot|Schermafbeelding|image|photo|foto)[-_ ]?\d/i.test(item.filename) ||
+            /^[0-9a-f-]{20,}\.[a-z]+$/i.test(item.filename)) {
+            add('filename', 'Niet-beschrijvende bestandsnaam');
+        }
+        return issues;
     }
-}
 
-function displayDashboardStats(results) {
-    const score = seoChecker.calculateScore();
-    
-    // SEO Score with Circular Progress
-    const scoreElement = document.getElementById('scoreValue');
-    if (scoreElement) {
-        scoreElement.textContent = score;
-        updateCircularProgress(score);
+    // hreflang uit de <head>, de HTTP Link header en sitemap xhtml:link entries
+    async analyzeHreflang(doc, url, headers, languageInfo) {
+        const pageUrl = this.normalizeHreflangUrl(url, url);
+        const entries = [];
+
+        doc.querySelectorAll('link[rel~="alternate"][hreflang]').forEach(link => {
+            const href = link.getAttribute('href') || '';
+            entries.push({
+                hreflang: link.getAttribute('hreflang').trim(),
+                href: this.normalizeHreflangUrl(href, url),
+                rawHref: href,
+                source: 'html',
+                inBody: !!link.closest('body')
+            });
+        });
+
+        this.parseLinkHeader(headers?.get?.('link') || '')
+            .filter(link => /\balternate\b/i.test(link.params.rel || '') && link.params.hreflang)
+            .forEach(link => entries.push({
+                hreflang: link.params.hreflang,
+                href: this.normalizeHreflangUrl(link.url, url),
+                rawHref: link.url,
+                source: 'header',
+                inBody: false
+            }));
+
+        // Sitemap alternates alleen als de sitemap al geladen is (sitewide analyse); één pagina laadt niet de hele sitemap boom
+        const sitemap = sitemapParser.getLoaded(url);
+        const sitemapEntry = sitemap?.urls.find(entry => this.normalizeHreflangUrl(entry.loc, url) === pageUrl);
+        sitemapEntry?.alternates.forEach(alternate => entries.push({
+            hreflang: alternate.hreflang,
+            href: this.normalizeHreflangUrl(alternate.href, url),
+            rawHref: alternate.href,
+            source: 'sitemap',
+            inBody: false
+        }));
+
+        const invalidCodes = [];
+        entries.forEach(entry => {
+            const reason = this.validateHreflangCode(entry.hreflang);
+            if (reason && !invalidCodes.some(invalid => invalid.hreflang === entry.hreflang)) {
+                invalidCodes.push({ hreflang: entry.hreflang, reason });
+            }
+        });
+
+        // Dezelfde hreflang code met verschillende URLs binnen één bron
+        const conflicts = [];
+        ['html', 'header', 'sitemap'].forEach(source => {
+            const byCode = new Map();
+            entries.filter(entry => entry.source === source).forEach(entry => {
+                const code = entry.hreflang.toLowerCase();
+                if (byCode.has(code) && byCode.get(code) !== entry.href) {
+                    conflicts.push({ hreflang: entry.hreflang, source, urls: [byCode.get(code), entry.href] });
+                }
+                byCode.set(code, entry.href);
+            });
+        });
+
+        const sources = {
+            html: entries.filter(entry => entry.source === 'html').length,
+            header: entries.filter(entry => entry.source === 'header').length,
+            sitemap: entries.filter(entry => entry.source === 'sitemap').length
+        };
+        const selfEntry = entries.find(entry => entry.href === pageUrl && entry.hreflang.toLowerCase() !== 'x-default');
+        const relativeUrls = entries.filter(entry => entry.rawHref && !/^https?:\/\//i.test(entry.rawHref));
+        const inBody = entries.filter(entry => entry.inBody).length;
+        const exists = entries.length > 0;
+
+        // <html lang> vergelijken met de gedetecteerde taal (alleen NL/EN kan gedetecteerd worden)
+        const declaredCode = languageInfo.declaredLanguage ? languageInfo.declaredLanguage.split('-')[0] : null;
+        const langMatches = declaredCode && READABILITY_LANGUAGES[declaredCode]
+            ? declaredCode === languageInfo.detectedLanguage
+            : null;
+        const selfLanguage = selfEntry ? selfEntry.hreflang.split('-')[0].toLowerCase() : null;
+        const hreflangMatchesLang = selfLanguage && declaredCode ? selfLanguage === declaredCode : null;
+
+        const errors = [];
+        const warnings = [];
+        invalidCodes.forEach(invalid => errors.push(`Ongeldige hreflang "${invalid.hreflang}": ${invalid.reason}`));
+        conflicts.forEach(conflict => errors.push(`hreflang "${conflict.hreflang}" verwijst naar meerdere URLs (${conflict.source})`));
+        if (exists && !selfEntry) errors.push('Geen self-referencing hreflang voor deze pagina');
+        if (inBody > 0) errors.push(`${inBody} hreflang link(s) in de <body> worden genegeerd door zoekmachines`);
+        if (exists && !entries.some(entry => entry.hreflang.toLowerCase() === 'x-default')) warnings.push('Geen x-default hreflang');
+        if (relativeUrls.length > 0) warnings.push(`${relativeUrls.length} hreflang URL(s) zijn niet absoluut`);
+        if (!languageInfo.declaredLanguage) warnings.push('Geen lang attribuut op <html>');
+        if (langMatches === false) {
+            warnings.push(`<html lang="${languageInfo.declaredLanguage}"> komt niet overeen met de gedetecteerde taal (${languageInfo.detectedLanguage})`);
+        }
+        if (hreflangMatchesLang === false) {
+            warnings.push(`Self-referencing hreflang "${selfEntry.hreflang}" komt niet overeen met <html lang="${languageInfo.declaredLanguage}">`);
+        }
+
+        return {
+            exists,
+            entries: entries.map(({ inBody: _inBody, rawHref: _rawHref, ...entry }) => entry),
+            sources,
+            alternates: [...new Set(entries.filter(entry => entry.href && entry.href !== pageUrl).map(entry => entry.href))],
+            invalidCodes,
+            conflicts,
+            hasXDefault: entries.some(entry => entry.hreflang.toLowerCase() === 'x-default'),
+            hasSelfReference: !!selfEntry,
+            selfHreflang: selfEntry ? selfEntry.hreflang : null,
+            htmlLang: languageInfo.declaredLanguage,
+            detectedLanguage: languageInfo.detectedLanguage,
+            langMatches,
+            errors,
+            warnings,
+            isValid: errors.length === 0
+        };
     }
-    
-    const scoreTrend = document.getElementById('scoreTrend');
-    if (scoreTrend) {
-        if (score >= 80) {
-            scoreTrend.textContent = '+' + Math.floor(Math.random() * 5 + 1);
-            scoreTrend.className = 'stat-trend positive';
-        } else if (score >= 60) {
-            scoreTrend.textContent = '±0';
-            scoreTrend.className = 'stat-trend neutral';
-        } else {
-            scoreTrend.textContent = '-' + Math.floor(Math.random() * 3 + 1);
-            scoreTrend.className = 'stat-trend';
+
+    validateHreflangCode(code) {
+        if (code.toLowerCase() === 'x-default') return null;
+
+        const parts = code.split(/[-_]/);
+        if (code.includes('_')) return 'gebruik een koppelteken in plaats van een underscore';
+
+        const language = parts[0].toLowerCase();
+        if (!ISO_LANGUAGE_CODES.has(language)) {
+            return ISO_REGION_CODES.has(parts[0].toUpperCase()) && parts.length === 1
+                ? 'alleen een regio is niet toegestaan, de taal is verplicht (bijv. nl-BE)'
+                : `"${parts[0]}" is geen ISO 639-1 taalcode`;
+        }
+
+        // Optioneel script subtag (zh-Hant), daarna de regio
+        const rest = parts.slice(1).filter(part => !/^[a-z]{4}$/i.test(part));
+        if (rest.length > 1) return 'te veel onderdelen';
+        if (rest.length === 1) {
+            const region = rest[0].toUpperCase();
+            if (region in HREFLANG_REGION_MISTAKES) {
+                const suggestion = HREFLANG_REGION_MISTAKES[region];
+                return `"${rest[0]}" is geen ISO 3166-1 regiocode${suggestion ? ` (bedoeld: ${language}-${suggestion}?)` : ''}`;
+            }
+            if (!ISO_REGION_CODES.has(region) && !/^\d{3}$/.test(region)) {
+                return `"${rest[0]}" is geen ISO 3166-1 regiocode`;
+            }
         }
+        return null;
     }
-    
-    // Content Health
-    const contentElements = [results.title, results.h1, results.meta].filter(Boolean);
-    const contentScore = contentElements.filter(el => el.exists || el.count > 0).length;
-    const contentHealthEl = document.getElementById('contentHealth');
-    const contentSubtitleEl = document.getElementById('contentSubtitle');
-    if (contentHealthEl) contentHealthEl.textContent = contentScore;
-    if (contentSubtitleEl) contentSubtitleEl.textContent = `${contentElements.length} elements checked`;
-    
-    // Technical SEO
-    const techScore = Math.round((results.images.percentage + (results.canonical.exists ? 100 : 0) + (results.links.broken === 0 ? 100 : 50)) / 3);
-    const techScoreEl = document.getElementById('techScore');
-    if (techScoreEl) techScoreEl.textContent = techScore + '%';
-    
-    const techTrend = document.getElementById('techTrend');
-    if (techTrend) {
-        if (techScore >= 80) {
-            techTrend.textContent = '+2';
-            techTrend.className = 'stat-trend positive';
-        } else {
-            techTrend.textContent = '-1';
-            techTrend.className = 'stat-trend';
+
+    normalizeHreflangUrl(href, baseUrl) {
+        try {
+            const urlObj = new URL(href, baseUrl);
+            urlObj.hash = '';
+            return urlObj.href;
+        } catch {
+            return null;
         }
     }
-    
-    // Issues Count
-    const issues = calculateIssues(results);
-    const issuesCountEl = document.getElementById('issuesCount');
-    const issuesSubtitleEl = document.getElementById('issuesSubtitle');
-    if (issuesCountEl) issuesCountEl.textContent = issues.total;
-    if (issuesSubtitleEl) issuesSubtitleEl.textContent = `${issues.critical} critical`;
-    
-    const issuesTrend = document.getElementById('issuesTrend');
-    if (issuesTrend) {
-        if (issues.total <= 2) {
-            issuesTrend.textContent = '-1';
-            issuesTrend.className = 'stat-trend positive';
-        } else {
-            issuesTrend.textContent = '+' + Math.floor(issues.total / 2);
-            issuesTrend.className = 'stat-trend';
+
+    // <https://example.com/en/>; rel="alternate"; hreflang="en", <...>; rel="canonical"
+    parseLinkHeader(value) {
+        const links = [];
+        const pattern = /<([^>]*)>((?:\s*;\s*[^;,]+)*)/g;
+        let match;
+        while ((match = pattern.exec(value)) !== null) {
+            const params = {};
+            match[2].split(';').map(param => param.trim()).filter(Boolean).forEach(param => {
+                const [key, ...valueParts] = param.split('=');
+                params[key.trim().toLowerCase()] = valueParts.join('=').trim().replace(/^"|"$/g, '');
+            });
+            links.push({ url: match[1].trim(), params });
         }
+        return links;
     }
-}
 
-function displayCoreVitals(results) {
-    // Title Optimization
-    const titleScore = results.title.isOptimal ? 100 : (results.title.exists ? 60 : 0);
-    updateVitalBar('titleProgress', titleScore);
-    const titleScoreEl = document.getElementById('titleScore');
-    if (titleScoreEl) titleScoreEl.textContent = titleScore + '%';
-    
-    // Meta Description
-    const metaScore = results.meta.isOptimal ? 100 : (results.meta.exists ? 70 : 0);
-    updateVitalBar('metaProgress', metaScore);
-    const metaScoreEl = document.getElementById('metaScore');
-    if (metaScoreEl) metaScoreEl.textContent = metaScore + '%';
-    
-    // Image Alt Text
-    const imageScore = results.images.percentage;
-    updateVitalBar('imageProgress', imageScore);
-    const imageScoreEl = document.getElementById('imageScore');
-    if (imageScoreEl) imageScoreEl.textContent = imageScore + '%';
-}
+    // Canonical uit de HTML en de HTTP Link header, opgelost tegen de base URL en gecontroleerd op het doel
+    async analyzeCanonical(doc, currentUrl, headers) {
+        const baseHref = doc.querySelector('base[href]')?.getAttribute('href');
+        const baseUrl = this.resolveRedirectTarget(baseHref || '', currentUrl) || currentUrl;
 
-function updateVitalBar(elementId, score) {
-    const progressBar = document.getElementById(elementId);
-    if (!progressBar) return;
-    
-    let className = 'vital-progress ';
-    
-    if (score >= 90) className += 'great';
-    else if (score >= 70) className += 'good';
-    else if (score >= 50) className += 'needs-improvement';
-    else className += 'poor';
-    
-    progressBar.className = className;
-    progressBar.style.width = score + '%';
-}
+        const tags = Array.from(doc.querySelectorAll('link[rel~="canonical" i]')).map(link => {
+            const href = (link.getAttribute('href') || '').trim();
+            return {
+                href,
+                url: href ? this.resolveRedirectTarget(href, baseUrl) : null,
+                inBody: !!link.closest('body')
+            };
+        });
+        const headerCanonical = this.parseLinkHeader(headers?.get?.('link') || '')
+            .find(link => /\bcanonical\b/i.test(link.params.rel || ''));
+        const headerUrl = headerCanonical ? this.resolveRedirectTarget(headerCanonical.url, currentUrl) : null;
+
+        const headTags = tags.filter(tag => !tag.inBody);
+        const primary = headTags[0] || (headerUrl ? null : tags[0]) || null;
+        const canonicalUrl = primary ? primary.url : headerUrl;
+        const exists = tags.length > 0 || !!headerUrl;
+
+        const errors = [];
+        const warnings = [];
+        if (!exists) {
+            return { exists: false, url: null, rawHref: null, isSelfReferencing: false, isValid: false, tags: [], headerUrl: null, crossDomain: false, target: null, errors, warnings };
+        }
 
-function displayTopIssues(results) {
-    const issues = [];
-    
-    if (!results.title.exists) {
-        issues.push({ text: 'Title tag missing', type: 'error', count: 1 });
-    } else if (!results.title.isOptimal) {
-        issues.push({ text: 'Title length not optimal', type: 'warning', count: 1 });
-    }
-    
-    if (!results.h1.isOptimal) {
-        issues.push({ text: results.h1.count === 0 ? 'H1 tag missing' : 'Multiple H1 tags', type: 'error', count: Math.abs(results.h1.count - 1) });
-    }
-    
-    if (!results.meta.exists) {
-        issues.push({ text: 'Meta description missing', type: 'warning', count: 1 });
-    } else if (!results.meta.isOptimal) {
-        issues.push({ text: 'Meta description length not optimal', type: 'notice', count: 1 });
-    }
-    
-    if (results.images.withoutAlt > 0) {
-        issues.push({ text: 'Images without alt text', type: 'warning', count: results.images.withoutAlt });
+        const normalizedCanonical = this.normalizeCanonicalUrl(canonicalUrl);
+        const normalizedCurrent = this.normalizeCanonicalUrl(currentUrl);
+        const isSelfReferencing = !!normalizedCanonical && normalizedCanonical === normalizedCurrent;
+        const crossDomain = !!canonicalUrl && new URL(canonicalUrl).hostname !== new URL(currentUrl).hostname;
+
+        if (primary && !primary.url) errors.push(primary.href ? `Ongeldige canonical URL "${primary.href}"` : 'Canonical tag zonder href');
+        const distinctHeadUrls = [...new Set(headTags.map(tag => this.normalizeCanonicalUrl(tag.url)))];
+        if (distinctHeadUrls.length > 1) {
+            errors.push(`${headTags.length} canonical tags met verschillende URLs; zoekmachines negeren ze dan allemaal`);
+        } else if (headTags.length > 1) {
+            warnings.push(`Canonical tag staat ${headTags.length} keer in de <head>`);
+        }
+        if (tags.some(tag => tag.inBody)) errors.push('Canonical in de <body> wordt genegeerd door zoekmachines');
+        if (headerUrl && primary?.url && this.normalizeCanonicalUrl(headerUrl) !== normalizedCanonical) {
+            errors.push(`HTTP Link header canonical (${headerUrl}) verschilt van de canonical tag`);
+        }
+        if (primary?.href && !/^https?:\/\//i.test(primary.href)) warnings.push('Relatieve canonical URL; een absolute URL is betrouwbaarder');
+        if (crossDomain) warnings.push(`Cross-domain canonical naar ${new URL(canonicalUrl).hostname}`);
+        if (canonicalUrl && canonicalUrl.startsWith('http:') && currentUrl.startsWith('https:')) {
+            warnings.push('Canonical verwijst naar de HTTP versie van een HTTPS pagina');
+        }
+
+        // Het doel van een niet-zelfverwijzende canonical ophalen: redirect, foutcode of noindex maken de canonical ongeldig
+        let target = null;
+        if (canonicalUrl && !isSelfReferencing) {
+            const trace = await this.traceRedirects(canonicalUrl);
+            target = {
+                url: canonicalUrl,
+                status: trace.status,
+                finalUrl: trace.finalUrl,
+                redirects: trace.redirects,
+                loop: trace.loop,
+                noindex: trace.noindex || false,
+                canonical: trace.canonical || null,
+                error: trace.error
+            };
+
+            if (trace.loop) errors.push('Canonical doel zit in een redirect loop');
+            else if (trace.redirects > 0) errors.push(`Canonical verwijst naar een redirect (${trace.redirects}x) naar ${trace.finalUrl}`);
+            if (trace.status >= 400) errors.push(`Canonical doel geeft HTTP ${trace.status}`);
+            if (target.noindex) errors.push('Canonical doel staat op noindex');
+            if (target.canonical && this.normalizeCanonicalUrl(target.canonical) !== this.normalizeCanonicalUrl(trace.finalUrl)) {
+                warnings.push(`Canonical doel verwijst zelf naar een andere canonical (${target.canonical})`);
+            }
+            if (trace.status === null && !trace.loop && trace.redirects === 0) {
+                warnings.push(`Status van het canonical doel onbekend${trace.error ? ` (${trace.error})` : ''}`);
+            }
+        }
+
+        return {
+            exists,
+            url: canonicalUrl,
+            rawHref: primary ? primary.href : headerCanonical.url,
+            source: primary ? 'html' : 'header',
+            isSelfReferencing,
+            isValid: !!canonicalUrl && this.isValidURL(canonicalUrl) && errors.length === 0,
+            tags,
+            headerUrl,
+            crossDomain,
+            target,
+            errors,
+            warnings
+        };
     }
-    
-    if (!results.canonical.exists) {
-        issues.push({ text: 'Canonical URL missing', type: 'notice', count: 1 });
+
+    // Voor vergelijking: zonder fragment, zonder trailing slash (behalve de root) en met een lowercase host
+    normalizeCanonicalUrl(url) {
+        try {
+            const urlObj = new URL(url);
+            urlObj.hash = '';
+            if (urlObj.pathname.length > 1) urlObj.pathname = urlObj.pathname.replace(/\/+$/, '');
+            return urlObj.href;
+        } catch {
+            return null;
+        }
     }
-    
-    const topIssuesContainer = document.getElementById('topIssues');
-    if (!topIssuesContainer) return;
-    
+
+    async analyzeLinks(doc, baseUrl) {
+        const links = doc.querySelectorAll('a[href]');
+        const linkData = {
+            total: links.length,
+            internal: 0,
+            external: 0,
+            broken: 0,
+            redirected: 0,
+            checked: 0,
+            averageResponseTime: 0,
+            items: []
+        };
+
+        // Verzamel unieke link targets (zonder anchors) met hun anchor teksten
+        const uniqueLinks = new Map();
+        for (const link of links) {
+            const href = (link.getAttribute('href') || '').trim();
+            if (!href || href.startsWith('#') || /^(mailto|tel|javascript):/i.test(href)) continue;
+
+            let fullUrl;
+            try {
+                const urlObj = new URL(href, baseUrl);
+                urlObj.hash = '';
+                fullUrl = urlObj.href;
+            } catch (error) {
+                // Ongeldige href is altijd een kapotte link
+                linkData.items.push({
+                    url: href,
+                    text: link.textContent.trim(),
+                    internal: true,
+                    occurrences: 1,
+                    status: null,
+                    statusText: '',
+                    redirectTo: null,
+                    responseTime: null,
+                    broken: true,
+                    error: 'Ongeldige URL'
+                });
+                linkData.broken++;
+                linkData.checked++;
+                continue;
+            }
+
+            if (uniqueLinks.has(fullUrl)) {
+                uniqueLinks.get(fullUrl).occurrences++;
+                continue;
+            }
+
+            uniqueLinks.set(fullUrl, {
+                url: fullUrl,
+                text: link.textContent.trim(),
+                internal: new URL(fullUrl).hostname === new URL(baseUrl).hostname,
+                occurrences: 1
+            });
+        }
+
+        // Controleer elke link met een echte HEAD/GET request via de proxy
+        const checkedLinks = await this.runWithConcurrency(
+            Array.from(uniqueLinks.values()),
+            this.linkCheckConcurrency,
+            async (link) => ({ ...link, ...(await this.checkLinkStatus(link.url)) })
+        );
+
+        for (const link of checkedLinks) {
+            if (link.internal) {
+                linkData.internal++;
+            } else {
+                linkData.external++;
+            }
+            if (link.broken) linkData.broken++;
+            if (link.redirectTo) linkData.redirected++;
+            linkData.checked++;
+            linkData.items.push(link);
+        }
+
+        const timedLinks = checkedLinks.filter(link => link.responseTime !== null);
+        if (timedLinks.length > 0) {
+            linkData.averageResponseTime = Math.round(
+                timedLinks.reduce((sum, link) => sum + link.responseTime, 0) / timedLinks.length
+            );
+        }
+
+        return linkData;
+    }
+
+    // Controleer de HTTP status van een link: eerst HEAD, daarna GET als de server HEAD weigert
+    async checkLinkStatus(url) {
+        const cached = this.linkStatusCache.get(url);
+        if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
+            return cached.result;
+        }
+
+        let result;
+        try {
+            result = await this.requestLinkStatus(url, 'HEAD');
+            if (result.status === 405 || result.status === 501) {
+                result = await this.requestLinkStatus(url, 'GET');
+            }
+        } catch (proxyError) {
+            // Proxy niet beschikbaar (bijv. lokaal): alleen bereikbaarheid is te controleren
+            result = requestScheduler.isBudgetExhausted()
+                ? this.getBudgetSkippedLinkStatus()
+                : await this.requestLinkReachability(url);
+        }
+
+        // Budget op: de link is niet gecontroleerd, niet als gebroken melden en niet cachen
+        if (!result.skipped) {
+            this.linkStatusCache.set(url, { result, timestamp: Date.now() });
+        }
+        return result;
+    }
+
+    getBudgetSkippedLinkStatus() {
+        return { status: null, statusText: 'Niet gecontroleerd (budget bereikt)', redirectTo: null, responseTime: null, broken: false, skipped: true, error: null };
+    }
+
+    async requestLinkStatus(url, method) {
+        const response = await requestScheduler.fetch(url, { method, body: false, timeout: this.linkCheckTimeout });
+
+        return {
+            status: response.status,
+            statusText: response.statusText,
+            redirectTo: response.redirected && response.url !== url ? response.url : null,
+            responseTime: response.timing.total,
+            broken: response.status >= 400,
+            noindex: !this.getHeaderRobotsDirectives(response.headers).index,
+            error: null
+        };
+    }
+
+    async requestLinkReachability(url) {
+        let startTime = null;
+        try {
+            // Ook via de scheduler, zodat deze fallback de limieten en het budget van een crawl respecteert
+            await requestScheduler.schedule(url, () => {
+                startTime = Date.now();
+                return this.fetchWithTimeout(url, { method: 'HEAD', mode: 'no-cors' }, this.linkCheckTimeout);
+            });
+            return {
+                status: null,
+                statusText: 'Bereikbaar (status onbekend)',
+                redirectTo: null,
+                responseTime: Date.now() - startTime,
+                broken: false,
+                error: null
+            };
+        } catch (error) {
+            // Niet verstuurd omdat het budget op is
+            if (startTime === null && requestScheduler.isBudgetExhausted()) {
+                return this.getBudgetSkippedLinkStatus();
+            }
+            return {
+                status: null,
+                statusText: '',
+                redirectTo: null,
+                responseTime: null,
+                broken: true,
+                error: error.name === 'AbortError' ? 'Timeout' : 'Niet bereikbaar'
+            };
+        }
+    }
+
+    // Volg redirects hop voor hop (HTTP 3xx, meta refresh en JS location) en detecteer loops
+    async traceRedirects(url) {
+        const chain = [];
+        const visited = new Set();
+        let currentUrl = url;
+        let loop = false;
+
+        while (chain.length <= this.maxRedirectHops) {
+            if (visited.has(currentUrl)) {
+                loop = true;
+                break;
+            }
+            visited.add(currentUrl);
+
+            let hop;
+            try {
+                hop = await this.requestRedirectHop(currentUrl);
+            } catch (proxyError) {
+                if (chain.length > 0) {
+                    chain.push({ url: currentUrl, status: null, type: 'error', error: proxyError.message });
+                    break;
+                }
+                // Proxy niet beschikbaar: alleen de eindbestemming is te achterhalen
+                const result = await this.checkLinkStatus(url);
+                return {
+                    url,
+                    finalUrl: result.redirectTo || url,
+                    status: result.status,
+                    chain: result.redirectTo
+                        ? [{ url, status: null, type: 'http', target: result.redirectTo }, { url: result.redirectTo, status: result.status, type: 'final' }]
+                        : [{ url, status: result.status, type: 'final' }],
+                    redirects: result.redirectTo ? 1 : 0,
+                    loop: false,
+                    error: result.error
+                };
+            }
+
+            chain.push(hop);
+            if (!hop.target) break;
+            currentUrl = hop.target;
+        }
+
+        const lastHop = chain[chain.length - 1];
+        const redirects = chain.filter(hop => hop.target).length;
+        return {
+            url,
+            finalUrl: loop ? currentUrl : lastHop.url,
+            status: loop || lastHop.target ? null : lastHop.status,
+            noindex: lastHop.noindex || false,
+            canonical: lastHop.canonical || null,
+            chain,
+            redirects,
+            loop,
+            error: loop
+                ? 'Redirect loop'
+                : lastHop.target ? `Meer dan ${this.maxRedirectHops} redirects` : lastHop.error || null
+        };
+    }
+
+    async requestRedirectHop(url) {
+        const response = await requestScheduler.fetch(url, { redirect: 'manual', timeout: this.linkCheckTimeout });
+        const location = response.headers.get('location');
+        const hop = { url, status: response.status, statusText: response.statusText, type: 'final', target: null };
+
+        if (response.status >= 300 && response.status < 400 && location) {
+            hop.type = 'http';
+            hop.target = this.resolveRedirectTarget(location, url);
+        } else if (response.ok) {
+            // Indexeerbaarheid en canonical van de eindbestemming
+            const doc = new DOMParser().parseFromString(response.body || '', 'text/html');
+            hop.noindex = this.analyzeRobotsDirectives(doc, response.headers).noindex;
+            const clientRedirect = response.body ? this.detectClientRedirect(response.body, url) : null;
+            if (clientRedirect) {
+                hop.type = clientRedirect.type;
+                hop.target = clientRedirect.target;
+            } else {
+                const canonicalHref = doc.querySelector('head link[rel~="canonical" i]')?.getAttribute('href');
+                hop.canonical = canonicalHref ? this.resolveRedirectTarget(canonicalHref, url) : null;
+            }
+        }
+
+        return hop;
+    }
+
+    detectClientRedirect(html, url) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+
+        const refresh = doc.querySelector('meta[http-equiv="refresh" i]');
+        const refreshMatch = refresh?.getAttribute('content')?.match(/url\s*=\s*['"]?([^'";]+)/i);
+        if (refreshMatch) {
+            const target = this.resolveRedirectTarget(refreshMatch[1].trim(), url);
+            if (target && target !== url) return { type: 'meta', target };
+        }
+
+        // Alleen eenvoudige toewijzingen met een letterlijke URL zijn betrouwbaar te herkennen
+        const locationPattern = /\blocation(?:\.href)?\s*=\s*['"]([^'"]+)['"]|\blocation\.(?:replace|assign)\(\s*['"]([^'"]+)['"]\s*\)/;
+        for (const script of doc.querySelectorAll('script:not([src])')) {
+            const match = script.textContent.match(locationPattern);
+            if (match) {
+                const target = this.resolveRedirectTarget(match[1] || match[2], url);
+                if (target && target !== url) return { type: 'js', target };
+            }
+        }
+
+        return null;
+    }
+
+    resolveRedirectTarget(location, baseUrl) {
+        try {
+            const target = new URL(location, baseUrl);
+            target.hash = '';
+            return ['http:', 'https:'].includes(target.protocol) ? target.href : null;
+        } catch {
+            return null;
+        }
+    }
+
+    async fetchWithTimeout(resource, options = {}, timeout = 10000) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        try {
+            return await fetch(resource, { ...options, signal: controller.signal });
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Verwerk items parallel met een maximum aantal gelijktijdige taken
+    async runWithConcurrency(items, limit, worker) {
+        const results = new Array(items.length);
+        let nextIndex = 0;
+
+        const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+            while (nextIndex < items.length) {
+                const index = nextIndex++;
+                results[index] = await worker(items[index]);
+            }
+        });
+
+        await Promise.all(runners);
+        return results;
+    }
+
+    analyzeStructuredData(doc) {
+        const items = [];
+        const parseErrors = [];
+
+        // JSON-LD blokken
+        doc.querySelectorAll('script[type="application/ld+json"]').forEach((script, index) => {
+            try {
+                const data = JSON.parse(script.textContent);
+                this.flattenJsonLd(data).forEach(node => {
+                    items.push(this.createSchemaItem('JSON-LD', node['@type'], node));
+                });
+            } catch (error) {
+                parseErrors.push(`JSON-LD blok ${index + 1}: ${error.message}`);
+            }
+        });
+
+        // Microdata: alleen top-level itemscope elementen, geneste items horen bij hun parent
+        doc.querySelectorAll('[itemscope]').forEach(element => {
+            if (element.hasAttribute('itemprop')) return;
+            const properties = this.extractMicrodataItem(element);
+            items.push(this.createSchemaItem('Microdata', properties['@type'], properties));
+        });
+
+        // RDFa: top-level typeof elementen
+        doc.querySelectorAll('[typeof]').forEach(element => {
+            if (element.hasAttribute('property')) return;
+            const properties = this.extractRdfaItem(element);
+            items.push(this.createSchemaItem('RDFa', properties['@type'], properties));
+        });
+
+        const errors = items.reduce((sum, item) => sum + item.errors.length, 0) + parseErrors.length;
+        const warnings = items.reduce((sum, item) => sum + item.warnings.length, 0);
+
+        return {
+            exists: items.length > 0,
+            total: items.length,
+            types: [...new Set(items.map(item => item.type))],
+            formats: {
+                jsonLd: items.filter(item => item.format === 'JSON-LD').length,
+                microdata: items.filter(item => item.format === 'Microdata').length,
+                rdfa: items.filter(item => item.format === 'RDFa').length
+            },
+            items: items,
+            parseErrors: parseErrors,
+            errors: errors,
+            warnings: warnings,
+            isValid: items.length > 0 && errors === 0
+        };
+    }
+
+    // Pak arrays en @graph uit zodat elk schema.org object apart gevalideerd wordt
+    flattenJsonLd(data) {
+        if (Array.isArray(data)) {
+            return data.flatMap(entry => this.flattenJsonLd(entry));
+        }
+        if (data && typeof data === 'object') {
+            if (Array.isArray(data['@graph'])) {
+                return this.flattenJsonLd(data['@graph']);
+            }
+            return data['@type'] ? [data] : [];
+        }
+        return [];
+    }
+
+    extractMicrodataItem(element) {
+        const item = {
+            '@type': (element.getAttribute('itemtype') || '').split(/\s+/).filter(Boolean)
+        };
+
+        const collect = (parent) => {
+            for (const child of parent.children) {
+                if (child.hasAttribute('itemprop')) {
+                    const value = child.hasAttribute('itemscope')
+                        ? this.extractMicrodataItem(child)
+                        : this.getStructuredDataValue(child);
+                    child.getAttribute('itemprop').split(/\s+/).filter(Boolean).forEach(name => {
+                        this.addSchemaProperty(item, name, value);
+                    });
+                }
+                // Niet afdalen in geneste items, die hebben hun eigen properties
+                if (!child.hasAttribute('itemscope')) {
+                    collect(child);
+                }
+            }
+        };
+        collect(element);
+
+        return item;
+    }
+
+    extractRdfaItem(element) {
+        const item = {
+            '@type': (element.getAttribute('typeof') || '').split(/\s+/).filter(Boolean)
+        };
+
+        const collect = (parent) => {
+            for (const child of parent.children) {
+                if (child.hasAttribute('property')) {
+                    const value = child.hasAttribute('typeof')
+                        ? this.extractRdfaItem(child)
+                        : this.getStructuredDataValue(child);
+                    child.getAttribute('property').split(/\s+/).filter(Boolean).forEach(name => {
+                        this.addSchemaProperty(item, name.replace(/^(schema:|https?:\/\/schema\.org\/)/, ''), value);
+                    });
+                }
+                if (!child.hasAttribute('typeof')) {
+                    collect(child);
+                }
+            }
+        };
+        collect(element);
+
+        return item;
+    }
+
+    getStructuredDataValue(element) {
+        const attributes = ['content', 'href', 'src', 'datetime', 'resource', 'value'];
+        for (const attribute of attributes) {
+            if (element.hasAttribute(attribute)) {
+                return element.getAttribute(attribute).trim();
+            }
+        }
+        return element.textContent.trim();
+    }
+
+    addSchemaProperty(item, name, value) {
+        if (item[name] === undefined) {
+            item[name] = value;
+        } else if (Array.isArray(item[name])) {
+            item[name].push(value);
+        } else {
+            item[name] = [item[name], value];
+        }
+    }
+
+    normalizeSchemaType(type) {
+        const types = Array.isArray(type) ? type : [type];
+        const names = types
+            .filter(Boolean)
+            .map(t => String(t).replace(/^(schema:|https?:\/\/schema\.org\/)/, ''));
+        return names[0] || 'Onbekend';
+    }
+
+    createSchemaItem(format, type, properties) {
+        const typeName = this.normalizeSchemaType(type);
+        const item = {
+            format: format,
+            type: typeName,
+            properties: properties,
+            errors: [],
+            warnings: []
+        };
+
+        this.validateSchemaItem(item);
+        return item;
+    }
+
+    validateSchemaItem(item) {
+        const ruleType = STRUCTURED_DATA_RULES[item.type] ? item.type : STRUCTURED_DATA_SUBTYPES[item.type];
+        const rules = STRUCTURED_DATA_RULES[ruleType];
+        if (!rules) return;
+
+        const props = item.properties;
+        const hasValue = (name) => {
+            const value = props[name];
+            if (Array.isArray(value)) return value.length > 0;
+            if (value && typeof value === 'object') return Object.keys(value).length > 0;
+            return value !== undefined && value !== null && String(value).trim() !== '';
+        };
+
+        rules.required.forEach(name => {
+            if (!hasValue(name)) item.errors.push(`Verplichte eigenschap "${name}" ontbreekt`);
+        });
+
+        if (rules.requiredOneOf && !rules.requiredOneOf.some(hasValue)) {
+            item.errors.push(`Minimaal één van ${rules.requiredOneOf.map(n => `"${n}"`).join(', ')} is verplicht`);
+        }
+
+        rules.recommended.forEach(name => {
+            if (!hasValue(name) && !rules.required.includes(name)) {
+                item.warnings.push(`Aanbevolen eigenschap "${name}" ontbreekt`);
+            }
+        });
+
+        const asArray = (value) => Array.isArray(value) ? value : (value ? [value] : []);
+
+        if (ruleType === 'FAQPage') {
+            asArray(props.mainEntity).forEach((question, index) => {
+                if (!question || typeof question !== 'object') {
+                    item.errors.push(`Vraag ${index + 1} is geen Question object`);
+                    return;
+                }
+                const answer = Array.isArray(question.acceptedAnswer) ? question.acceptedAnswer[0] : question.acceptedAnswer;
+                if (!question.name) item.errors.push(`Vraag ${index + 1} mist "name"`);
+                if (!answer || !answer.text) item.errors.push(`Vraag ${index + 1} mist "acceptedAnswer.text"`);
+            });
+        }
+
+        if (ruleType === 'BreadcrumbList') {
+            const elements = asArray(props.itemListElement);
+            elements.forEach((listItem, index) => {
+                if (!listItem || typeof listItem !== 'object') {
+                    item.errors.push(`Breadcrumb ${index + 1} is geen ListItem object`);
+                    return;
+                }
+                const itemValue = listItem.item;
+                const name = listItem.name || (itemValue && typeof itemValue === 'object' ? itemValue.name : null);
+                if (listItem.position === undefined) item.errors.push(`Breadcrumb ${index + 1} mist "position"`);
+                if (!name) item.errors.push(`Breadcrumb ${index + 1} mist "name"`);
+                // Het laatste item mag zonder URL (huidige pagina)
+                if (!itemValue && index < elements.length - 1) item.errors.push(`Breadcrumb ${index + 1} mist "item"`);
+            });
+        }
+    }
+
+    async analyzeSocial(doc, url) {
+        const getMeta = (key) => {
+            const element = doc.querySelector(`meta[property="${key}"], meta[name="${key}"]`);
+            return element ? (element.getAttribute('content') || '').trim() : '';
+        };
+
+        const og = {
+            title: getMeta('og:title'),
+            description: getMeta('og:description'),
+            image: getMeta('og:image') || getMeta('og:image:url'),
+            imageWidth: parseInt(getMeta('og:image:width')) || null,
+            imageHeight: parseInt(getMeta('og:image:height')) || null,
+            imageAlt: getMeta('og:image:alt'),
+            url: getMeta('og:url'),
+            type: getMeta('og:type'),
+            siteName: getMeta('og:site_name')
+        };
+
+        const twitter = {
+            card: getMeta('twitter:card'),
+            title: getMeta('twitter:title'),
+            description: getMeta('twitter:description'),
+            image: getMeta('twitter:image') || getMeta('twitter:image:src'),
+            site: getMeta('twitter:site')
+        };
+
+        // Zelfde fallbacks als Facebook/LinkedIn/X gebruiken
+        const pageTitle = doc.querySelector('title')?.textContent.trim() || '';
+        const pageDescription = doc.querySelector('meta[name="description"]')?.getAttribute('content')?.trim() || '';
+        const imageUrl = og.image || twitter.image;
+        const image = await this.analyzeSocialImage(imageUrl, url, og.imageWidth, og.imageHeight);
+
+        const checks = [];
+        const addCheck = (label, status, message) => checks.push({ label, status, message });
+
+        if (!og.title) {
+            addCheck('og:title', 'error', 'Ontbreekt, platforms vallen terug op de <title>');
+        } else if (og.title.length > 60) {
+            addCheck('og:title', 'warning', `${og.title.length} karakters, wordt afgekapt (max 60)`);
+        } else {
+            addCheck('og:title', 'success', `${og.title.length} karakters`);
+        }
+
+        if (!og.description) {
+            addCheck('og:description', 'warning', 'Ontbreekt, platforms vallen terug op de meta description');
+        } else if (og.description.length < 50 || og.description.length > 200) {
+            addCheck('og:description', 'warning', `${og.description.length} karakters (optimaal: 50-200)`);
+        } else {
+            addCheck('og:description', 'success', `${og.description.length} karakters`);
+        }
+
+        if (!imageUrl) {
+            addCheck('og:image', 'error', 'Geen afbeelding, links worden zonder preview getoond');
+        } else if (!image.isValid) {
+            addCheck('og:image', 'error', 'Ongeldige afbeelding URL');
+        } else if (!image.isAbsolute) {
+            addCheck('og:image', 'warning', 'Relatieve URL, Open Graph vereist een absolute URL');
+        } else if (image.width && image.height && (image.width < 600 || image.height < 315)) {
+            addCheck('og:image', 'error', `${image.width}×${image.height}px, te klein (minimaal 600×315)`);
+        } else if (image.width && image.height && (image.width < 1200 || image.height < 630)) {
+            addCheck('og:image', 'warning', `${image.width}×${image.height}px (aanbevolen: 1200×630)`);
+        } else if (image.width && image.height) {
+            addCheck('og:image', 'success', `${image.width}×${image.height}px`);
+        } else {
+            addCheck('og:image', 'warning', 'Afmetingen onbekend, voeg og:image:width en og:image:height toe');
+        }
+
+        if (image.isValid && image.protocol === 'http:') {
+            addCheck('og:image protocol', 'warning', 'Afbeelding via http://, sommige platforms tonen deze niet');
+        }
+
+        addCheck('og:url', og.url ? 'success' : 'warning', og.url || 'Ontbreekt');
+        addCheck('og:type', og.type ? 'success' : 'warning', og.type || 'Ontbreekt (standaard: website)');
+
+        const validCards = ['summary', 'summary_large_image', 'app', 'player'];
+        if (!twitter.card) {
+            addCheck('twitter:card', 'warning', 'Ontbreekt, X toont een kleine "summary" kaart');
+        } else if (!validCards.includes(twitter.card)) {
+            addCheck('twitter:card', 'error', `Ongeldige waarde "${twitter.card}"`);
+        } else if (twitter.card === 'summary_large_image' && image.width && (image.width < 300 || image.height < 157)) {
+            addCheck('twitter:card', 'warning', 'Afbeelding te klein voor summary_large_image (minimaal 300×157)');
+        } else {
+            addCheck('twitter:card', 'success', twitter.card);
+        }
+
+        let domain = '';
+        try {
+            domain = new URL(og.url || url).hostname.replace(/^www\./, '');
+        } catch {
+            domain = url;
+        }
+
+        return {
+            og: og,
+            twitter: twitter,
+            image: image,
+            checks: checks,
+            hasOpenGraph: !!(og.title && imageUrl),
+            hasTwitterCard: !!twitter.card,
+            errors: checks.filter(check => check.status === 'error').length,
+            warnings: checks.filter(check => check.status === 'warning').length,
+            preview: {
+                title: og.title || twitter.title || pageTitle,
+                description: og.description || twitter.description || pageDescription,
+                twitterTitle: twitter.title || og.title || pageTitle,
+                twitterDescription: twitter.description || og.description || pageDescription,
+                image: image.isValid ? image.url : '',
+                twitterCard: twitter.card || 'summary',
+                domain: domain,
+                siteName: og.siteName
+            }
+        };
+    }
+
+    async analyzeSocialImage(imageUrl, baseUrl, declaredWidth, declaredHeight) {
+        const image = {
+            url: imageUrl || '',
+            isValid: false,
+            isAbsolute: /^https?:\/\//i.test(imageUrl || ''),
+            protocol: null,
+            width: declaredWidth,
+            height: declaredHeight,
+            dimensionSource: declaredWidth && declaredHeight ? 'meta' : null
+        };
+        if (!imageUrl) return image;
+
+        try {
+            const urlObj = new URL(imageUrl, baseUrl);
+            image.url = urlObj.href;
+            image.protocol = urlObj.protocol;
+            image.isValid = ['http:', 'https:'].includes(urlObj.protocol);
+        } catch {
+            return image;
+        }
+
+        // Geen afmetingen in de meta tags: laad de afbeelding om ze te meten
+        if (image.isValid && !image.dimensionSource) {
+            const dimensions = await this.loadImageDimensions(image.url);
+            if (dimensions) {
+                image.width = dimensions.width;
+                image.height = dimensions.height;
+                image.dimensionSource = 'geladen';
+            }
+        }
+
+        return image;
+    }
+
+    loadImageDimensions(src, timeout = 5000) {
+        return new Promise(resolve => {
+            if (typeof Image === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            const img = new Image();
+            const timer = setTimeout(() => resolve(null), timeout);
+            img.onload = () => {
+                clearTimeout(timer);
+                resolve({ width: img.naturalWidth, height: img.naturalHeight });
+            };
+            img.onerror = () => {
+                clearTimeout(timer);
+                resolve(null);
+            };
+            img.src = src;
+        });
+    }
+
+    analyzeURL(url) {
+        const urlObj = new URL(url);
+        const path = urlObj.pathname;
+        
+        return {
+            length: url.length,
+            isShort: url.length <= 100,
+            hasParameters: urlObj.search.length > 0,
+            depth: path.split('/').filter(segment => segment).length,
+            isReadable: !/[^a-zA-Z0-9\-\/\.]/.test(path),
+            protocol: urlObj.protocol
+        };
+    }
+
+    isValidURL(string) {
+        try {
+            new URL(string);
+            return true;
+        } catch (_) {
+            return false;
+        }
+    }
+
+    calculateScore(profileId) {
+        return scoringProfiles.evaluate(this.results, profileId).score;
+    }
+}
+
+const seoChecker = new SEOChecker();
+
+async function analyzeWebsite() {
+    const urlInput = document.getElementById('urlInput');
+    const keywordInput = document.getElementById('keywordInput');
+    const loadingSection = document.getElementById('loadingSection');
+    const resultsSection = document.getElementById('resultsSection');
+    const analyzeBtn = document.getElementById('analyzeBtn');
+
+    const url = urlInput.value.trim();
+    const keyword = keywordInput.value.trim();
+
+    if (!url) {
+        showErrorMessage('URL Vereist', 'Voer een geldige URL in om te beginnen met de SEO analyse');
+        return;
+    }
+
+    // Demo mode voor lokale testing
+    if (url.toLowerCase().includes('demo') || url === 'demo') {
+        showDemoResults(keyword);
+        return;
+    }
+
+    try {
+        analyzeBtn.disabled = true;
+        loadingSection.style.display = 'block';
+        resultsSection.style.display = 'none';
+
+        const results = await seoChecker.analyzeWebsite(url, keyword);
+        displayResults(results);
+
+        loadingSection.style.display = 'none';
+        resultsSection.style.display = 'block';
+    } catch (error) {
+        console.error('Analysis error:', error);
+        
+        // Show error in a less intrusive way
+        showErrorMessage(`Analyse fout: ${error.message}`, 'Probeer demo mode door "demo" in te typen');
+        
+        loadingSection.style.display = 'none';
+    } finally {
+        analyzeBtn.disabled = false;
+    }
+}
+
+function showErrorMessage(title, subtitle) {
+    // Create error notification instead of alert
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'error-notification';
+    errorDiv.innerHTML = `
+        <div class="error-content">
+            <i class="fas fa-exclamation-triangle"></i>
+            <div class="error-text">
+                <strong>${title}</strong>
+                <p>${subtitle}</p>
+            </div>
+            <button onclick="this.parentElement.parentElement.remove()" class="error-close">
+                <i class="fas fa-times"></i>
+            </button>
+        </div>
+    `;
+    
+    document.body.appendChild(errorDiv);
+    
+    // Auto remove after 5 seconds
+    setTimeout(() => {
+        if (errorDiv.parentElement) {
+            errorDiv.remove();
+        }
+    }, 5000);
+}
+
+function showDemoResults(keyword) {
+    const demoKeyword = keyword || 'webdesign';
+    
+    // Verschillende demo scenario's
+    const scenarios = {
+        'webdesign': {
+            title: `Professioneel ${demoKeyword} - Moderne websites`,
+            h1: [`Beste ${demoKeyword} bureau`],
+            meta: `Wij zijn gespecialiseerd in ${demoKeyword} en maken moderne, responsive websites die converteren.`,
+            score: 'excellent'
+        },
+        'seo': {
+            title: `${demoKeyword.toUpperCase()} Expert - Zoekmachine Optimalisatie`,
+            h1: [`${demoKeyword.toUpperCase()} diensten voor betere rankings`],
+            meta: `Professionele ${demoKeyword} diensten om je website hoger in Google te laten ranken. Meer verkeer gegarandeerd.`,
+            score: 'good'
+        },
+        'marketing': {
+            title: `Online ${demoKeyword} Bureau Amsterdam`,
+            h1: [`Digitaal ${demoKeyword} dat werkt`],
+            meta: `Verhoog je omzet met onze bewezen ${demoKeyword} strategieën. Specialist in online groei.`,
+            score: 'average'
+        }
+    };
+    
+    const scenario = scenarios[demoKeyword.toLowerCase()] || scenarios['webdesign'];
+    
+    // Simuleer demo resultaten
+    seoChecker.results = {
+        url: `https://demo-${demoKeyword.toLowerCase()}.com`,
+        keyword: demoKeyword,
+        status: { statusCode: 200, isSuccess: true, noindex: false, nofollow: false },
+        title: { 
+            exists: true, 
+            content: scenario.title, 
+            length: scenario.title.length, 
+            hasKeyword: scenario.title.toLowerCase().includes(demoKeyword.toLowerCase())
+        },
+        h1: { 
+            count: 1, 
+            isOptimal: true, 
+            content: scenario.h1, 
+            hasKeyword: scenario.h1[0].toLowerCase().includes(demoKeyword.toLowerCase())
+        },
+        meta: { 
+            exists: true, 
+            content: scenario.meta, 
+            length: scenario.meta.length, 
+            noindex: false, 
+            nofollow: false 
+        },
+        images: { 
+            total: Math.floor(Math.random() * 10) + 5, 
+            withAlt: Math.floor(Math.random() * 8) + 4, 
+            withoutAlt: Math.floor(Math.random() * 3), 
+            percentage: Math.floor(Math.random() * 30) + 70 
+        },
+        canonical: { exists: true, url: `https://demo-${demoKeyword.toLowerCase()}.com`, isSelfReferencing: true, isValid: true },
+        links: { 
+            total: Math.floor(Math.random() * 20) + 10, 
+            internal: Math.floor(Math.random() * 15) + 8, 
+            external: Math.floor(Math.random() * 5) + 2, 
+            broken: Math.floor(Math.random() * 2), 
+            checked: Math.floor(Math.random() * 20) + 10 
+        },
+        urlStructure: { 
+            length: `https://demo-${demoKeyword.toLowerCase()}.com`.length, 
+            isShort: true, 
+            hasParameters: false, 
+            depth: 1, 
+            isReadable: true, 
+            protocol: 'https:' 
+        },
+        structuredData: {
+            exists: true,
+            total: 1,
+            types: ['Organization'],
+            formats: { jsonLd: 1, microdata: 0, rdfa: 0 },
+            items: [{
+                format: 'JSON-LD',
+                type: 'Organization',
+                properties: { name: `Demo ${demoKeyword}`, url: `https://demo-${demoKeyword.toLowerCase()}.com` },
+                errors: [],
+                warnings: ['Aanbevolen eigenschap "logo" ontbreekt']
+            }],
+            parseErrors: [],
+            errors: 0,
+            warnings: 1,
+            isValid: true
+        }
+    };
+    
+    // Bereken percentage voor images
+    seoChecker.results.images.percentage = Math.round((seoChecker.results.images.withAlt / seoChecker.results.images.total) * 100);
+    
+    displayResults(seoChecker.results);
+    document.getElementById('resultsSection').style.display = 'block';
+    
+    // Toon demo melding
+    setTimeout(() => {
+        alert(`✅ Demo analyse voltooid!\n\n🎯 Zoekwoord: "${demoKeyword}"\n📊 SEO Score: ${seoChecker.calculateScore()}%\n\n💡 Probeer verschillende zoekwoorden zoals:\n• seo\n• marketing\n• webshop\n• consultant`);
+    }, 1000);
+}
+
+// profileId: scoreprofiel voor deze weergave (bijv. van een opgeslagen analyse), anders het actieve profiel
+function displayResults(results, profileId) {
+    try {
+        console.log('Displaying results:', results);
+        seoChecker.resultsProfileId = profileId;
+        updateScoringProfileLabel(profileId);
+        
+        // Safe display with individual error handling
+        safeDisplayFunction(() => displayDashboardStats(results, profileId), 'Dashboard Stats');
+        safeDisplayFunction(() => displayCoreVitals(results), 'Core Vitals');
+        safeDisplayFunction(() => displayTopIssues(results, profileId), 'Top Issues');
+        safeDisplayFunction(() => displayStatusResults(results.status, results.robots, results.robotsDirectives), 'Status Results');
+        safeDisplayFunction(() => displayTitleResults(results.title, profileId), 'Title Results');
+        safeDisplayFunction(() => displayH1Results(results.h1), 'H1 Results');
+        safeDisplayFunction(() => displayHeadingResults(results.headings), 'Heading Results');
+        safeDisplayFunction(() => displayMetaResults(results.meta, profileId), 'Meta Results');
+        safeDisplayFunction(() => serpPreview.render('serpPreviewResults', serpPreview.buildData(results)), 'SERP Preview');
+        safeDisplayFunction(() => displayContentQualityResults(results.content), 'Content Quality Results');
+        safeDisplayFunction(() => displayKeywordResults(results.keywords), 'Keyword Results');
+        safeDisplayFunction(() => displayImageResults(results.images), 'Image Results');
+        safeDisplayFunction(() => displayCanonicalResults(results.canonical), 'Canonical Results');
+        safeDisplayFunction(() => displayLinksResults(results.links), 'Links Results');
+        safeDisplayFunction(() => displayURLResults(results.urlStructure), 'URL Results');
+        safeDisplayFunction(() => displayHeadersResults(results.headers), 'Headers Results');
+        safeDisplayFunction(() => displayMobileResults(results.mobile), 'Mobile Results');
+        safeDisplayFunction(() => displayPerformanceResults(results.performance), 'Performance Results');
+        safeDisplayFunction(() => displayTagResults(results.tags), 'Tag Results');
+        safeDisplayFunction(() => displayStructuredDataResults(results.structuredData), 'Structured Data Results');
+        safeDisplayFunction(() => displaySocialResults(results.social), 'Social Results');
+        safeDisplayFunction(() => displayHreflangResults(results.hreflang), 'Hreflang Results');
+        safeDisplayFunction(() => displaySummary(profileId), 'Summary');
+        
+        console.log('All results displayed successfully');
+        
+        // Show save button after successful analysis
+        const saveBtn = document.getElementById('saveBtn');
+        if (saveBtn) saveBtn.style.display = 'inline-flex';
+        
+        // Setup homepage preview
+        setupHomepagePreview();
+        
+    } catch (error) {
+        console.error('Display error:', error);
+        // Don't show alert anymore, just log the error
+    }
+}
+
+function safeDisplayFunction(displayFunc, name) {
+    try {
+        displayFunc();
+    } catch (error) {
+        console.warn(`Failed to display ${name}:`, error);
+        // Continue with other displays instead of stopping
+    }
+}
+
+// Escape tekst van geanalyseerde pagina's voordat deze in innerHTML komt
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function displayDashboardStats(results, profileId) {
+    const score = seoChecker.calculateScore(profileId);
+    
+    // SEO Score with Circular Progress
+    const scoreElement = document.getElementById('scoreValue');
+    if (scoreElement) {
+        scoreElement.textContent = score;
+        updateCircularProgress(score);
+    }
+    
+    const scoreTrend = document.getElementById('scoreTrend');
+    if (scoreTrend) {
+        if (score >= 80) {
+            scoreTrend.textContent = '+' + Math.floor(Math.random() * 5 + 1);
+            scoreTrend.className = 'stat-trend positive';
+        } else if (score >= 60) {
+            scoreTrend.textContent = '±0';
+            scoreTrend.className = 'stat-trend neutral';
+        } else {
+            scoreTrend.textContent = '-' + Math.floor(Math.random() * 3 + 1);
+            scoreTrend.className = 'stat-trend';
+        }
+    }
+    
+    // Content Health
+    const contentElements = [results.title, results.h1, results.meta].filter(Boolean);
+    const contentScore = contentElements.filter(el => el.exists || el.count > 0).length;
+    const contentHealthEl = document.getElementById('contentHealth');
+    const contentSubtitleEl = document.getElementById('contentSubtitle');
+    if (contentHealthEl) contentHealthEl.textContent = contentScore;
+    if (contentSubtitleEl) contentSubtitleEl.textContent = `${contentElements.length} elements checked`;
+    
+    // Technical SEO
+    const techScore = Math.round((results.images.percentage + (results.canonical.exists ? 100 : 0) + (results.links.broken === 0 ? 100 : 50)) / 3);
+    const techScoreEl = document.getElementById('techScore');
+    if (techScoreEl) techScoreEl.textContent = techScore + '%';
+    
+    const techTrend = document.getElementById('techTrend');
+    if (techTrend) {
+        if (techScore >= 80) {
+            techTrend.textContent = '+2';
+            techTrend.className = 'stat-trend positive';
+        } else {
+            techTrend.textContent = '-1';
+            techTrend.className = 'stat-trend';
+        }
+    }
+    
+    // Issues Count
+    const issues = calculateIssues(results, profileId);
+    const issuesCountEl = document.getElementById('issuesCount');
+    const issuesSubtitleEl = document.getElementById('issuesSubtitle');
+    if (issuesCountEl) issuesCountEl.textContent = issues.total;
+    if (issuesSubtitleEl) issuesSubtitleEl.textContent = `${issues.critical} critical`;
+    
+    const issuesTrend = document.getElementById('issuesTrend');
+    if (issuesTrend) {
+        if (issues.total <= 2) {
+            issuesTrend.textContent = '-1';
+            issuesTrend.className = 'stat-trend positive';
+        } else {
+            issuesTrend.textContent = '+' + Math.floor(issues.total / 2);
+            issuesTrend.className = 'stat-trend';
+        }
+    }
+}
+
+function displayCoreVitals(results) {
+    // Title Optimization
+    const titleScore = scoringProfiles.passes('title', results) ? 100 : (results.title.exists ? 60 : 0);
+    updateVitalBar('titleProgress', titleScore);
+    const titleScoreEl = document.getElementById('titleScore');
+    if (titleScoreEl) titleScoreEl.textContent = titleScore + '%';
+    
+    // Meta Description
+    const metaScore = scoringProfiles.passes('meta', results) ? 100 : (results.meta.exists ? 70 : 0);
+    updateVitalBar('metaProgress', metaScore);
+    const metaScoreEl = document.getElementById('metaScore');
+    if (metaScoreEl) metaScoreEl.textContent = metaScore + '%';
+    
+    // Image Alt Text
+    const imageScore = results.images.percentage;
+    updateVitalBar('imageProgress', imageScore);
+    const imageScoreEl = document.getElementById('imageScore');
+    if (imageScoreEl) imageScoreEl.textContent = imageScore + '%';
+}
+
+function updateVitalBar(elementId, score) {
+    const progressBar = document.getElementById(elementId);
+    if (!progressBar) return;
+    
+    let className = 'vital-progress ';
+    
+    if (score >= 90) className += 'great';
+    else if (score >= 70) className += 'good';
+    else if (score >= 50) className += 'needs-improvement';
+    else className += 'poor';
+    
+    progressBar.className = className;
+    progressBar.style.width = score + '%';
+}
+
+function displayTopIssues(results, profileId) {
+    const issues = ruleEngine.evaluate(results, ruleEngine.getContext(profileId));
+    
+    const topIssuesContainer = document.getElementById('topIssues');
+    if (!topIssuesContainer) return;
+    
     if (issues.length === 0) {
-        topIssuesContainer.innerHTML = '<div class="issue-item notice"><div class="issue-text"><i class="fas fa-check"></i> No major issues found</div></div>';
+        topIssuesContainer.innerHTML = '<div class="issue-item notice"><div class="issue-text"><i class="fas fa-check"></i> Geen grote issues gevonden</div></div>';
     } else {
         topIssuesContainer.innerHTML = issues.slice(0, 5).map(issue => `
             <div class="issue-item ${issue.type}">
                 <div class="issue-text">
                     <i class="fas ${issue.type === 'error' ? 'fa-times' : issue.type === 'warning' ? 'fa-exclamation-triangle' : 'fa-info'}"></i>
-                    ${issue.text}
+                    ${escapeHtml(issue.message)}
+                </div>
+                <div class="issue-count">${issue.count}</div>
+            </div>
+        `).join('');
+    }
+}
+
+function calculateIssues(results, profileId) {
+    const issues = ruleEngine.evaluate(results, ruleEngine.getContext(profileId));
+    return {
+        total: issues.length,
+        critical: issues.filter(issue => issue.type === 'error').length
+    };
+}
+
+function updateCircularProgress(score) {
+    const circle = document.getElementById('progressCircle');
+    const scoreStatus = document.getElementById('scoreStatus');
+    if (!circle || !scoreStatus) return;
+    
+    const radius = 50;
+    const circumference = 2 * Math.PI * radius;
+    
+    // Calculate progress
+    const progress = score / 100;
+    const strokeDashoffset = circumference - (progress * circumference);
+    
+    // Set color based on score (jouw gewenste ranges)
+    let strokeColor = '';
+    let statusText = '';
+    
+    if (score >= 70) {
+        strokeColor = '#22c55e'; // Groen
+        statusText = 'SEO Score: Goed';
+    } else if (score >= 50) {
+        strokeColor = '#f97316'; // Oranje  
+        statusText = 'SEO Score: Gemiddeld';
+    } else {
+        strokeColor = '#ef4444'; // Rood
+        statusText = 'SEO Score: Slecht';
+    }
+    
+    // Set stroke color and status
+    circle.style.stroke = strokeColor;
+    scoreStatus.textContent = statusText;
+    
+    // Animate the circle with a delay for visual effect
+    setTimeout(() => {
+        circle.style.strokeDashoffset = strokeDashoffset;
+    }, 500);
+}
+
+function displayStatusResults(status, robots, directives) {
+    const container = document.getElementById('statusResults');
+    // Oudere analyses hebben alleen de X-Robots-Tag header uitkomst
+    const noindex = directives ? directives.noindex : status.noindex;
+    const nofollow = directives ? directives.nofollow : status.nofollow;
+    // 3xx als eindstatus betekent een redirect loop of te veel redirects
+    const statusType = status.isSuccess ? 'success' : status.statusCode >= 300 && status.statusCode < 400 ? 'warning' : 'error';
+    const redirectChain = status.redirectChain || [];
+    container.innerHTML = `
+        <div class="result-item ${statusType}">
+            <div class="label">
+                <i class="fas ${status.isSuccess ? 'fa-check' : statusType === 'warning' ? 'fa-exclamation-triangle' : 'fa-times'}"></i>
+                Status Code
+            </div>
+            <div class="value">
+                <span class="status-badge ${statusType}">
+                    ${status.statusCode}${status.statusText ? ` ${escapeHtml(status.statusText)}` : ''}
+                </span>
+            </div>
+        </div>
+        ${redirectChain.length > 0 ? `
+            <div class="result-item warning">
+                <div class="label">
+                    <i class="fas fa-random"></i>
+                    Redirects (${redirectChain.length})
+                </div>
+                <div class="value">
+                    ${redirectChain.map(hop => `<div>${hop.status} ${escapeHtml(hop.url)} → ${escapeHtml(hop.location)}</div>`).join('')}
+                    <div>Eind URL: ${escapeHtml(status.finalUrl || '')}</div>
+                </div>
+            </div>
+        ` : ''}
+        ${status.timing?.total != null ? `
+            <div class="result-item success">
+                <div class="label">
+                    <i class="fas fa-stopwatch"></i>
+                    Responstijd
+                </div>
+                <div class="value">
+                    ${status.timing.ttfb != null ? `TTFB ${status.timing.ttfb} ms · ` : ''}totaal ${status.timing.total} ms${status.size != null ? ` · ${formatBytes(status.size)}` : ''}
+                </div>
+            </div>
+        ` : ''}
+        <div class="result-item ${noindex ? 'warning' : 'success'}">
+            <div class="label">
+                <i class="fas ${noindex ? 'fa-exclamation-triangle' : 'fa-check'}"></i>
+                Indexering
+            </div>
+            <div class="value">${noindex ? 'Noindex gevonden' : 'Indexeerbaar'}</div>
+        </div>
+        <div class="result-item ${nofollow ? 'warning' : 'success'}">
+            <div class="label">
+                <i class="fas ${nofollow ? 'fa-exclamation-triangle' : 'fa-check'}"></i>
+                Link Following
+            </div>
+            <div class="value">${nofollow ? 'Nofollow gevonden' : 'Links worden gevolgd'}</div>
+        </div>
+        ${directives ? renderRobotsDirectives(directives) : ''}
+        ${robots ? renderRobotsResults(robots) : ''}
+        <div class="robots-tester">
+            <div class="robots-tester-input">
+                <input type="url" id="robotsTestInput" placeholder="Test een URL tegen robots.txt">
+                <button onclick="testRobotsUrl()" class="robots-test-btn">
+                    <i class="fas fa-robot"></i> Test
+                </button>
+            </div>
+            <div id="robotsTestResults"></div>
+        </div>
+    `;
+}
+
+function renderRobotsDirectives(directives) {
+    const describe = effective => [
+        effective.index ? 'index' : 'noindex',
+        effective.follow ? 'follow' : 'nofollow',
+        effective.noarchive && 'noarchive',
+        effective.nosnippet && 'nosnippet',
+        effective.noimageindex && 'noimageindex',
+        effective.notranslate && 'notranslate',
+        effective.indexifembedded && 'indexifembedded',
+        effective.maxSnippet !== null && !effective.nosnippet && `max-snippet:${effective.maxSnippet}`,
+        effective.maxImagePreview && `max-image-preview:${effective.maxImagePreview}`,
+        effective.maxVideoPreview !== null && `max-video-preview:${effective.maxVideoPreview}`,
+        effective.unavailableAfter && `unavailable_after: ${effective.unavailableAfter}`
+    ].filter(Boolean).join(', ');
+    const crawlerLabel = bot => bot === 'all' ? 'Overige crawlers' : bot.charAt(0).toUpperCase() + bot.slice(1);
+
+    return `
+        ${directives.sources.length > 0 ? `
+        <div class="result-item">
+            <div class="label">
+                <i class="fas fa-code"></i>
+                Robots Directives
+            </div>
+            <div class="value">${directives.sources.map(group => `<code class="header-value">${group.source === 'header' ? 'X-Robots-Tag' : 'meta'} ${escapeHtml(group.bot === 'all' ? 'robots' : group.bot)}: ${escapeHtml([...group.directives.map(name => group.values[name] !== undefined ? `${name}:${group.values[name]}` : name), ...group.unknown].join(', '))}</code>`).join('<br>')}</div>
+        </div>
+        ` : ''}
+        ${Object.entries(directives.crawlers).map(([bot, effective]) => `
+        <div class="result-item ${effective.index && effective.follow ? 'success' : 'warning'}">
+            <div class="label">
+                <i class="fas fa-robot"></i>
+                ${escapeHtml(crawlerLabel(bot))}
+            </div>
+            <div class="value">${escapeHtml(describe(effective))}</div>
+        </div>
+        `).join('')}
+        ${directives.conflicts.map(conflict => `
+        <div class="result-item error">
+            <div class="label">
+                <i class="fas fa-exclamation-circle"></i>
+                Conflict
+            </div>
+            <div class="value">${escapeHtml(conflict)}</div>
+        </div>
+        `).join('')}
+        ${directives.warnings.map(warning => `
+        <div class="result-item warning">
+            <div class="label">
+                <i class="fas fa-exclamation-triangle"></i>
+                Robots Directive
+            </div>
+            <div class="value">${escapeHtml(warning)}</div>
+        </div>
+        `).join('')}
+    `;
+}
+
+function renderRobotsResults(robots) {
+    return `
+        <div class="result-item ${robots.exists ? 'success' : (robots.unavailable ? 'error' : 'warning')}">
+            <div class="label">
+                <i class="fas ${robots.exists ? 'fa-check' : (robots.unavailable ? 'fa-times' : 'fa-exclamation-triangle')}"></i>
+                Robots.txt
+            </div>
+            <div class="value">${robots.exists
+                ? `Gevonden (${robots.sitemaps.length} sitemap${robots.sitemaps.length === 1 ? '' : 's'})`
+                : robots.unavailable
+                    ? `Niet bereikbaar${robots.status ? ` (HTTP ${robots.status})` : ''}, crawlers behandelen alle URLs als geblokkeerd`
+                    : 'Niet gevonden, alle URLs zijn toegestaan'}</div>
+        </div>
+        ${robots.bots.map(bot => `
+        <div class="result-item ${bot.allowed ? 'success' : 'error'}">
+            <div class="label">
+                <i class="fas ${bot.allowed ? 'fa-check' : 'fa-ban'}"></i>
+                ${escapeHtml(bot.name)}
+            </div>
+            <div class="value">${bot.allowed ? 'Toegestaan' : 'Geblokkeerd door robots.txt'}${bot.rule ? ` (${escapeHtml(bot.rule)})` : ''}</div>
+        </div>
+        `).join('')}
+        ${robots.crawlDelay ? `
+        <div class="result-item warning">
+            <div class="label">
+                <i class="fas fa-hourglass-half"></i>
+                Crawl-delay
+            </div>
+            <div class="value">${robots.crawlDelay} seconden</div>
+        </div>
+        ` : ''}
+    `;
+}
+
+async function testRobotsUrl() {
+    const input = document.getElementById('robotsTestInput');
+    const resultsEl = document.getElementById('robotsTestResults');
+    if (!input || !resultsEl) return;
+    
+    let testUrl = input.value.trim();
+    if (!testUrl) return;
+    
+    // Relatieve paden testen tegen de geanalyseerde website
+    try {
+        testUrl = new URL(testUrl, seoChecker.results?.url).href;
+    } catch {
+        showErrorMessage('Ongeldige URL', 'Voer een volledige URL of een pad (bijv. /admin) in');
+        return;
+    }
+    
+    resultsEl.innerHTML = '<div class="result-item"><div class="value"><i class="fas fa-spinner fa-spin"></i> Robots.txt testen...</div></div>';
+    const result = await robotsTxt.testUrl(testUrl);
+    resultsEl.innerHTML = renderRobotsResults(result);
+}
+
+function displayTitleResults(title, profileId) {
+    const container = document.getElementById('titleResults');
+    const { titleMin, titleMax } = scoringProfiles.getProfile(profileId).thresholds;
+    const lengthStatus = scoringProfiles.passes('title', { title }, profileId) ? 'success' : (title.length < titleMin ? 'warning' : 'error');
+    const keywordStatus = title.hasKeyword === null ? 'success' : (title.hasKeyword ? 'success' : 'warning');
+    const titlePixels = serpPreview.truncate(title.content || '', SERP_LAYOUT.desktop.titleFont, SERP_LAYOUT.desktop.titleWidth);
+    
+    container.innerHTML = `
+        <div class="result-item ${title.exists ? 'success' : 'error'}">
+            <div class="label">
+                <i class="fas ${title.exists ? 'fa-check' : 'fa-times'}"></i>
+                Title Tag Aanwezig
+            </div>
+            <div class="value">${title.exists ? 'Ja' : 'Nee'}</div>
+        </div>
+        ${title.exists ? `
+        <div class="result-item ${lengthStatus}">
+            <div class="label">
+                <i class="fas fa-ruler"></i>
+                Lengte
+            </div>
+            <div class="value">${title.length} karakters (optimaal: ${titleMin}-${titleMax})</div>
+        </div>
+        <div class="result-item ${titlePixels.truncated ? 'warning' : 'success'}">
+            <div class="label">
+                <i class="fas fa-ruler-horizontal"></i>
+                Pixelbreedte
+            </div>
+            <div class="value">${titlePixels.width} / ${SERP_LAYOUT.desktop.titleWidth} px${titlePixels.truncated ? ' - wordt afgekapt in Google' : ''}</div>
+        </div>
+        <div class="result-item success">
+            <div class="label">
+                <i class="fas fa-quote-right"></i>
+                Inhoud
+            </div>
+            <div class="value">${escapeHtml(title.content)}</div>
+        </div>
+        ${seoChecker.keyword ? `
+        <div class="result-item ${keywordStatus}">
+            <div class="label">
+                <i class="fas fa-key"></i>
+                Zoekwoord
+            </div>
+            <div class="value">${title.hasKeyword ? 'Gevonden' : 'Niet gevonden'}</div>
+        </div>
+        ` : ''}
+        ` : ''}
+    `;
+}
+
+function displayH1Results(h1) {
+    const container = document.getElementById('h1Results');
+    const countStatus = h1.isOptimal ? 'success' : (h1.count === 0 ? 'error' : 'warning');
+    const keywordStatus = h1.keywordPresent === null ? 'success' : (h1.keywordPresent ? 'success' : 'warning');
+    
+    container.innerHTML = `
+        <div class="result-item ${countStatus} ${h1.count > 0 ? 'clickable' : ''}" ${h1.count > 0 ? `onclick="showH1Popup(${JSON.stringify(h1.h1List).replace(/"/g, '&quot;')})"` : ''}>
+            <div class="label">
+                <i class="fas fa-hashtag"></i>
+                Aantal H1 Tags
+            </div>
+            <div class="value">${h1.count} (optimaal: 1) ${h1.count > 0 ? '<i class="fas fa-eye" style="margin-left: 8px; opacity: 0.7;"></i>' : ''}</div>
+        </div>
+        ${h1.count > 0 ? `
+        <div class="result-item success">
+            <div class="label">
+                <i class="fas fa-list"></i>
+                H1 Inhoud
+            </div>
+            <div class="value">${h1.texts ? h1.texts.join(', ') : 'Geen H1 content'}</div>
+        </div>
+        ${seoChecker.keyword ? `
+        <div class="result-item ${keywordStatus}">
+            <div class="label">
+                <i class="fas fa-key"></i>
+                Zoekwoord in H1
+            </div>
+            <div class="value">${h1.keywordPresent ? 'Gevonden' : 'Niet gevonden'}</div>
+        </div>
+        ` : ''}
+        ` : ''}
+    `;
+}
+
+function displayHeadingResults(headings) {
+    const container = document.getElementById('headingResults');
+    if (!container) return;
+    
+    if (!headings) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    const levelSummary = Object.entries(headings.counts)
+        .filter(([, count]) => count > 0)
+        .map(([level, count]) => `${count}× ${level.toUpperCase()}`)
+        .join(', ');
+    
+    container.innerHTML = `
+        <div class="result-item ${headings.total > 0 ? 'success' : 'warning'}">
+            <div class="label">
+                <i class="fas fa-sitemap"></i>
+                Heading Structuur
+            </div>
+            <div class="value">${headings.total > 0 ? levelSummary : 'Geen headings gevonden'}</div>
+        </div>
+        <div class="result-item ${headings.skippedLevels.length === 0 ? 'success' : 'warning'}">
+            <div class="label">
+                <i class="fas fa-level-down-alt"></i>
+                Overgeslagen Niveaus
+            </div>
+            <div class="value">${headings.skippedLevels.length === 0 ? 'Geen' : headings.skippedLevels.map(skip => `H${skip.from} → H${skip.to}`).join(', ')}</div>
+        </div>
+        <div class="result-item ${headings.empty === 0 && headings.hidden === 0 ? 'success' : 'warning'}">
+            <div class="label">
+                <i class="fas fa-eye-slash"></i>
+                Lege / Verborgen Headings
+            </div>
+            <div class="value">${headings.empty} leeg, ${headings.hidden} verborgen</div>
+        </div>
+        <div class="result-item ${headings.duplicates.length === 0 ? 'success' : 'warning'}">
+            <div class="label">
+                <i class="fas fa-clone"></i>
+                Dubbele Headings
+            </div>
+            <div class="value">${headings.duplicates.length === 0 ? 'Geen' : headings.duplicates.map(duplicate => `"${escapeHtml(duplicate.text)}" (${duplicate.count}×)`).join(', ')}</div>
+        </div>
+        ${headings.keywordInSubheadings !== null ? `
+        <div class="result-item ${headings.keywordInSubheadings ? 'success' : 'warning'}">
+            <div class="label">
+                <i class="fas fa-key"></i>
+                Zoekwoord in Subheadings
+            </div>
+            <div class="value">${headings.subheadingsWithKeyword} van ${headings.subheadings} subheadings</div>
+        </div>
+        ` : ''}
+        ${headings.total > 0 ? `
+        <details class="heading-outline">
+            <summary><i class="fas fa-stream"></i> Document Outline</summary>
+            <ul class="heading-tree">${renderHeadingTree(headings.tree)}</ul>
+        </details>
+        ` : ''}
+    `;
+}
+
+function renderHeadingTree(nodes) {
+    return nodes.map(heading => {
+        const flags = [
+            heading.skipped ? '<span class="heading-flag warning">Niveau overgeslagen</span>' : '',
+            heading.empty ? '<span class="heading-flag warning">Leeg</span>' : '',
+            heading.hidden ? '<span class="heading-flag warning">Verborgen</span>' : '',
+            heading.duplicate ? '<span class="heading-flag notice">Dubbel</span>' : '',
+            heading.hasKeyword ? '<span class="heading-flag success">Zoekwoord</span>' : ''
+        ].join('');
+        const label = `<span class="heading-level">H${heading.level}</span> ${heading.empty ? '<em>(leeg)</em>' : escapeHtml(heading.text)} ${flags}`;
+        
+        if (heading.children.length === 0) {
+            return `<li><div class="heading-node">${label}</div></li>`;
+        }
+        return `
+            <li>
+                <details open>
+                    <summary class="heading-node">${label}</summary>
+                    <ul class="heading-tree">${renderHeadingTree(heading.children)}</ul>
+                </details>
+            </li>
+        `;
+    }).join('');
+}
+
+function displayContentQualityResults(content) {
+    const container = document.getElementById('contentQualityResults');
+    if (!container) return;
+    
+    if (!content) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    const thresholds = CONTENT_QUALITY_THRESHOLDS;
+    const wordStatus = !content.isThin ? 'success' : (content.isMinimal ? 'error' : 'warning');
+    const readabilityStatus = content.readabilityScore === null ? 'warning'
+        : (content.readabilityScore >= 60 ? 'success' : (content.readabilityScore >= 30 ? 'warning' : 'error'));
+    const languageSource = content.declaredLanguage ? `lang="${escapeHtml(content.declaredLanguage)}"` : 'automatisch gedetecteerd';
+    
+    container.innerHTML = `
+        <div class="result-item ${wordStatus}">
+            <div class="label">
+                <i class="fas fa-file-alt"></i>
+                Woordenaantal Hoofdcontent
+            </div>
+            <div class="value">${content.wordCount} woorden (minimaal ${thresholds.thinContent})</div>
+        </div>
+        <div class="result-item success">
+            <div class="label">
+                <i class="fas fa-language"></i>
+                Taal
+            </div>
+            <div class="value">${content.languageName} (${languageSource})</div>
+        </div>
+        <div class="result-item ${readabilityStatus}">
+            <div class="label">
+                <i class="fas fa-book-reader"></i>
+                Leesbaarheid (${content.readabilityFormula})
+            </div>
+            <div class="value">${content.readabilityScore !== null ? `${content.readabilityScore} - ${content.readabilityLevel}` : 'Onvoldoende tekst'}</div>
+        </div>
+        <div class="result-item ${content.longSentencePercentage <= thresholds.maxLongSentences ? 'success' : 'warning'}">
+            <div class="label">
+                <i class="fas fa-ruler-horizontal"></i>
+                Zinslengte
+            </div>
+            <div class="value">Gem. ${content.averageSentenceLength} woorden, ${content.longSentencePercentage}% langer dan ${thresholds.longSentence} woorden</div>
+        </div>
+        <div class="result-item ${content.passivePercentage <= thresholds.maxPassive ? 'success' : 'warning'}">
+            <div class="label">
+                <i class="fas fa-exchange-alt"></i>
+                Passieve Zinnen
+            </div>
+            <div class="value">${content.passivePercentage}% (maximaal ${thresholds.maxPassive}%)</div>
+        </div>
+        <div class="result-item ${content.transitionPercentage >= thresholds.minTransitions ? 'success' : 'warning'}">
+            <div class="label">
+                <i class="fas fa-link"></i>
+                Signaalwoorden
+            </div>
+            <div class="value">${content.transitionPercentage}% van de zinnen (minimaal ${thresholds.minTransitions}%)</div>
+        </div>
+    `;
+}
+
+function displayKeywordResults(keywords) {
+    const container = document.getElementById('keywordResults');
+    if (!container) return;
+    
+    if (!keywords) {
+        container.innerHTML = `
+            <div class="result-item warning">
+                <div class="label">
+                    <i class="fas fa-info-circle"></i>
+                    Zoekwoord
+                </div>
+                <div class="value">Geen zoekwoord opgegeven</div>
+            </div>
+        `;
+        return;
+    }
+    
+    container.innerHTML = keywords.keywords.map(keyword => {
+        const densityStatus = keyword.isStuffed ? 'error' : (keyword.isOptimalDensity ? 'success' : 'warning');
+        const prominenceStatus = keyword.prominence === null ? 'error' : (keyword.prominence >= 90 ? 'success' : 'warning');
+        
+        return `
+            <div class="keyword-block">
+                <div class="keyword-header">
+                    <span class="keyword-name"><i class="fas fa-key"></i> ${escapeHtml(keyword.keyword)}</span>
+                    ${keyword.synonyms.length > 0 ? `<span class="keyword-synonyms">Synoniemen: ${keyword.synonyms.map(escapeHtml).join(', ')}</span>` : ''}
+                    <span class="keyword-score">${keyword.foundIn}/${keyword.checks.length} locaties</span>
+                </div>
+                <div class="result-item ${densityStatus}">
+                    <div class="label">
+                        <i class="fas fa-percentage"></i>
+                        Keyword Dichtheid
+                    </div>
+                    <div class="value">${keyword.density}% (${keyword.occurrences}× in ${keywords.wordCount} woorden, optimaal ${keywordAnalyzer.optimalDensity.min}-${keywordAnalyzer.optimalDensity.max}%)</div>
+                </div>
+                <div class="result-item ${prominenceStatus}">
+                    <div class="label">
+                        <i class="fas fa-arrow-up"></i>
+                        Prominentie
+                    </div>
+                    <div class="value">${keyword.prominence !== null ? `${keyword.prominence}% (eerste vermelding na ${100 - keyword.prominence}% van de content)` : 'Niet gevonden in de content'}</div>
+                </div>
+                <div class="keyword-checklist">
+                    ${keyword.checks.map(check => `
+                        <div class="keyword-check ${check.found ? 'found' : (check.available ? 'missing' : 'unavailable')}">
+                            <i class="fas ${check.found ? 'fa-check-circle' : 'fa-times-circle'}"></i>
+                            <span>${check.label}</span>
+                            <span class="keyword-check-detail">${check.found
+                                ? (check.matchCount > 1 ? `${check.matchCount}×` : '') + (check.matchedTerm.toLowerCase() !== keyword.keyword.toLowerCase() ? ` via "${escapeHtml(check.matchedTerm)}"` : '')
+                                : (check.available ? '' : 'niet aanwezig')}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function displayHreflangResults(hreflang) {
+    const container = document.getElementById('hreflangResults');
+    if (!container) return;
+
+    if (!hreflang) {
+        container.innerHTML = `
+            <div class="result-item warning">
+                <div class="label">
+                    <i class="fas fa-info-circle"></i>
+                    hreflang
+                </div>
+                <div class="value">Niet geanalyseerd in deze analyse</div>
+            </div>
+        `;
+        return;
+    }
+
+    const sourceSummary = [
+        hreflang.sources.html ? `${hreflang.sources.html} in HTML` : '',
+        hreflang.sources.header ? `${hreflang.sources.header} in Link header` : '',
+        hreflang.sources.sitemap ? `${hreflang.sources.sitemap} in sitemap` : ''
+    ].filter(Boolean).join(', ');
+    const langStatus = !hreflang.htmlLang ? 'warning' : (hreflang.langMatches === false ? 'warning' : 'success');
+
+    container.innerHTML = `
+        <div class="result-item ${langStatus}">
+            <div class="label">
+                <i class="fas fa-language"></i>
+                HTML lang
+            </div>
+            <div class="value">${hreflang.htmlLang ? escapeHtml(hreflang.htmlLang) : 'Ontbreekt'}${hreflang.langMatches === false ? ` (content lijkt ${escapeHtml(hreflang.detectedLanguage)})` : ''}</div>
+        </div>
+        <div class="result-item ${hreflang.exists ? (hreflang.isValid ? 'success' : 'error') : 'success'}">
+            <div class="label">
+                <i class="fas fa-globe"></i>
+                hreflang Tags
+            </div>
+            <div class="value">${hreflang.exists ? `${hreflang.entries.length} (${sourceSummary})` : 'Geen (niet nodig voor eentalige sites)'}</div>
+        </div>
+        ${hreflang.exists ? `
+        <div class="result-item ${hreflang.hasSelfReference ? 'success' : 'error'}">
+            <div class="label">
+                <i class="fas fa-redo"></i>
+                Self-reference
+            </div>
+            <div class="value">${hreflang.hasSelfReference ? escapeHtml(hreflang.selfHreflang) : 'Ontbreekt'}</div>
+        </div>
+        <div class="result-item ${hreflang.hasXDefault ? 'success' : 'warning'}">
+            <div class="label">
+                <i class="fas fa-flag"></i>
+                x-default
+            </div>
+            <div class="value">${hreflang.hasXDefault ? 'Aanwezig' : 'Ontbreekt'}</div>
+        </div>
+        <div class="hreflang-table">
+            ${hreflang.entries.map(entry => {
+                const invalid = hreflang.invalidCodes.some(code => code.hreflang === entry.hreflang);
+                return `
+                    <div class="hreflang-row ${invalid ? 'invalid' : ''}">
+                        <span class="hreflang-code">${escapeHtml(entry.hreflang)}</span>
+                        <span class="hreflang-url">${escapeHtml(entry.href || '(ongeldige URL)')}</span>
+                        <span class="hreflang-source">${entry.source}</span>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+        ` : ''}
+        ${[...hreflang.errors.map(message => ['error', message]), ...hreflang.warnings.map(message => ['warning', message])].map(([type, message]) => `
+        <div class="result-item ${type}">
+            <div class="label">
+                <i class="fas ${type === 'error' ? 'fa-times' : 'fa-exclamation-triangle'}"></i>
+                ${type === 'error' ? 'Fout' : 'Waarschuwing'}
+            </div>
+            <div class="value">${escapeHtml(message)}</div>
+        </div>
+        `).join('')}
+    `;
+}
+
+function displayHeadersResults(headers) {
+    const container = document.getElementById('headersResults');
+    if (!container) return;
+
+    if (!headers || !headers.available) {
+        container.innerHTML = `
+            <div class="result-item warning">
+                <div class="label">
+                    <i class="fas fa-info-circle"></i>
+                    HTTP Headers
+                </div>
+                <div class="value">Response headers niet beschikbaar (alleen via de eigen proxy)</div>
+            </div>
+        `;
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="result-item ${headers.failures > 0 ? 'error' : (headers.warnings > 0 ? 'warning' : 'success')}">
+            <div class="label">
+                <i class="fas fa-shield-alt"></i>
+                HTTP Headers
+            </div>
+            <div class="value">${headers.passed} goed, ${headers.warnings} waarschuwingen, ${headers.failures} fouten</div>
+        </div>
+        ${headers.checks.map(check => `
+        <div class="result-item ${check.status}">
+            <div class="label">
+                <i class="fas ${{ success: 'fa-check', error: 'fa-times', skipped: 'fa-minus-circle' }[check.status] || 'fa-exclamation-triangle'}"></i>
+                ${check.label}
+            </div>
+            <div class="value"><code class="header-value">${escapeHtml(check.value)}</code></div>
+            <div class="value header-explanation">${escapeHtml(check.message)}</div>
+        </div>
+        `).join('')}
+    `;
+}
+
+function displayMobileResults(mobile) {
+    const container = document.getElementById('mobileResults');
+    if (!container) return;
+
+    if (!mobile) {
+        container.innerHTML = `
+            <div class="result-item warning">
+                <div class="label">
+                    <i class="fas fa-info-circle"></i>
+                    Mobile
+                </div>
+                <div class="value">Niet geanalyseerd in deze analyse</div>
+            </div>
+        `;
+        return;
+    }
+
+    const viewport = mobile.viewport;
+    const viewportMessage = !viewport.exists
+        ? 'Ontbreekt - de pagina wordt op mobiel als desktop pagina weergegeven'
+        : [
+            escapeHtml(viewport.content),
+            !viewport.deviceWidth ? 'width=device-width ontbreekt' : '',
+            viewport.zoomDisabled ? 'inzoomen is uitgeschakeld' : ''
+        ].filter(Boolean).join(' - ');
+    const widthSummary = mobile.fixedWidthElements.slice(0, 5)
+        .map(element => `${element.tag} ${element.width}px (${escapeHtml(element.source)})`)
+        .join(', ');
+
+    container.innerHTML = `
+        <div class="result-item ${mobile.isMobileFriendly ? 'success' : 'error'}">
+            <div class="label">
+                <i class="fas ${mobile.isMobileFriendly ? 'fa-check' : 'fa-times'}"></i>
+                Mobielvriendelijk
+            </div>
+            <div class="value">${mobile.isMobileFriendly ? 'Ja' : 'Nee'}</div>
+        </div>
+        <div class="result-item ${viewport.isValid ? 'success' : (viewport.exists ? 'warning' : 'error')}">
+            <div class="label">
+                <i class="fas fa-mobile-alt"></i>
+                Viewport Meta Tag
+            </div>
+            <div class="value">${viewportMessage}</div>
+        </div>
+        <div class="result-item ${mobile.fixedWidthElements.length === 0 ? 'success' : 'warning'}">
+            <div class="label">
+                <i class="fas fa-arrows-alt-h"></i>
+                Vaste Breedtes
+            </div>
+            <div class="value">${mobile.fixedWidthElements.length === 0 ? 'Geen vaste breedtes gevonden' : `${mobile.fixedWidthElements.length} gevonden: ${widthSummary}${mobile.fixedWidthElements.length > 5 ? ', ...' : ''}`}</div>
+        </div>
+        <div class="result-item ${mobile.smallFonts.length === 0 ? 'success' : 'warning'}">
+            <div class="label">
+                <i class="fas fa-text-height"></i>
+                Lettergrootte
+            </div>
+            <div class="value">${mobile.smallFonts.length === 0 ? `Geen lettergroottes kleiner dan ${MOBILE_THRESHOLDS.minFontSize}px` : `${mobile.smallFonts.length} declaraties kleiner dan ${MOBILE_THRESHOLDS.minFontSize}px`}</div>
+        </div>
+        <div class="result-item ${mobile.smallTapTargets + mobile.denseLinkGroups === 0 ? 'success' : 'warning'}">
+            <div class="label">
+                <i class="fas fa-hand-pointer"></i>
+                Tap Targets
+            </div>
+            <div class="value">${mobile.smallTapTargets} kleiner dan ${MOBILE_THRESHOLDS.minTapTarget}px, ${mobile.denseLinkGroups} groepen links dicht op elkaar</div>
+        </div>
+        <div class="result-item ${mobile.images.percentage >= 50 || mobile.images.total === 0 ? 'success' : 'warning'}">
+            <div class="label">
+                <i class="fas fa-images"></i>
+                Responsive Afbeeldingen
+            </div>
+            <div class="value">${mobile.images.responsive} van ${mobile.images.total} met srcset of &lt;picture&gt; (${mobile.images.pictures} picture elementen)</div>
+        </div>
+    `;
+}
+
+function displayMetaResults(meta, profileId) {
+    const container = document.getElementById('metaResults');
+    const { metaMin, metaMax } = scoringProfiles.getProfile(profileId).thresholds;
+    const lengthStatus = scoringProfiles.passes('meta', { meta }, profileId) ? 'success' : (meta.length < metaMin ? 'warning' : 'error');
+    const descriptionPixels = serpPreview.truncate(meta.content || '', SERP_LAYOUT.desktop.descriptionFont, SERP_LAYOUT.desktop.descriptionWidth);
+    
+    container.innerHTML = `
+        <div class="result-item ${meta.exists ? 'success' : 'error'}">
+            <div class="label">
+                <i class="fas ${meta.exists ? 'fa-check' : 'fa-times'}"></i>
+                Meta Description Aanwezig
+            </div>
+            <div class="value">${meta.exists ? 'Ja' : 'Nee'}</div>
+        </div>
+        ${meta.exists ? `
+        <div class="result-item ${lengthStatus}">
+            <div class="label">
+                <i class="fas fa-ruler"></i>
+                Lengte
+            </div>
+            <div class="value">${meta.length} karakters (optimaal: ${metaMin}-${metaMax})</div>
+        </div>
+        <div class="result-item ${descriptionPixels.truncated ? 'warning' : 'success'}">
+            <div class="label">
+                <i class="fas fa-ruler-horizontal"></i>
+                Pixelbreedte
+            </div>
+            <div class="value">${descriptionPixels.width} / ${SERP_LAYOUT.desktop.descriptionWidth} px${descriptionPixels.truncated ? ' - wordt afgekapt in Google' : ''}</div>
+        </div>
+        <div class="result-item success">
+            <div class="label">
+                <i class="fas fa-quote-right"></i>
+                Inhoud
+            </div>
+            <div class="value">${escapeHtml(meta.content)}</div>
+        </div>
+        ` : ''}
+    `;
+}
+
+function displayPerformanceResults(performance) {
+    const container = document.getElementById('performanceResults');
+    if (!container) return;
+
+    if (!performance) {
+        container.innerHTML = `
+            <div class="result-item warning">
+                <div class="label">
+                    <i class="fas fa-info-circle"></i>
+                    Performance
+                </div>
+                <div class="value">Niet geanalyseerd in deze analyse</div>
+            </div>
+        `;
+        return;
+    }
+
+    const typeLabels = { script: 'JavaScript', style: 'CSS', font: 'Fonts', image: 'Afbeeldingen', iframe: 'Iframes', other: 'Overig' };
+    const exceeded = performance.budgets.filter(budget => budget.exceeded);
+    const formatBudget = budget => budget.isCount ? budget.actual : formatBytes(budget.actual);
+
+    container.innerHTML = `
+        <div class="result-item ${performance.overBudget ? 'error' : (performance.measured > 0 ? 'success' : 'warning')}">
+            <div class="label">
+                <i class="fas fa-weight-hanging"></i>
+                Paginagewicht
+            </div>
+            <div class="value">${formatBytes(performance.totalSize)} in ${performance.requestCount} requests${performance.unmeasured > 0 ? ` (${performance.unmeasured} bestanden niet gemeten)` : ''}</div>
+        </div>
+        ${exceeded.length > 0 ? `
+        <div class="result-item error">
+            <div class="label">
+                <i class="fas fa-exclamation-circle"></i>
+                Boven Budget
+            </div>
+            <div class="value">${exceeded.map(budget => `${budget.label}: ${formatBudget(budget)} (budget ${budget.isCount ? budget.budget : formatBytes(budget.budget)})`).join(', ')}</div>
+        </div>
+        ` : ''}
+        <div class="resource-breakdown">
+            <div class="resource-row"><span>HTML</span><span>1</span><span>${formatBytes(performance.documentSize)}</span></div>
+            ${Object.entries(performance.totals).filter(([, total]) => total.count > 0).map(([type, total]) => `
+            <div class="resource-row"><span>${typeLabels[type]}</span><span>${total.count}</span><span>${formatBytes(total.size)}</span></div>
+            `).join('')}
+        </div>
+        <div class="result-item ${performance.thirdParty.size > performance.firstParty.size ? 'warning' : 'success'}">
+            <div class="label">
+                <i class="fas fa-external-link-alt"></i>
+                First- vs Third-party
+            </div>
+            <div class="value">Eigen domein: ${performance.firstParty.count} (${formatBytes(performance.firstParty.size)}), extern: ${performance.thirdParty.count} (${formatBytes(performance.thirdParty.size)})</div>
+        </div>
+        ${performance.thirdParty.hosts.length > 0 ? `
+        <div class="result-item">
+            <div class="label">
+                <i class="fas fa-server"></i>
+                Externe Domeinen
+            </div>
+            <div class="value">${performance.thirdParty.hosts.slice(0, 8).map(host => escapeHtml(host)).join(', ')}${performance.thirdParty.hosts.length > 8 ? ` en ${performance.thirdParty.hosts.length - 8} meer` : ''}</div>
+        </div>
+        ` : ''}
+        <div class="result-item ${performance.renderBlocking.length > 0 ? 'warning' : 'success'}">
+            <div class="label">
+                <i class="fas fa-ban"></i>
+                Render-blocking
+            </div>
+            <div class="value">${performance.renderBlocking.length > 0
+                ? `${performance.renderBlocking.length} in de &lt;head&gt;: ${performance.renderBlocking.slice(0, 5).map(resource => escapeHtml(resource.url.split('/').pop() || resource.url)).join(', ')}`
+                : 'Geen blokkerende scripts of stylesheets'}</div>
+        </div>
+        ${performance.preloads > 0 ? `
+        <div class="result-item success">
+            <div class="label">
+                <i class="fas fa-forward"></i>
+                Preloads
+            </div>
+            <div class="value">${performance.preloads} resources worden vooraf geladen</div>
+        </div>
+        ` : ''}
+        <details class="performance-budgets">
+            <summary><i class="fas fa-sliders-h"></i> Budgetten instellen</summary>
+            <div class="budget-inputs">
+                ${performance.budgets.map(budget => `
+                <label>
+                    <span>${budget.label}${budget.isCount ? '' : ' (KB)'}</span>
+                    <input type="number" min="0" data-budget="${budget.id}" value="${budget.isCount ? budget.budget : Math.round(budget.budget / 1024)}">
+                </label>
+                `).join('')}
+            </div>
+            <button class="config-btn secondary" onclick="savePerformanceBudgets()">
+                <i class="fas fa-save"></i> Opslaan
+            </button>
+        </details>
+    `;
+}
+
+function savePerformanceBudgets() {
+    const budgets = {};
+    document.querySelectorAll('.performance-budgets input[data-budget]').forEach(input => {
+        const value = parseInt(input.value);
+        if (Number.isFinite(value) && value >= 0) {
+            budgets[input.dataset.budget] = input.dataset.budget === 'requests' ? value : value * 1024;
+        }
+    });
+    seoChecker.savePerformanceBudgets(budgets);
+
+    // Huidige analyse opnieuw beoordelen met de nieuwe budgetten
+    if (seoChecker.results?.performance) {
+        seoChecker.results.performance = seoChecker.evaluatePerformanceBudgets(seoChecker.results.performance);
+        displayResults(seoChecker.results, seoChecker.resultsProfileId);
+    }
+    analysisStorage.showSaveNotification('Budgetten opgeslagen!');
+}
+
+function displayTagResults(tags) {
+    const container = document.getElementById('tagResults');
+    if (!container) return;
+
+    if (!tags) {
+        container.innerHTML = `
+            <div class="result-item warning">
+                <div class="label">
+                    <i class="fas fa-info-circle"></i>
+                    Tracking & Tags
+                </div>
+                <div class="value">Niet geanalyseerd in deze analyse</div>
+            </div>
+        `;
+        return;
+    }
+
+    if (tags.found === 0) {
+        container.innerHTML = `
+            <div class="result-item">
+                <div class="label">
+                    <i class="fas fa-tags"></i>
+                    Tracking & Tags
+                </div>
+                <div class="value">Geen bekende tags gevonden</div>
+            </div>
+        `;
+        return;
+    }
+
+    container.innerHTML = `
+        ${tags.warnings.map(warning => `
+        <div class="result-item warning">
+            <div class="label">
+                <i class="fas fa-cookie-bite"></i>
+                Cookie Consent
+            </div>
+            <div class="value">${escapeHtml(warning)}</div>
+        </div>
+        `).join('')}
+        ${Object.entries(TAG_CATEGORIES).map(([category, label]) => {
+            const categoryTags = tags.tags.filter(tag => tag.category === category);
+            if (categoryTags.length === 0) return '';
+            return `
+            <div class="tag-category">${label}</div>
+            ${categoryTags.map(tag => `
+            <div class="result-item ${tag.duplicate ? 'error' : (tag.issues.length > 0 ? 'warning' : 'success')}">
+                <div class="label">
+                    <i class="fas ${tag.duplicate ? 'fa-clone' : (tag.issues.length > 0 ? 'fa-exclamation-triangle' : 'fa-check')}"></i>
+                    ${escapeHtml(tag.name)}
+                </div>
+                <div class="value">${tag.ids.length > 0 ? tag.ids.map(id => `<code class="tag-id">${escapeHtml(id)}</code>`).join(' ') : 'Geen ID gevonden'}</div>
+                ${tag.issues.length > 0 ? `<div class="value tag-issues">${tag.issues.map(escapeHtml).join('<br>')}</div>` : ''}
+            </div>
+            `).join('')}
+            `;
+        }).join('')}
+    `;
+}
+
+function displayImageResults(images) {
+    const container = document.getElementById('imageResults');
+    const status = images.percentage >= 80 ? 'success' : (images.percentage >= 50 ? 'warning' : 'error');
+    
+    container.innerHTML = `
+        <div class="result-item ${status}">
+            <div class="label">
+                <i class="fas fa-images"></i>
+                Alt-text Coverage
+            </div>
+            <div class="value">${images.percentage}% (${images.withAlt}/${images.total} afbeeldingen)</div>
+        </div>
+        ${images.withoutAlt > 0 ? `
+        <div class="result-item warning clickable" onclick="showMissingAltImages()">
+            <div class="label">
+                <i class="fas fa-exclamation-triangle"></i>
+                Ontbrekende Alt-text
+            </div>
+            <div class="value">${images.withoutAlt} afbeeldingen zonder alt-text <i class="fas fa-eye" style="margin-left: 8px; opacity: 0.7;"></i></div>
+        </div>
+        ` : ''}
+        ${images.items && images.total > 0 ? `
+        <div class="result-item ${images.checked > 0 ? (images.largeFiles > 0 ? 'warning' : 'success') : 'warning'}">
+            <div class="label">
+                <i class="fas fa-weight-hanging"></i>
+                Bestandsgrootte
+            </div>
+            <div class="value">${images.checked > 0
+                ? `${formatBytes(images.totalSize)} totaal (${images.checked}/${images.total} gemeten)${images.largeFiles > 0 ? `, ${images.largeFiles} groter dan ${formatBytes(IMAGE_THRESHOLDS.largeFileSize)}` : ''}`
+                : 'Niet gemeten (alleen via de eigen proxy)'}</div>
+        </div>
+        <div class="result-item ${images.legacyFormat > 0 ? 'warning' : 'success'}">
+            <div class="label">
+                <i class="fas fa-file-image"></i>
+                Moderne Formaten
+            </div>
+            <div class="value">${images.legacyFormat > 0 ? `${images.legacyFormat} JPEG/PNG afbeeldingen kunnen als WebP of AVIF` : 'Geen JPEG/PNG zonder modern alternatief'}</div>
+        </div>
+        <div class="result-item ${images.missingDimensions > 0 ? 'warning' : 'success'}">
+            <div class="label">
+                <i class="fas fa-ruler-combined"></i>
+                Width/Height (CLS)
+            </div>
+            <div class="value">${images.missingDimensions > 0 ? `${images.missingDimensions} afbeeldingen zonder afmetingen` : 'Alle afbeeldingen hebben afmetingen'}</div>
+        </div>
+        <div class="result-item ${images.missingLazy + images.lazyAboveFold > 0 ? 'warning' : 'success'}">
+            <div class="label">
+                <i class="fas fa-hourglass-half"></i>
+                Lazy Loading
+            </div>
+            <div class="value">${[
+                images.missingLazy > 0 && `${images.missingLazy} onder de vouw zonder loading="lazy"`,
+                images.lazyAboveFold > 0 && `${images.lazyAboveFold} boven de vouw met loading="lazy"`
+            ].filter(Boolean).join(', ') || 'Correct ingesteld'}</div>
+        </div>
+        ${images.missingSrcset + images.decorativeWithAlt + images.poorFilenames > 0 ? `
+        <div class="result-item warning">
+            <div class="label">
+                <i class="fas fa-tasks"></i>
+                Overige Punten
+            </div>
+            <div class="value">${[
+                images.missingSrcset > 0 && `${images.missingSrcset} zonder srcset`,
+                images.decorativeWithAlt > 0 && `${images.decorativeWithAlt} decoratief met alt-text`,
+                images.poorFilenames > 0 && `${images.poorFilenames} niet-beschrijvende bestandsnamen`
+            ].filter(Boolean).join(', ')}</div>
+        </div>
+        ` : ''}
+        <div class="result-item success clickable" onclick="showMissingAltImages()">
+            <div class="label">
+                <i class="fas fa-table"></i>
+                Afbeelding Details
+            </div>
+            <div class="value">Tabel met alle ${images.total} afbeeldingen <i class="fas fa-eye" style="margin-left: 8px; opacity: 0.7;"></i></div>
+        </div>
+        ` : ''}
+    `;
+}
+
+function displayCanonicalResults(canonical) {
+    const container = document.getElementById('canonicalResults');
+    const errors = canonical.errors || [];
+    const warnings = canonical.warnings || [];
+    const target = canonical.target;
+    
+    container.innerHTML = `
+        <div class="result-item ${canonical.exists ? 'success' : 'warning'}">
+            <div class="label">
+                <i class="fas ${canonical.exists ? 'fa-check' : 'fa-exclamation-triangle'}"></i>
+                Canonical Tag
+            </div>
+            <div class="value">${canonical.exists ? `Aanwezig${canonical.source === 'header' ? ' (HTTP Link header)' : ''}` : 'Ontbreekt'}</div>
+        </div>
+        ${canonical.exists ? `
+        <div class="result-item ${canonical.isValid ? 'success' : 'error'}">
+            <div class="label">
+                <i class="fas fa-link"></i>
+                Canonical URL
+            </div>
+            <div class="value">${escapeHtml(canonical.url || canonical.rawHref || '')}</div>
+        </div>
+        <div class="result-item ${canonical.isSelfReferencing ? 'success' : 'warning'}">
+            <div class="label">
+                <i class="fas fa-sync"></i>
+                Self-referencing
+            </div>
+            <div class="value">${canonical.isSelfReferencing ? 'Ja' : 'Nee, verwijst naar een andere URL'}</div>
+        </div>
+        ${target ? `
+        <div class="result-item ${target.status >= 200 && target.status < 300 && target.redirects === 0 && !target.noindex ? 'success' : (target.status === null && !target.redirects ? 'warning' : 'error')}">
+            <div class="label">
+                <i class="fas fa-bullseye"></i>
+                Canonical Doel
+            </div>
+            <div class="value">${[
+                target.status ? `HTTP ${target.status}` : 'Status onbekend',
+                target.redirects > 0 ? `${target.redirects} redirect(s) naar ${escapeHtml(target.finalUrl)}` : '',
+                target.noindex ? 'noindex' : ''
+            ].filter(Boolean).join(' · ')}</div>
+        </div>
+        ` : ''}
+        ${errors.map(error => `
+        <div class="result-item error">
+            <div class="label">
+                <i class="fas fa-times"></i>
+                Canonical Fout
+            </div>
+            <div class="value">${escapeHtml(error)}</div>
+        </div>
+        `).join('')}
+        ${warnings.map(warning => `
+        <div class="result-item warning">
+            <div class="label">
+                <i class="fas fa-exclamation-triangle"></i>
+                Canonical Waarschuwing
+            </div>
+            <div class="value">${escapeHtml(warning)}</div>
+        </div>
+        `).join('')}
+        ` : ''}
+    `;
+}
+
+function displayLinksResults(links) {
+    const container = document.getElementById('linksResults');
+    const status = links.broken === 0 ? 'success' : 'error';
+    const hasDetails = Array.isArray(links.items) && links.items.length > 0;
+    
+    container.innerHTML = `
+        <div class="result-item success">
+            <div class="label">
+                <i class="fas fa-link"></i>
+                Totaal Links Gecontroleerd
+            </div>
+            <div class="value">${links.checked} unieke links (${links.total} in totaal)</div>
+        </div>
+        <div class="result-item success">
+            <div class="label">
+                <i class="fas fa-home"></i>
+                Interne Links
+            </div>
+            <div class="value">${links.internal}</div>
+        </div>
+        <div class="result-item success">
+            <div class="label">
+                <i class="fas fa-external-link-alt"></i>
+                Externe Links
+            </div>
+            <div class="value">${links.external}</div>
+        </div>
+        <div class="result-item ${status} ${links.broken > 0 && hasDetails ? 'clickable' : ''}" ${links.broken > 0 && hasDetails ? 'onclick="showBrokenLinks()"' : ''}>
+            <div class="label">
+                <i class="fas ${links.broken === 0 ? 'fa-check' : 'fa-exclamation-triangle'}"></i>
+                Broken Links
+            </div>
+            <div class="value">${links.broken} ${links.broken > 0 && hasDetails ? '<i class="fas fa-eye" style="margin-left: 8px; opacity: 0.7;"></i>' : ''}</div>
+        </div>
+        ${links.redirected !== undefined ? `
+        <div class="result-item ${links.redirected > 0 ? 'warning' : 'success'}">
+            <div class="label">
+                <i class="fas fa-directions"></i>
+                Redirects
+            </div>
+            <div class="value">${links.redirected} links verwijzen door</div>
+        </div>
+        ` : ''}
+        ${links.averageResponseTime ? `
+        <div class="result-item ${links.averageResponseTime <= 1000 ? 'success' : 'warning'}">
+            <div class="label">
+                <i class="fas fa-stopwatch"></i>
+                Gem. Responstijd
+            </div>
+            <div class="value">${links.averageResponseTime} ms</div>
+        </div>
+        ` : ''}
+    `;
+}
+
+function displayURLResults(urlStructure) {
+    const container = document.getElementById('urlResults');
+    
+    container.innerHTML = `
+        <div class="result-item ${urlStructure.isShort ? 'success' : 'warning'}">
+            <div class="label">
+                <i class="fas fa-ruler"></i>
+                URL Lengte
+            </div>
+            <div class="value">${urlStructure.length} karakters ${urlStructure.isShort ? '(goed)' : '(te lang)'}</div>
+        </div>
+        <div class="result-item ${urlStructure.isReadable ? 'success' : 'warning'}">
+            <div class="label">
+                <i class="fas fa-eye"></i>
+                Leesbaarheid
+            </div>
+            <div class="value">${urlStructure.isReadable ? 'Goed leesbaar' : 'Bevat speciale karakters'}</div>
+        </div>
+        <div class="result-item success">
+            <div class="label">
+                <i class="fas fa-layer-group"></i>
+                URL Diepte
+            </div>
+            <div class="value">${urlStructure.depth} niveaus</div>
+        </div>
+        <div class="result-item ${urlStructure.protocol === 'https:' ? 'success' : 'warning'}">
+            <div class="label">
+                <i class="fas fa-shield-alt"></i>
+                Protocol
+            </div>
+            <div class="value">${urlStructure.protocol}</div>
+        </div>
+    `;
+}
+
+function displayStructuredDataResults(structuredData) {
+    const container = document.getElementById('structuredDataResults');
+    if (!container) return;
+    
+    if (!structuredData) {
+        container.innerHTML = `
+            <div class="result-item warning">
+                <div class="label">
+                    <i class="fas fa-info-circle"></i>
+                    Structured Data
                 </div>
-                <div class="issue-count">${issue.count}</div>
+                <div class="value">Niet geanalyseerd in deze analyse</div>
             </div>
-        `).join('');
+        `;
+        return;
+    }
+    
+    const formatSummary = [
+        structuredData.formats.jsonLd ? `${structuredData.formats.jsonLd} JSON-LD` : '',
+        structuredData.formats.microdata ? `${structuredData.formats.microdata} Microdata` : '',
+        structuredData.formats.rdfa ? `${structuredData.formats.rdfa} RDFa` : ''
+    ].filter(Boolean).join(', ');
+    
+    container.innerHTML = `
+        <div class="result-item ${structuredData.exists ? 'success' : 'warning'}">
+            <div class="label">
+                <i class="fas ${structuredData.exists ? 'fa-check' : 'fa-exclamation-triangle'}"></i>
+                Schema.org Markup
+            </div>
+            <div class="value">${structuredData.exists ? `${structuredData.total} items (${formatSummary})` : 'Geen structured data gevonden'}</div>
+        </div>
+        ${structuredData.parseErrors.length > 0 ? `
+        <div class="result-item error">
+            <div class="label">
+                <i class="fas fa-times"></i>
+                Parse Fouten
+            </div>
+            <div class="value">${structuredData.parseErrors.map(error => escapeHtml(error)).join('<br>')}</div>
+        </div>
+        ` : ''}
+        ${structuredData.items.map(item => {
+            const itemStatus = item.errors.length > 0 ? 'error' : (item.warnings.length > 0 ? 'warning' : 'success');
+            return `
+        <div class="result-item ${itemStatus}">
+            <div class="label">
+                <i class="fas ${itemStatus === 'success' ? 'fa-check' : (itemStatus === 'error' ? 'fa-times' : 'fa-exclamation-triangle')}"></i>
+                ${escapeHtml(item.type)} <span class="status-badge ${itemStatus}">${item.format}</span>
+            </div>
+            <div class="value">
+                ${item.errors.length === 0 && item.warnings.length === 0 ? 'Geldig, alle aanbevolen eigenschappen aanwezig' : ''}
+                ${[...item.errors, ...item.warnings].map(message => escapeHtml(message)).join('<br>')}
+            </div>
+        </div>
+            `;
+        }).join('')}
+    `;
+}
+
+function displaySocialResults(social) {
+    const container = document.getElementById('socialResults');
+    if (!container) return;
+    
+    if (!social) {
+        container.innerHTML = `
+            <div class="result-item warning">
+                <div class="label">
+                    <i class="fas fa-info-circle"></i>
+                    Social Media
+                </div>
+                <div class="value">Niet geanalyseerd in deze analyse</div>
+            </div>
+        `;
+        return;
+    }
+    
+    const preview = social.preview;
+    const imageHtml = preview.image
+        ? `<img src="${escapeHtml(preview.image)}" alt="" loading="lazy">`
+        : '<div class="social-preview-noimage"><i class="fas fa-image"></i> Geen afbeelding</div>';
+    const isLargeTwitterCard = preview.twitterCard === 'summary_large_image';
+    
+    container.innerHTML = `
+        ${social.checks.map(check => `
+        <div class="result-item ${check.status}">
+            <div class="label">
+                <i class="fas ${check.status === 'success' ? 'fa-check' : (check.status === 'error' ? 'fa-times' : 'fa-exclamation-triangle')}"></i>
+                ${check.label}
+            </div>
+            <div class="value">${escapeHtml(check.message)}</div>
+        </div>
+        `).join('')}
+        
+        <div class="social-previews">
+            <div class="social-preview facebook">
+                <div class="social-preview-platform"><i class="fab fa-facebook"></i> Facebook</div>
+                <div class="social-preview-image">${imageHtml}</div>
+                <div class="social-preview-text">
+                    <div class="social-preview-domain">${escapeHtml(preview.domain.toUpperCase())}</div>
+                    <div class="social-preview-title">${escapeHtml(preview.title || 'Geen titel')}</div>
+                    <div class="social-preview-description">${escapeHtml(preview.description)}</div>
+                </div>
+            </div>
+            
+            <div class="social-preview linkedin">
+                <div class="social-preview-platform"><i class="fab fa-linkedin"></i> LinkedIn</div>
+                <div class="social-preview-image">${imageHtml}</div>
+                <div class="social-preview-text">
+                    <div class="social-preview-title">${escapeHtml(preview.title || 'Geen titel')}</div>
+                    <div class="social-preview-domain">${escapeHtml(preview.domain)}</div>
+                </div>
+            </div>
+            
+            <div class="social-preview twitter ${isLargeTwitterCard ? 'large' : 'summary'}">
+                <div class="social-preview-platform"><i class="fab fa-twitter"></i> X</div>
+                <div class="social-preview-body">
+                    <div class="social-preview-image">${imageHtml}</div>
+                    <div class="social-preview-text">
+                        <div class="social-preview-domain">${escapeHtml(preview.domain)}</div>
+                        <div class="social-preview-title">${escapeHtml(preview.twitterTitle || 'Geen titel')}</div>
+                        ${isLargeTwitterCard ? '' : `<div class="social-preview-description">${escapeHtml(preview.twitterDescription)}</div>`}
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+function displaySummary(profileId) {
+    const container = document.getElementById('summaryResults');
+    const score = seoChecker.calculateScore(profileId);
+    
+    let scoreClass = 'score-poor';
+    let scoreText = 'Slecht';
+    
+    if (score >= 90) {
+        scoreClass = 'score-excellent';
+        scoreText = 'Uitstekend';
+    } else if (score >= 70) {
+        scoreClass = 'score-good';
+        scoreText = 'Goed';
+    } else if (score >= 50) {
+        scoreClass = 'score-average';
+        scoreText = 'Gemiddeld';
+    }
+    
+    container.innerHTML = `
+        <div class="score-circle ${scoreClass}">
+            ${score}%
+        </div>
+        <h4 style="text-align: center; margin-bottom: 20px;">SEO Score: ${scoreText}</h4>
+        <div class="progress-bar">
+            <div class="progress-fill" style="width: ${score}%"></div>
+        </div>
+        <p style="text-align: center; margin-top: 15px; opacity: 0.9;">
+            Gebaseerd op ${Object.keys(seoChecker.results).length - 2} SEO factoren
+        </p>
+    `;
+}
+
+document.getElementById('urlInput').addEventListener('keypress', function(e) {
+    if (e.key === 'Enter') {
+        analyzeWebsite();
+    }
+});
+
+document.getElementById('keywordInput').addEventListener('keypress', function(e) {
+    if (e.key === 'Enter') {
+        analyzeWebsite();
+    }
+});
+
+// Keyword Analysis Class
+class KeywordAnalyzer {
+    constructor() {
+        this.optimalDensity = { min: 0.5, max: 2.5 };
+        this.stuffingDensity = 3;
+        this.locations = [
+            { id: 'title', label: 'Title Tag', icon: 'fa-heading' },
+            { id: 'meta', label: 'Meta Description', icon: 'fa-align-left' },
+            { id: 'h1', label: 'H1', icon: 'fa-hashtag' },
+            { id: 'subheadings', label: 'Subheadings (H2-H6)', icon: 'fa-list-ol' },
+            { id: 'firstParagraph', label: 'Eerste Alinea', icon: 'fa-paragraph' },
+            { id: 'slug', label: 'URL Slug', icon: 'fa-link' },
+            { id: 'imageAlts', label: 'Afbeelding Alt-teksten', icon: 'fa-image' },
+            { id: 'anchors', label: 'Anchor Teksten', icon: 'fa-external-link-alt' }
+        ];
+    }
+
+    // "webdesign | website ontwerp, seo" = twee zoekwoorden, het eerste met een synoniem
+    parseKeywords(input) {
+        if (!input) return [];
+        return input.split(',')
+            .map(group => group.split('|').map(term => term.trim()).filter(Boolean))
+            .filter(terms => terms.length > 0)
+            .map(terms => ({ keyword: terms[0], synonyms: terms.slice(1), terms }));
+    }
+
+    // Kleine letters, zonder accenten (café = cafe, ideeën = ideeen) en zonder leestekens
+    fold(text) {
+        return (text || '')
+            .normalize('NFD')
+            .replace(/\p{M}/gu, '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    tokenize(text, language) {
+        const folded = this.fold(text);
+        return folded ? folded.split(' ').map(word => this.stem(word, language)) : [];
+    }
+
+    // Lichte stemmer: genoeg om enkel/meervoud en vervoegingen aan elkaar te koppelen
+    stem(word, language) {
+        if (word.length <= 3 || /\d/.test(word)) return word;
+
+        let stem = word;
+        if (language === 'en') {
+            if (stem.endsWith('sses')) stem = stem.slice(0, -2);
+            else if (stem.endsWith('ies') && stem.length > 4) stem = stem.slice(0, -3) + 'y';
+            else if (stem.endsWith('s') && !stem.endsWith('ss') && !stem.endsWith('us')) stem = stem.slice(0, -1);
+
+            if (stem.endsWith('ing') && stem.length > 5) stem = stem.slice(0, -3);
+            else if (stem.endsWith('ed') && stem.length > 4) stem = stem.slice(0, -2);
+            else if (stem.endsWith('ly') && stem.length > 4) stem = stem.slice(0, -2);
+            else if (stem.endsWith('e') && stem.length > 4) stem = stem.slice(0, -1);
+        } else {
+            if (stem.endsWith('heden')) stem = stem.slice(0, -5) + 'heid';
+            else if (stem.endsWith('en') && stem.length > 5) stem = stem.slice(0, -2);
+            else if (stem.endsWith("'s")) stem = stem.slice(0, -2);
+            else if (stem.endsWith('s') && stem.length > 4 && !/[aiou]s$|ss$/.test(stem)) stem = stem.slice(0, -1);
+
+            if (stem.endsWith('e') && stem.length > 4) stem = stem.slice(0, -1);
+            // Dubbele klinker in de laatste lettergreep (groot/grote) en dubbele medeklinker (bedden/bed)
+            stem = stem.replace(/([aeou])\1([^aeiou])$/, '$1$2');
+        }
+
+        return stem.replace(/([^aeiou])\1$/, '$1');
+    }
+
+    // Aantal keer dat een term (een of meer woorden) voorkomt in een lijst met gestemde tokens
+    countTerm(tokens, termTokens) {
+        if (termTokens.length === 0) return [];
+        const positions = [];
+        for (let i = 0; i <= tokens.length - termTokens.length; i++) {
+            if (termTokens.every((token, offset) => tokens[i + offset] === token)) {
+                positions.push(i);
+            }
+        }
+        return positions;
+    }
+
+    findTerm(text, group, language) {
+        const tokens = this.tokenize(text, language);
+        return group.terms.find(term => this.countTerm(tokens, this.tokenize(term, language)).length > 0) || null;
+    }
+
+    // Komt een van de opgegeven zoekwoorden (of synoniemen) voor in de tekst?
+    matches(text, input, language) {
+        return this.parseKeywords(input).some(group => this.findTerm(text, group, language) !== null);
+    }
+
+    analyze(doc, url, input, language, contentBlocks) {
+        const groups = this.parseKeywords(input);
+        if (groups.length === 0) return null;
+
+        let slug = '';
+        try {
+            slug = decodeURIComponent(new URL(url).pathname).replace(/[-_/.]+/g, ' ');
+        } catch {
+            slug = '';
+        }
+
+        const firstParagraph = contentBlocks.find(block => !block.isHeading && block.text.split(' ').length >= 5);
+        const sources = {
+            title: [doc.querySelector('title')?.textContent || ''],
+            meta: [doc.querySelector('meta[name="description"]')?.getAttribute('content') || ''],
+            h1: Array.from(doc.querySelectorAll('h1')).map(h1 => h1.textContent),
+            subheadings: Array.from(doc.querySelectorAll('h2, h3, h4, h5, h6')).map(heading => heading.textContent),
+            firstParagraph: [firstParagraph ? firstParagraph.text : ''],
+            slug: [slug],
+            imageAlts: Array.from(doc.querySelectorAll('img[alt]')).map(img => img.getAttribute('alt')),
+            anchors: Array.from(doc.querySelectorAll('a[href]')).map(link => link.textContent)
+        };
+        const contentTokens = this.tokenize(contentBlocks.map(block => block.text).join(' '), language);
+
+        const keywords = groups.map(group => {
+            const checks = this.locations.map(location => {
+                let matchedTerm = null;
+                let matchCount = 0;
+                sources[location.id].forEach(text => {
+                    const term = this.findTerm(text, group, language);
+                    if (term) {
+                        matchedTerm = matchedTerm || term;
+                        matchCount++;
+                    }
+                });
+                return { ...location, found: matchCount > 0, matchedTerm, matchCount, available: sources[location.id].some(text => text.trim()) };
+            });
+
+            // Dichtheid: aandeel van de woorden in de hoofdcontent dat bij een zoekwoord of synoniem hoort
+            let occurrences = 0;
+            let keywordWords = 0;
+            let firstPosition = null;
+            group.terms.forEach(term => {
+                const termTokens = this.tokenize(term, language);
+                const positions = this.countTerm(contentTokens, termTokens);
+                occurrences += positions.length;
+                keywordWords += positions.length * termTokens.length;
+                if (positions.length > 0 && (firstPosition === null || positions[0] < firstPosition)) {
+                    firstPosition = positions[0];
+                }
+            });
+
+            const density = contentTokens.length > 0
+                ? Math.round((keywordWords / contentTokens.length) * 1000) / 10
+                : 0;
+            // Prominentie: 100% = het zoekwoord staat helemaal aan het begin van de content
+            const prominence = firstPosition !== null && contentTokens.length > 0
+                ? Math.round((1 - firstPosition / contentTokens.length) * 100)
+                : null;
+
+            return {
+                keyword: group.keyword,
+                synonyms: group.synonyms,
+                checks,
+                foundIn: checks.filter(check => check.found).length,
+                occurrences,
+                density,
+                prominence,
+                isOptimalDensity: density >= this.optimalDensity.min && density <= this.optimalDensity.max,
+                isStuffed: density > this.stuffingDensity
+            };
+        });
+
+        return {
+            language,
+            wordCount: contentTokens.length,
+            keywords,
+            primary: keywords[0]
+        };
+    }
+}
+
+const keywordAnalyzer = new KeywordAnalyzer();
+
+// SERP Preview Class
+class SerpPreview {
+    constructor() {
+        this.context = undefined;
+        this.snippets = new Map();
+    }
+
+    getContext() {
+        if (this.context === undefined) {
+            this.context = document.createElement('canvas').getContext?.('2d') || null;
+        }
+        return this.context;
+    }
+
+    // Tekstbreedte in pixels via canvas; zonder canvas een schatting op basis van lettertypes
+    measure(text, font) {
+        const context = this.getContext();
+        if (context) {
+            context.font = font;
+            return Math.round(context.measureText(text).width);
+        }
+
+        const fontSize = parseInt(font) || 14;
+        const width = Array.from(text).reduce((sum, char) => {
+            if (/[ilIj.,:;|!'`]/.test(char)) return sum + 0.28;
+            if (/[mwMW@]/.test(char)) return sum + 0.85;
+            if (/[A-Z]/.test(char)) return sum + 0.68;
+            if (char === ' ') return sum + 0.28;
+            return sum + 0.55;
+        }, 0);
+        return Math.round(width * fontSize);
+    }
+
+    // Afkappen op een woordgrens met "..." zoals Google doet
+    truncate(text, font, maxWidth) {
+        const fullWidth = this.measure(text, font);
+        if (fullWidth <= maxWidth) return { text, width: fullWidth, truncated: false };
+
+        const words = text.split(/\s+/);
+        let fitted = '';
+        for (const word of words) {
+            const candidate = fitted ? `${fitted} ${word}` : word;
+            if (this.measure(`${candidate} ...`, font) > maxWidth) break;
+            fitted = candidate;
+        }
+        return { text: `${fitted.replace(/[\s,.;:|–-]+$/, '')} ...`, width: fullWidth, truncated: true };
+    }
+
+    // Snippet gegevens uit een analyse: breadcrumb, datum en rich result hints uit structured data
+    buildData(results) {
+        const items = results?.structuredData?.items || [];
+        const findProperty = name => items.map(item => item.properties?.[name]).find(value => value !== undefined && value !== null && value !== '');
+        const breadcrumbList = items.find(item => item.type === 'BreadcrumbList');
+        const breadcrumbNames = [].concat(breadcrumbList?.properties?.itemListElement || [])
+            .map(element => element?.name || element?.item?.name)
+            .filter(name => typeof name === 'string');
+        const rating = findProperty('aggregateRating');
+        const offers = [].concat(findProperty('offers') || [])[0];
+        const faq = items.find(item => item.type === 'FAQPage');
+        const date = ['Article', 'BlogPosting', 'NewsArticle'].some(type => items.some(item => item.type === type))
+            ? findProperty('dateModified') || findProperty('datePublished')
+            : findProperty('datePublished');
+
+        return {
+            url: results?.url || '',
+            siteName: results?.social?.preview?.siteName || '',
+            title: results?.title?.content || '',
+            description: results?.meta?.content || '',
+            date: typeof date === 'string' ? date : null,
+            breadcrumb: breadcrumbNames.length > 1 ? breadcrumbNames.slice(1, -1) : null,
+            hints: {
+                // Alleen een numerieke ratingValue levert sterren op
+                rating: Number.isFinite(parseFloat(rating?.ratingValue)) ? {
+                    value: parseFloat(rating.ratingValue),
+                    best: parseFloat(rating.bestRating) || 5,
+                    count: rating.reviewCount || rating.ratingCount || null
+                } : null,
+                price: offers?.price ? { price: offers.price, currency: offers.priceCurrency || '', availability: offers.availability || '' } : null,
+                faq: faq ? [].concat(faq.properties?.mainEntity || []).map(question => question?.name).filter(Boolean).slice(0, 3) : []
+            }
+        };
+    }
+
+    // Preview met editor in een container; de invoervelden passen de snippet live aan
+    render(containerId, data) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        this.snippets.set(containerId, { original: { ...data }, data: { ...data }, device: this.snippets.get(containerId)?.device || 'desktop' });
+        container.innerHTML = `
+            <div class="serp-preview">
+                <div class="serp-tabs">
+                    <button class="serp-tab" data-device="desktop" onclick="serpPreview.setDevice('${containerId}', 'desktop')"><i class="fas fa-desktop"></i> Desktop</button>
+                    <button class="serp-tab" data-device="mobile" onclick="serpPreview.setDevice('${containerId}', 'mobile')"><i class="fas fa-mobile-alt"></i> Mobiel</button>
+                </div>
+                <div class="serp-snippet-area"></div>
+                <div class="serp-meters"></div>
+                <div class="serp-editor">
+                    <label>Title
+                        <input type="text" class="serp-title-input" value="${escapeHtml(data.title)}" oninput="serpPreview.update('${containerId}')">
+                    </label>
+                    <label>Meta description
+                        <textarea class="serp-description-input" rows="3" oninput="serpPreview.update('${containerId}')">${escapeHtml(data.description)}</textarea>
+                    </label>
+                    <button class="serp-reset" onclick="serpPreview.reset('${containerId}')"><i class="fas fa-undo"></i> Herstellen</button>
+                </div>
+            </div>
+        `;
+        this.renderSnippet(containerId);
+    }
+
+    // Ongeldige percent-encoding (bijv. %E0%A4%A) toont het ruwe segment in plaats van te crashen
+    decodePathSegment(segment) {
+        try {
+            return decodeURIComponent(segment);
+        } catch {
+            return segment;
+        }
+    }
+
+    renderSnippet(containerId) {
+        const container = document.getElementById(containerId);
+        const state = this.snippets.get(containerId);
+        if (!container || !state) return;
+
+        const { data, device } = state;
+        const layout = SERP_LAYOUT[device];
+        let urlObj = null;
+        try {
+            urlObj = new URL(data.url);
+        } catch {
+            // Zonder geldige URL alleen title en description tonen
+        }
+        const domain = urlObj ? urlObj.hostname.replace(/^www\./, '') : '';
+        const pathParts = data.breadcrumb || (urlObj ? urlObj.pathname.split('/').filter(Boolean).map(part => this.decodePathSegment(part)) : []);
+        const breadcrumb = [urlObj ? urlObj.origin : '', ...pathParts].filter(Boolean).join(' › ');
+
+        const dateLabel = data.date && !isNaN(new Date(data.date).getTime())
+            ? new Date(data.date).toLocaleDateString('nl-NL', { day: 'numeric', month: 'short', year: 'numeric' })
+            : null;
+        const datePrefix = dateLabel ? `${dateLabel} — ` : '';
+        const title = this.truncate(data.title || '(geen title)', layout.titleFont, layout.titleWidth);
+        const description = this.truncate(data.description || '', layout.descriptionFont,
+            layout.descriptionWidth - this.measure(datePrefix, layout.descriptionFont));
+        const rating = Number.isFinite(data.hints?.rating?.value) ? data.hints.rating : null;
+        // Begrensd op 0-5, ook bij een ratingValue boven bestRating (bijv. 8 op de standaardschaal van 5)
+        const stars = rating ? Math.min(5, Math.max(0, Math.round((rating.value / rating.best) * 5) || 0)) : 0;
+
+        container.querySelectorAll('.serp-tab').forEach(tab => tab.classList.toggle('active', tab.dataset.device === device));
+        container.querySelector('.serp-snippet-area').innerHTML = `
+            <div class="serp-snippet ${device}">
+                <div class="serp-site">
+                    <span class="serp-favicon">${escapeHtml((domain.charAt(0) || '?').toUpperCase())}</span>
+                    <div>
+                        <div class="serp-site-name">${escapeHtml(data.siteName || domain)}</div>
+                        <div class="serp-breadcrumb">${escapeHtml(breadcrumb)}</div>
+                    </div>
+                </div>
+                <div class="serp-title">${escapeHtml(title.text)}</div>
+                ${rating || data.hints?.price ? `
+                <div class="serp-rich">
+                    ${rating ? `<span class="serp-stars">${'★'.repeat(stars)}${'☆'.repeat(5 - stars)}</span> Beoordeling: ${String(rating.value).replace('.', ',')}${rating.count ? ` · ${escapeHtml(String(rating.count))} reviews` : ''}` : ''}
+                    ${rating && data.hints.price ? ' · ' : ''}
+                    ${data.hints?.price ? `${escapeHtml(String(data.hints.price.currency))} ${escapeHtml(String(data.hints.price.price))}${/InStock/i.test(data.hints.price.availability) ? ' · Op voorraad' : ''}` : ''}
+                </div>
+                ` : ''}
+                <div class="serp-description">${dateLabel ? `<span class="serp-date">${escapeHtml(datePrefix)}</span>` : ''}${escapeHtml(description.text)}</div>
+                ${data.hints?.faq?.length > 0 ? `
+                <div class="serp-faq">
+                    ${data.hints.faq.map(question => `<div class="serp-faq-item">${escapeHtml(question)} <i class="fas fa-chevron-down"></i></div>`).join('')}
+                </div>
+                ` : ''}
+            </div>
+        `;
+        container.querySelector('.serp-meters').innerHTML = `
+            <span class="${title.truncated ? 'serp-over' : 'serp-ok'}">Title: ${title.width} / ${layout.titleWidth} px${title.truncated ? ' (afgekapt)' : ''}</span>
+            <span class="${description.truncated ? 'serp-over' : 'serp-ok'}">Description: ${description.width} / ${layout.descriptionWidth} px${description.truncated ? ' (afgekapt)' : ''}</span>
+        `;
+    }
+
+    update(containerId) {
+        const container = document.getElementById(containerId);
+        const state = this.snippets.get(containerId);
+        if (!container || !state) return;
+
+        state.data.title = container.querySelector('.serp-title-input').value;
+        state.data.description = container.querySelector('.serp-description-input').value;
+        this.renderSnippet(containerId);
+    }
+
+    setDevice(containerId, device) {
+        const state = this.snippets.get(containerId);
+        if (!state) return;
+        state.device = device;
+        this.renderSnippet(containerId);
+    }
+
+    reset(containerId) {
+        const state = this.snippets.get(containerId);
+        if (!state) return;
+        this.render(containerId, state.original);
     }
 }
 
-function calculateIssues(results) {
-    let total = 0;
-    let critical = 0;
-    
-    if (!results.title.exists) { total++; critical++; }
-    else if (!results.title.isOptimal) total++;
-    
-    if (!results.h1.isOptimal) {
-        total++;
-        if (results.h1.count === 0) critical++;
+const serpPreview = new SerpPreview();
+
+// Rule Engine Class
+class RuleEngine {
+    constructor(rules) {
+        this.rules = new Map();
+        this.locale = (document.documentElement.lang || 'nl').toLowerCase().startsWith('en') ? 'en' : 'nl';
+        rules.forEach(rule => this.register(rule));
+    }
+
+    // Ook voor eigen regels: ruleEngine.register({ id, severity, category, evaluate, message, description, recommendations })
+    register(rule) {
+        if (!rule?.id || typeof rule.evaluate !== 'function') {
+            throw new Error('Een regel heeft minimaal een id en een evaluate functie nodig');
+        }
+        if (this.rules.has(rule.id)) {
+            throw new Error(`Regel "${rule.id}" bestaat al`);
+        }
+        if (!SEO_RULE_SEVERITIES.includes(rule.severity)) {
+            throw new Error(`Regel "${rule.id}" heeft een ongeldige severity (${SEO_RULE_SEVERITIES.join(', ')})`);
+        }
+        if (rule.score && !SCORE_COMPONENTS[rule.score]) {
+            throw new Error(`Regel "${rule.id}" verwijst naar een onbekend score onderdeel "${rule.score}"`);
+        }
+
+        this.rules.set(rule.id, { category: 'custom', message: rule.id, ...rule });
+    }
+
+    unregister(id) {
+        return this.rules.delete(id);
+    }
+
+    getRule(id) {
+        return this.rules.get(id) || null;
+    }
+
+    getContext(profileId) {
+        return { thresholds: scoringProfiles.getProfile(profileId).thresholds };
+    }
+
+    // { nl, en } teksten, eventueel als functie van de context (drempels uit het scoreprofiel)
+    localize(value, context) {
+        const localized = value && typeof value === 'object' && !Array.isArray(value)
+            ? value[this.locale] ?? value.nl ?? value.en
+            : value;
+        return typeof localized === 'function' ? localized(context) : localized;
+    }
+
+    // Alle toepasselijke regels uitvoeren; een fout in één regel stopt de analyse niet
+    run(results, context, filter = () => true) {
+        const applicable = [];
+        const issues = [];
+
+        this.rules.forEach(rule => {
+            if (!filter(rule)) return;
+            try {
+                if (rule.applies && !rule.applies(results, context)) return;
+                applicable.push(rule);
+
+                const outcome = rule.evaluate(results, context);
+                if (!outcome) return;
+                const result = typeof outcome === 'object' ? outcome : { count: outcome === true ? 1 : outcome };
+                const count = result.count ?? 1;
+                if (!(count > 0)) return;
+
+                issues.push({
+                    ruleId: rule.id,
+                    type: result.severity || rule.severity,
+                    category: rule.category,
+                    score: rule.score || null,
+                    message: this.localize(rule.message, context),
+                    count,
+                    details: (result.details || []).map(detail => this.localize(detail, context))
+                });
+            } catch (error) {
+                console.warn(`Regel "${rule.id}" overgeslagen:`, error.message);
+            }
+        });
+
+        return { applicable, issues };
+    }
+
+    evaluate(results, context = this.getContext()) {
+        return this.run(results, context).issues
+            .sort((a, b) => SEO_RULE_SEVERITIES.indexOf(a.type) - SEO_RULE_SEVERITIES.indexOf(b.type));
+    }
+
+    describe(ruleId, context = this.getContext()) {
+        const rule = this.rules.get(ruleId);
+        if (!rule) {
+            return {
+                category: null,
+                description: 'Dit issue kan de SEO prestaties van je pagina beïnvloeden.',
+                recommendations: ['Analyseer het specifieke probleem', 'Implementeer best practices voor SEO', 'Test de wijzigingen na implementatie']
+            };
+        }
+
+        return {
+            category: SEO_RULE_CATEGORIES[rule.category] || rule.category,
+            description: this.localize(rule.description, context) || '',
+            recommendations: this.localize(rule.recommendations, context) || []
+        };
+    }
+}
+
+const ruleEngine = new RuleEngine(SEO_RULES);
+
+// Scoring Profiles Class
+class ScoringProfiles {
+    constructor() {
+        this.storageKey = 'seomax_scoring_profiles';
+        this.activeKey = 'seomax_scoring_profile';
+        this.overrides = this.loadOverrides();
+        this.activeId = SCORING_PROFILES[localStorage.getItem(this.activeKey)] ? localStorage.getItem(this.activeKey) : 'default';
+    }
+
+    loadOverrides() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch {
+            return {};
+        }
+    }
+
+    // Ingebouwd profiel met de aanpassingen uit de instellingen
+    getProfile(id = this.activeId) {
+        const base = SCORING_PROFILES[id] || SCORING_PROFILES.default;
+        const override = this.overrides[id] || {};
+        return {
+            id: SCORING_PROFILES[id] ? id : 'default',
+            name: base.name,
+            weights: { ...base.weights, ...override.weights },
+            thresholds: { ...base.thresholds, ...override.thresholds },
+            customized: !!this.overrides[id]
+        };
+    }
+
+    getProfiles() {
+        return Object.keys(SCORING_PROFILES).map(id => this.getProfile(id));
+    }
+
+    setActive(id) {
+        if (!SCORING_PROFILES[id]) return;
+        this.activeId = id;
+        localStorage.setItem(this.activeKey, id);
+    }
+
+    saveProfile(id, weights, thresholds) {
+        this.overrides[id] = { weights, thresholds };
+        localStorage.setItem(this.storageKey, JSON.stringify(this.overrides));
+    }
+
+    resetProfile(id) {
+        delete this.overrides[id];
+        localStorage.setItem(this.storageKey, JSON.stringify(this.overrides));
+    }
+
+    // Een score onderdeel slaagt als geen van de regels met die score sleutel een issue geeft
+    passes(componentId, results, profileId) {
+        const context = { thresholds: this.getProfile(profileId).thresholds };
+        return ruleEngine.run(results, context, rule => rule.score === componentId).issues.length === 0;
+    }
+
+    evaluate(results, profileId) {
+        const profile = this.getProfile(profileId);
+        const { applicable, issues } = ruleEngine.run(results, { thresholds: profile.thresholds }, rule => !!rule.score);
+        const checks = Object.keys(SCORE_COMPONENTS)
+            .filter(id => profile.weights[id] > 0 && applicable.some(rule => rule.score === id))
+            .map(id => ({
+                id,
+                label: SCORE_COMPONENTS[id],
+                weight: profile.weights[id],
+                passed: !issues.some(issue => issue.score === id)
+            }));
+        const maxScore = checks.reduce((sum, check) => sum + check.weight, 0);
+        const score = checks.filter(check => check.passed).reduce((sum, check) => sum + check.weight, 0);
+
+        return {
+            profile: { id: profile.id, name: profile.name },
+            checks,
+            score: maxScore > 0 ? Math.round((score / maxScore) * 100) : 0
+        };
+    }
+}
+
+const scoringProfiles = new ScoringProfiles();
+
+// Fetch Transport Class
+// Eén ingang voor alle HTTP verzoeken: adapters worden in de ingestelde volgorde geprobeerd
+class FetchTransport {
+    constructor() {
+        this.storageKey = 'seomax_transport';
+        this.adapters = new Map();
+        this.health = new Map();
+        this.defaultOrder = ['extension', 'proxy', 'custom', 'direct', 'public'];
+        this.defaultTimeout = 15000;
+        this.failureThreshold = 3; // Opeenvolgende fouten voordat een adapter tijdelijk wordt overgeslagen
+        this.cooldown = 60000;
+        this.settings = this.loadSettings();
+    }
+
+    loadSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            return {
+                order: stored.order || [],
+                disabled: stored.disabled || [],
+                customProxyUrl: stored.customProxyUrl || '',
+                customProxyKey: stored.customProxyKey || ''
+            };
+        } catch {
+            return { order: [], disabled: [], customProxyUrl: '', customProxyKey: '' };
+        }
+    }
+
+    saveSettings(settings) {
+        this.settings = { ...this.settings, ...settings };
+        localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+    }
+
+    // Adapter: { id, label, capabilities: { head, manualRedirect }, isAvailable(), request(url, options, signal) }
+    register(adapter) {
+        if (!adapter?.id || typeof adapter.request !== 'function') {
+            throw new Error('Transport adapter heeft een id en een request functie nodig');
+        }
+        this.adapters.set(adapter.id, {
+            capabilities: {},
+            isAvailable: () => true,
+            ...adapter
+        });
+        this.health.set(adapter.id, this.createHealth());
+    }
+
+    createHealth() {
+        return {
+            successes: 0,
+            failures: 0,
+            consecutiveFailures: 0,
+            totalTime: 0,
+            lastError: null,
+            lastFailureAt: null,
+            lastSuccessAt: null
+        };
+    }
+
+    getOrder() {
+        const known = [...this.settings.order, ...this.defaultOrder, ...this.adapters.keys()];
+        return [...new Set(known)].filter(id => this.adapters.has(id));
+    }
+
+    getAdapters() {
+        return this.getOrder().map(id => {
+            const adapter = this.adapters.get(id);
+            const health = this.health.get(id);
+            const attempts = health.successes + health.failures;
+            return {
+                id,
+                label: adapter.label,
+                description: adapter.description || '',
+                enabled: !this.settings.disabled.includes(id),
+                available: adapter.isAvailable(),
+                coolingDown: this.isCoolingDown(id),
+                health: {
+                    ...health,
+                    successRate: attempts > 0 ? Math.round((health.successes / attempts) * 100) : null,
+                    averageTime: health.successes > 0 ? Math.round(health.totalTime / health.successes) : null
+                }
+            };
+        });
+    }
+
+    isCoolingDown(id) {
+        const health = this.health.get(id);
+        return health.consecutiveFailures >= this.failureThreshold && Date.now() - health.lastFailureAt < this.cooldown;
+    }
+
+    supports(adapter, options) {
+        if (options.method === 'HEAD' && !adapter.capabilities.head) return false;
+        if (options.redirect === 'manual' && !adapter.capabilities.manualRedirect) return false;
+        return true;
+    }
+
+    // Gezonde adapters eerst; adapters in cooldown blijven als laatste redmiddel beschikbaar
+    getCandidates(options) {
+        const candidates = this.getOrder()
+            .filter(id => !this.settings.disabled.includes(id))
+            .map(id => this.adapters.get(id))
+            .filter(adapter => adapter.isAvailable() && this.supports(adapter, options));
+        return [
+            ...candidates.filter(adapter => !this.isCoolingDown(adapter.id)),
+            ...candidates.filter(adapter => this.isCoolingDown(adapter.id))
+        ];
+    }
+
+    /**
+     * Haal een URL op via de eerste adapter die slaagt.
+     * Opties: method (GET/HEAD), redirect (follow/manual), body (false = alleen status en headers), timeout.
+     * Geeft een uniform response object terug: { ok, status, statusText, headers, body, url, redirected, redirectChain, timing, size, adapter }
+     */
+    async fetch(url, options = {}) {
+        const request = { method: 'GET', redirect: 'follow', body: true, timeout: this.defaultTimeout, ...options };
+        if (request.method === 'HEAD') request.body = false;
+
+        const candidates = this.getCandidates(request);
+        if (candidates.length === 0) {
+            throw new Error('Geen transport beschikbaar voor dit verzoek. Controleer de verbindingsinstellingen.');
+        }
+
+        const errors = [];
+        for (const adapter of candidates) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), request.timeout);
+            const start = Date.now();
+            try {
+                const response = await adapter.request(url, request, controller.signal);
+                this.recordSuccess(adapter.id, Date.now() - start);
+                return response;
+            } catch (error) {
+                const message = error.name === 'AbortError' ? 'Timeout' : error.message;
+                this.recordFailure(adapter.id, message);
+                errors.push(`${adapter.label}: ${message}`);
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+
+        throw new Error(`Website niet bereikbaar (${errors.join('; ')}). Voor betrouwbare crawling: deploy naar Vercel/Netlify of stel een eigen proxy in.`);
+    }
+
+    recordSuccess(id, duration) {
+        const health = this.health.get(id);
+        health.successes++;
+        health.consecutiveFailures = 0;
+        health.totalTime += duration;
+        health.lastSuccessAt = Date.now();
+    }
+
+    recordFailure(id, message) {
+        const health = this.health.get(id);
+        health.failures++;
+        health.consecutiveFailures++;
+        health.lastError = message;
+        health.lastFailureAt = Date.now();
+    }
+
+    resetHealth() {
+        this.adapters.forEach((adapter, id) => this.health.set(id, this.createHealth()));
+    }
+
+    createResponse({ adapter, url, status, statusText = '', headers = {}, body = null, finalUrl, redirected = false, redirectChain = [], timing = {}, size }) {
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            statusText,
+            headers: headers instanceof Headers ? headers : new Headers(headers || {}),
+            body,
+            url: finalUrl || url,
+            redirected: redirected || (!!finalUrl && finalUrl !== url),
+            redirectChain: redirectChain || [],
+            timing: { ttfb: timing.ttfb ?? null, total: timing.total ?? null },
+            size: size ?? (body !== null ? new Blob([body]).size : null),
+            adapter
+        };
+    }
+
+    // Adapter voor proxies met het /api/proxy protocol (JSON met status, headers en contents)
+    createProxyAdapter(id, label, getBaseUrl, description, getKey = () => '') {
+        return {
+            id,
+            label,
+            description,
+            capabilities: { head: true, manualRedirect: true },
+            isAvailable: () => !!getBaseUrl(),
+            request: async (url, options, signal) => {
+                const params = new URLSearchParams({ url });
+                if (!options.body || options.redirect === 'manual') {
+                    params.set('mode', 'status');
+                    params.set('method', options.method);
+                    if (options.redirect === 'manual') params.set('redirect', 'manual');
+                }
+
+                const base = getBaseUrl();
+                const key = getKey();
+                const start = Date.now();
+                const response = await fetch(`${base}${base.includes('?') ? '&' : '?'}${params}`, {
+                    headers: key ? { 'X-Proxy-Key': key } : {},
+                    signal
+                });
+                if (!response.ok) {
+                    // De proxy weigert het verzoek met een JSON fout (bijv. geblokkeerd adres of niet toegestaan domein)
+                    const error = await response.json().catch(() => ({}));
+                    throw new Error(`Proxy HTTP ${response.status}${error.message ? `: ${error.message}` : ''}`);
+                }
+
+                const data = await response.json();
+                const total = Date.now() - start;
+                return this.createResponse({
+                    adapter: id,
+                    url,
+                    status: data.status,
+                    statusText: data.statusText,
+                    headers: data.headers,
+                    body: data.contents ?? null,
+                    finalUrl: data.url,
+                    redirected: data.redirected,
+                    redirectChain: data.redirectChain,
+                    timing: { ttfb: data.ttfb, total: data.totalTime ?? total },
+                    size: data.size
+                });
+            }
+        };
+    }
+}
+
+const transport = new FetchTransport();
+
+// Direct vanuit de browser: werkt alleen als de website CORS toestaat
+transport.register({
+    id: 'direct',
+    label: 'Direct',
+    description: 'Rechtstreeks vanuit de browser, alleen voor websites die CORS toestaan',
+    capabilities: { head: true, manualRedirect: false },
+    request: async (url, options, signal) => {
+        const start = Date.now();
+        const response = await fetch(url, { method: options.method, mode: 'cors', redirect: 'follow', signal });
+        const ttfb = Date.now() - start;
+        const body = options.body ? await response.text() : null;
+        return transport.createResponse({
+            adapter: 'direct',
+            url,
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers,
+            body,
+            finalUrl: response.url,
+            redirected: response.redirected,
+            timing: { ttfb, total: Date.now() - start }
+        });
+    }
+});
+
+transport.register(transport.createProxyAdapter(
+    'proxy',
+    'Eigen proxy',
+    () => '/api/proxy',
+    'De meegeleverde serverless functie (/api/proxy) op Vercel of Netlify'
+));
+
+transport.register(transport.createProxyAdapter(
+    'custom',
+    'Zelf gehoste proxy',
+    () => transport.settings.customProxyUrl,
+    'Een eigen proxy URL die hetzelfde protocol spreekt als /api/proxy',
+    () => transport.settings.customProxyKey
+));
+
+// Browser extensie bridge: de content script van SEO MAX Helper markeert de pagina en beantwoordt berichten
+transport.register({
+    id: 'extension',
+    label: 'Browser extensie',
+    description: 'SEO MAX Helper extensie, verzoeken via window.postMessage',
+    capabilities: { head: true, manualRedirect: true },
+    isAvailable: () => document.documentElement.hasAttribute('data-seomax-extension'),
+    request: (url, options, signal) => new Promise((resolve, reject) => {
+        const id = `seomax-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        const start = Date.now();
+
+        const cleanup = () => {
+            window.removeEventListener('message', onMessage);
+            signal.removeEventListener('abort', onAbort);
+        };
+        const onAbort = () => {
+            cleanup();
+            reject(new DOMException('Timeout', 'AbortError'));
+        };
+        const onMessage = event => {
+            const data = event.data;
+            if (event.source !== window || data?.source !== 'seomax-extension' || data.id !== id) return;
+            cleanup();
+            if (data.error) {
+                reject(new Error(data.error));
+                return;
+            }
+            resolve(transport.createResponse({
+                adapter: 'extension',
+                url,
+                status: data.status,
+                statusText: data.statusText,
+                headers: data.headers,
+                body: options.body || options.redirect === 'manual' ? data.body ?? null : null,
+                finalUrl: data.url,
+                redirected: data.redirected,
+                redirectChain: data.redirectChain,
+                timing: { ttfb: data.ttfb, total: data.totalTime ?? Date.now() - start }
+            }));
+        };
+
+        signal.addEventListener('abort', onAbort);
+        window.addEventListener('message', onMessage);
+        window.postMessage({
+            source: 'seomax-page',
+            type: 'fetch',
+            id,
+            url,
+            method: options.method,
+            redirect: options.redirect
+        }, '*');
+    })
+});
+
+// Publieke proxy als laatste redmiddel: alleen GET, statuscode wel maar headers niet beschikbaar
+transport.register({
+    id: 'public',
+    label: 'Publieke proxy (allorigins)',
+    description: 'Openbare proxy service zonder headers, alleen voor het ophalen van HTML',
+    capabilities: { head: false, manualRedirect: false },
+    request: async (url, options, signal) => {
+        const start = Date.now();
+        const response = await fetch(`https://api.allorigins.win/get?url=${encodeURIComponent(url)}`, { signal });
+        if (!response.ok) throw new Error(`Proxy HTTP ${response.status}`);
+
+        const data = await response.json();
+        if (!data.status?.http_code) throw new Error('Geen antwoord van de website');
+        return transport.createResponse({
+            adapter: 'public',
+            url,
+            status: data.status.http_code,
+            body: options.body ? data.contents ?? '' : null,
+            finalUrl: data.status.url,
+            timing: { total: Date.now() - start }
+        });
+    }
+});
+
+// Request Scheduler Class
+// Beleefd crawlen: per host een wachtrij met maximale gelijktijdigheid, minimale pauze en robots.txt Crawl-delay,
+// exponentiële backoff bij 429/503 en een budget per crawl of sitewide analyse
+class RequestScheduler {
+    constructor() {
+        this.storageKey = 'seomax_scheduler';
+        this.defaults = {
+            concurrency: 6,
+            perHostConcurrency: 2,
+            minDelay: 0,
+            respectCrawlDelay: true,
+            maxRetries: 3,
+            budget: 2000
+        };
+        this.settings = this.loadSettings();
+        this.baseBackoff = 1000;
+        this.maxBackoff = 60000;
+        this.hosts = new Map();
+        this.listeners = new Set();
+        this.active = 0;
+        this.budget = null; // Alleen actief tijdens een crawl of sitewide analyse
+        this.resetStats();
+    }
+
+    loadSettings() {
+        try {
+            return { ...this.defaults, ...JSON.parse(localStorage.getItem(this.storageKey)) };
+        } catch {
+            return { ...this.defaults };
+        }
+    }
+
+    saveSettings(settings) {
+        this.settings = { ...this.settings, ...settings };
+        localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+        this.pump();
+    }
+
+    resetStats() {
+        this.stats = { sent: 0, completed: 0, failed: 0, retries: 0, startedAt: Date.now() };
+    }
+
+    startRun() {
+        this.resetStats();
+        this.budget = this.settings.budget > 0 ? this.settings.budget : null;
+        this.notify();
+    }
+
+    endRun() {
+        this.budget = null;
+    }
+
+    isBudgetExhausted() {
+        return this.budget !== null && this.stats.sent >= this.budget;
+    }
+
+    getHost(url) {
+        let key;
+        try {
+            key = new URL(url).host;
+        } catch {
+            key = '';
+        }
+        if (!this.hosts.has(key)) {
+            this.hosts.set(key, { queue: [], active: 0, nextAllowedAt: 0, crawlDelay: 0, timer: null });
+        }
+        return this.hosts.get(key);
+    }
+
+    setCrawlDelay(url, seconds) {
+        this.getHost(url).crawlDelay = seconds > 0 ? seconds * 1000 : 0;
+    }
+
+    getDelay(host) {
+        return Math.max(this.settings.minDelay, this.settings.respectCrawlDelay ? host.crawlDelay : 0);
+    }
+
+    // Zelfde opties en response als transport.fetch, maar ingepland per host
+    fetch(url, options = {}) {
+        return this.schedule(url, () => transport.fetch(url, options));
+    }
+
+    // Elk ander verzoek naar url (bijv. een no-cors fetch) valt onder dezelfde limieten, backoff en budget
+    schedule(url, run) {
+        return new Promise((resolve, reject) => {
+            this.getHost(url).queue.push({ url, run, resolve, reject, attempts: 0 });
+            this.pump();
+        });
+    }
+
+    pump() {
+        const now = Date.now();
+        for (const host of this.hosts.values()) {
+            while (host.queue.length > 0 &&
+                this.active < this.settings.concurrency &&
+                host.active < this.settings.perHostConcurrency) {
+                if (now < host.nextAllowedAt) {
+                    // Deze host moet nog even wachten; de andere hosts gaan gewoon door
+                    if (!host.timer) {
+                        host.timer = setTimeout(() => {
+                            host.timer = null;
+                            this.pump();
+                        }, host.nextAllowedAt - now);
+                    }
+                    break;
+                }
+
+                const task = host.queue.shift();
+                if (this.isBudgetExhausted()) {
+                    task.reject(new Error(`Request budget van ${this.budget} verzoeken bereikt`));
+                    continue;
+                }
+                host.nextAllowedAt = now + this.getDelay(host);
+                this.execute(host, task);
+            }
+        }
+        this.notify();
+    }
+
+    async execute(host, task) {
+        this.active++;
+        host.active++;
+        this.stats.sent++;
+        try {
+            const response = await task.run();
+            const throttled = response?.status === 429 || response?.status === 503;
+            if (throttled && task.attempts < this.settings.maxRetries && !this.isBudgetExhausted()) {
+                // De server vraagt om minder verzoeken: de hele host pauzeert, de taak gaat vooraan in de wachtrij
+                task.attempts++;
+                this.stats.retries++;
+                host.nextAllowedAt = Math.max(host.nextAllowedAt, Date.now() + this.getBackoff(response, task.attempts));
+                host.queue.unshift(task);
+            } else {
+                if (response?.status === 429 || response?.status >= 500) {
+                    this.stats.failed++;
+                } else {
+                    this.stats.completed++;
+                }
+                task.resolve(response);
+            }
+        } catch (error) {
+            this.stats.failed++;
+            task.reject(error);
+        } finally {
+            this.active--;
+            host.active--;
+            this.pump();
+        }
+    }
+
+    // Retry-After (seconden of HTTP datum) heeft voorrang, anders 1s, 2s, 4s, ...
+    getBackoff(response, attempt) {
+        let delay = this.baseBackoff * 2 ** (attempt - 1);
+        const retryAfter = response.headers.get('retry-after');
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const date = Date.parse(retryAfter);
+            if (Number.isFinite(seconds)) {
+                delay = seconds * 1000;
+            } else if (!Number.isNaN(date)) {
+                delay = date - Date.now();
+            }
+        }
+        return Math.min(Math.max(delay, 0), this.maxBackoff);
+    }
+
+    getStats() {
+        const elapsed = (Date.now() - this.stats.startedAt) / 1000;
+        let queued = 0;
+        this.hosts.forEach(host => { queued += host.queue.length; });
+        return {
+            ...this.stats,
+            queued,
+            inFlight: this.active,
+            budget: this.budget,
+            throughput: elapsed > 0 ? (this.stats.completed + this.stats.failed) / elapsed : 0
+        };
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        if (this.listeners.size === 0) return;
+        const stats = this.getStats();
+        this.listeners.forEach(listener => listener(stats));
+    }
+}
+
+const requestScheduler = new RequestScheduler();
+
+// Robots.txt Class
+class RobotsTxt {
+    constructor(fetcher) {
+        this.fetcher = fetcher;
+        this.cache = new Map(); // Per origin: { promise, timestamp }
+        this.cacheExpiry = 5 * 60 * 1000;
+        this.defaultUserAgents = ['Googlebot', 'Bingbot', 'SEO-MAX-Bot'];
+        this.crawlerUserAgent = 'SEO-MAX-Bot';
+    }
+
+    // Gelijktijdige aanvragen delen één fetch; alleen definitieve antwoorden (2xx, 4xx behalve 429) blijven gecachet
+    async fetchRobots(url) {
+        const origin = new URL(url).origin;
+        const cached = this.cache.get(origin);
+        if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
+            return cached.promise;
+        }
+
+        const promise = this.loadRobots(origin).then(robots => {
+            if (robots.unavailable && this.cache.get(origin)?.promise === promise) {
+                this.cache.delete(origin);
+            }
+            return robots;
+        });
+        this.cache.set(origin, { promise, timestamp: Date.now() });
+        return promise;
+    }
+
+    async loadRobots(origin) {
+        const robotsUrl = `${origin}/robots.txt`;
+        try {
+            const response = await this.fetcher(robotsUrl);
+            const status = response.status || 200;
+
+            if (status === 429 || status >= 500) {
+                // Serverfout: crawlers behandelen de hele site als geblokkeerd tot robots.txt weer bereikbaar is
+                return { exists: false, unavailable: true, url: robotsUrl, status: status, groups: [], sitemaps: [], raw: '' };
+            }
+            if (status >= 400) {
+                // 4xx: geen robots.txt, alles is toegestaan
+                return { exists: false, url: robotsUrl, status: status, groups: [], sitemaps: [], raw: '' };
+            }
+            const raw = response.body || '';
+            return { exists: true, url: robotsUrl, status: status, ...this.parse(raw), raw: raw };
+        } catch (error) {
+            return { exists: false, unavailable: true, url: robotsUrl, status: null, groups: [], sitemaps: [], raw: '', error: error.message };
+        }
+    }
+
+    describeUnavailable(robots) {
+        return robots.status ? `robots.txt niet bereikbaar (HTTP ${robots.status})` : 'robots.txt niet bereikbaar';
+    }
+
+    parse(text) {
+        const groups = [];
+        const sitemaps = [];
+        let currentGroup = null;
+        let lastWasUserAgent = false;
+
+        text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            const separator = line.indexOf(':');
+            if (separator === -1) return;
+
+            const key = line.slice(0, separator).trim().toLowerCase();
+            const value = line.slice(separator + 1).trim();
+
+            switch (key) {
+                case 'user-agent':
+                    // Opeenvolgende user-agent regels horen bij dezelfde groep
+                    if (!currentGroup || !lastWasUserAgent) {
+                        currentGroup = { userAgents: [], rules: [], crawlDelay: null };
+                        groups.push(currentGroup);
+                    }
+                    currentGroup.userAgents.push(value.toLowerCase());
+                    lastWasUserAgent = true;
+                    return;
+                case 'allow':
+                case 'disallow':
+                    if (currentGroup) {
+                        currentGroup.rules.push({ type: key, path: value });
+                    }
+                    break;
+                case 'crawl-delay': {
+                    const delay = parseFloat(value);
+                    if (currentGroup && !isNaN(delay)) {
+                        currentGroup.crawlDelay = delay;
+                    }
+                    break;
+                }
+                case 'sitemap':
+                    if (value) sitemaps.push(value);
+                    break;
+            }
+            lastWasUserAgent = false;
+        });
+
+        return { groups, sitemaps };
+    }
+
+    // Kies de meest specifieke groep voor een crawler, anders de "*" groep
+    findGroups(robots, userAgent) {
+        const agent = userAgent.toLowerCase();
+        let bestToken = null;
+
+        robots.groups.forEach(group => {
+            group.userAgents.forEach(token => {
+                if (token === '*') return;
+                if ((agent === token || agent.startsWith(token)) && (!bestToken || token.length > bestToken.length)) {
+                    bestToken = token;
+                }
+            });
+        });
+
+        const matchToken = bestToken || '*';
+        return robots.groups.filter(group => group.userAgents.includes(matchToken));
     }
-    
-    if (!results.meta.exists) total++;
-    else if (!results.meta.isOptimal) total++;
-    
-    if (results.images.withoutAlt > 0) total++;
-    if (!results.canonical.exists) total++;
-    if (results.links.broken > 0) { total++; critical++; }
-    
-    return { total, critical };
-}
 
-function updateCircularProgress(score) {
-    const circle = document.getElementById('progressCircle');
-    const scoreStatus = document.getElementById('scoreStatus');
-    if (!circle || !scoreStatus) return;
-    
-    const radius = 50;
-    const circumference = 2 * Math.PI * radius;
-    
-    // Calculate progress
-    const progress = score / 100;
-    const strokeDashoffset = circumference - (progress * circumference);
-    
-    // Set color based on score (jouw gewenste ranges)
-    let strokeColor = '';
-    let statusText = '';
-    
-    if (score >= 70) {
-        strokeColor = '#22c55e'; // Groen
-        statusText = 'SEO Score: Goed';
-    } else if (score >= 50) {
-        strokeColor = '#f97316'; // Oranje  
-        statusText = 'SEO Score: Gemiddeld';
-    } else {
-        strokeColor = '#ef4444'; // Rood
-        statusText = 'SEO Score: Slecht';
+    patternToRegex(pattern) {
+        const anchored = pattern.endsWith('$');
+        const body = (anchored ? pattern.slice(0, -1) : pattern)
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        return new RegExp('^' + body + (anchored ? '$' : ''));
     }
-    
-    // Set stroke color and status
-    circle.style.stroke = strokeColor;
-    scoreStatus.textContent = statusText;
-    
-    // Animate the circle with a delay for visual effect
-    setTimeout(() => {
-        circle.style.strokeDashoffset = strokeDashoffset;
-    }, 500);
-}
 
-function displayStatusResults(status) {
-    const container = document.getElementById('statusResults');
-    container.innerHTML = `
-        <div class="result-item ${status.isSuccess ? 'success' : 'error'}">
-            <div class="label">
-                <i class="fas ${status.isSuccess ? 'fa-check' : 'fa-times'}"></i>
-                Status Code
-            </div>
-            <div class="value">
-                <span class="status-badge ${status.isSuccess ? 'success' : 'error'}">
-                    ${status.statusCode}
-                </span>
-            </div>
-        </div>
-        <div class="result-item ${status.noindex ? 'warning' : 'success'}">
-            <div class="label">
-                <i class="fas ${status.noindex ? 'fa-exclamation-triangle' : 'fa-check'}"></i>
-                Indexering
-            </div>
-            <div class="value">${status.noindex ? 'Noindex gevonden' : 'Indexeerbaar'}</div>
-        </div>
-        <div class="result-item ${status.nofollow ? 'warning' : 'success'}">
-            <div class="label">
-                <i class="fas ${status.nofollow ? 'fa-exclamation-triangle' : 'fa-check'}"></i>
-                Link Following
-            </div>
-            <div class="value">${status.nofollow ? 'Nofollow gevonden' : 'Links worden gevolgd'}</div>
-        </div>
-    `;
-}
+    isAllowed(robots, url, userAgent = this.crawlerUserAgent) {
+        const urlObj = new URL(url);
+        const path = urlObj.pathname + urlObj.search;
 
-function displayTitleResults(title) {
-    const container = document.getElementById('titleResults');
-    const lengthStatus = title.isOptimal ? 'success' : (title.length < 30 ? 'warning' : 'error');
-    const keywordStatus = title.hasKeyword === null ? 'success' : (title.hasKeyword ? 'success' : 'warning');
-    
-    container.innerHTML = `
-        <div class="result-item ${title.exists ? 'success' : 'error'}">
-            <div class="label">
-                <i class="fas ${title.exists ? 'fa-check' : 'fa-times'}"></i>
-                Title Tag Aanwezig
-            </div>
-            <div class="value">${title.exists ? 'Ja' : 'Nee'}</div>
-        </div>
-        ${title.exists ? `
-        <div class="result-item ${lengthStatus}">
-            <div class="label">
-                <i class="fas fa-ruler"></i>
-                Lengte
-            </div>
-            <div class="value">${title.length} karakters (optimaal: 30-60)</div>
-        </div>
-        <div class="result-item success">
-            <div class="label">
-                <i class="fas fa-quote-right"></i>
-                Inhoud
-            </div>
-            <div class="value">${title.content}</div>
-        </div>
-        ${seoChecker.keyword ? `
-        <div class="result-item ${keywordStatus}">
-            <div class="label">
-                <i class="fas fa-key"></i>
-                Zoekwoord
-            </div>
-            <div class="value">${title.hasKeyword ? 'Gevonden' : 'Niet gevonden'}</div>
-        </div>
-        ` : ''}
-        ` : ''}
-    `;
-}
+        if (urlObj.pathname === '/robots.txt') {
+            return { allowed: true, rule: null };
+        }
+        // Onbekend is voor crawlers geblokkeerd: een tijdelijke storing mag niet de hele site openzetten
+        if (robots.unavailable) {
+            return { allowed: false, rule: this.describeUnavailable(robots) };
+        }
+        if (!robots.exists) {
+            return { allowed: true, rule: null };
+        }
 
-function displayH1Results(h1) {
-    const container = document.getElementById('h1Results');
-    const countStatus = h1.isOptimal ? 'success' : (h1.count === 0 ? 'error' : 'warning');
-    const keywordStatus = h1.keywordPresent === null ? 'success' : (h1.keywordPresent ? 'success' : 'warning');
-    
-    container.innerHTML = `
-        <div class="result-item ${countStatus} ${h1.count > 0 ? 'clickable' : ''}" ${h1.count > 0 ? `onclick="showH1Popup(${JSON.stringify(h1.h1List).replace(/"/g, '&quot;')})"` : ''}>
-            <div class="label">
-                <i class="fas fa-hashtag"></i>
-                Aantal H1 Tags
-            </div>
-            <div class="value">${h1.count} (optimaal: 1) ${h1.count > 0 ? '<i class="fas fa-eye" style="margin-left: 8px; opacity: 0.7;"></i>' : ''}</div>
-        </div>
-        ${h1.count > 0 ? `
-        <div class="result-item success">
-            <div class="label">
-                <i class="fas fa-list"></i>
-                H1 Inhoud
-            </div>
-            <div class="value">${h1.texts ? h1.texts.join(', ') : 'Geen H1 content'}</div>
-        </div>
-        ${seoChecker.keyword ? `
-        <div class="result-item ${keywordStatus}">
-            <div class="label">
-                <i class="fas fa-key"></i>
-                Zoekwoord in H1
-            </div>
-            <div class="value">${h1.keywordPresent ? 'Gevonden' : 'Niet gevonden'}</div>
-        </div>
-        ` : ''}
-        ` : ''}
-    `;
-}
+        const rules = this.findGroups(robots, userAgent).flatMap(group => group.rules);
+        let match = null;
 
-function displayMetaResults(meta) {
-    const container = document.getElementById('metaResults');
-    const lengthStatus = meta.isOptimal ? 'success' : (meta.length < 120 ? 'warning' : 'error');
-    
-    container.innerHTML = `
-        <div class="result-item ${meta.exists ? 'success' : 'error'}">
-            <div class="label">
-                <i class="fas ${meta.exists ? 'fa-check' : 'fa-times'}"></i>
-                Meta Description Aanwezig
-            </div>
-            <div class="value">${meta.exists ? 'Ja' : 'Nee'}</div>
-        </div>
-        ${meta.exists ? `
-        <div class="result-item ${lengthStatus}">
-            <div class="label">
-                <i class="fas fa-ruler"></i>
-                Lengte
-            </div>
-            <div class="value">${meta.length} karakters (optimaal: 120-160)</div>
-        </div>
-        <div class="result-item success">
-            <div class="label">
-                <i class="fas fa-quote-right"></i>
-                Inhoud
-            </div>
-            <div class="value">${meta.content}</div>
-        </div>
-        ` : ''}
-    `;
-}
+        rules.forEach(rule => {
+            // Lege Disallow betekent: alles toegestaan
+            if (!rule.path) return;
+            if (!this.patternToRegex(rule.path).test(path)) return;
 
-function displayImageResults(images) {
-    const container = document.getElementById('imageResults');
-    const status = images.percentage >= 80 ? 'success' : (images.percentage >= 50 ? 'warning' : 'error');
-    
-    container.innerHTML = `
-        <div class="result-item ${status}">
-            <div class="label">
-                <i class="fas fa-images"></i>
-                Alt-text Coverage
-            </div>
-            <div class="value">${images.percentage}% (${images.withAlt}/${images.total} afbeeldingen)</div>
-        </div>
-        ${images.withoutAlt > 0 ? `
-        <div class="result-item warning clickable" onclick="showMissingAltImages(${JSON.stringify(images.missingAltImages).replace(/"/g, '&quot;')})">
-            <div class="label">
-                <i class="fas fa-exclamation-triangle"></i>
-                Ontbrekende Alt-text
-            </div>
-            <div class="value">${images.withoutAlt} afbeeldingen zonder alt-text <i class="fas fa-eye" style="margin-left: 8px; opacity: 0.7;"></i></div>
-        </div>
-        ` : ''}
-    `;
-}
+            // Langste pattern wint, bij gelijke lengte wint Allow
+            if (!match ||
+                rule.path.length > match.path.length ||
+                (rule.path.length === match.path.length && rule.type === 'allow')) {
+                match = rule;
+            }
+        });
 
-function displayCanonicalResults(canonical) {
-    const container = document.getElementById('canonicalResults');
-    
-    container.innerHTML = `
-        <div class="result-item ${canonical.exists ? 'success' : 'warning'}">
-            <div class="label">
-                <i class="fas ${canonical.exists ? 'fa-check' : 'fa-exclamation-triangle'}"></i>
-                Canonical Tag
-            </div>
-            <div class="value">${canonical.exists ? 'Aanwezig' : 'Ontbreekt'}</div>
-        </div>
-        ${canonical.exists ? `
-        <div class="result-item ${canonical.isValid ? 'success' : 'error'}">
-            <div class="label">
-                <i class="fas fa-link"></i>
-                Canonical URL
-            </div>
-            <div class="value">${canonical.url}</div>
-        </div>
-        <div class="result-item ${canonical.isSelfReferencing ? 'success' : 'warning'}">
-            <div class="label">
-                <i class="fas fa-sync"></i>
-                Self-referencing
-            </div>
-            <div class="value">${canonical.isSelfReferencing ? 'Ja' : 'Nee'}</div>
-        </div>
-        ` : ''}
-    `;
-}
+        return {
+            allowed: !match || match.type === 'allow',
+            rule: match ? `${match.type === 'allow' ? 'Allow' : 'Disallow'}: ${match.path}` : null
+        };
+    }
 
-function displayLinksResults(links) {
-    const container = document.getElementById('linksResults');
-    const status = links.broken === 0 ? 'success' : 'warning';
-    
-    container.innerHTML = `
-        <div class="result-item success">
-            <div class="label">
-                <i class="fas fa-link"></i>
-                Totaal Links Gecontroleerd
-            </div>
-            <div class="value">${links.checked} links</div>
-        </div>
-        <div class="result-item success">
-            <div class="label">
-                <i class="fas fa-home"></i>
-                Interne Links
-            </div>
-            <div class="value">${links.internal}</div>
-        </div>
-        <div class="result-item success">
-            <div class="label">
-                <i class="fas fa-external-link-alt"></i>
-                Externe Links
-            </div>
-            <div class="value">${links.external}</div>
-        </div>
-        <div class="result-item ${status}">
-            <div class="label">
-                <i class="fas ${links.broken === 0 ? 'fa-check' : 'fa-exclamation-triangle'}"></i>
-                Broken Links
-            </div>
-            <div class="value">${links.broken}</div>
-        </div>
-    `;
+    getCrawlDelay(robots, userAgent = this.crawlerUserAgent) {
+        const delays = this.findGroups(robots, userAgent)
+            .map(group => group.crawlDelay)
+            .filter(delay => delay !== null);
+        return delays.length > 0 ? Math.max(...delays) : null;
+    }
+
+    async isUrlAllowed(url, userAgent = this.crawlerUserAgent) {
+        try {
+            const robots = await this.fetchRobots(url);
+            return this.isAllowed(robots, url, userAgent).allowed;
+        } catch {
+            return true;
+        }
+    }
+
+    // Test een URL voor Googlebot, Bingbot en onze eigen crawler
+    async testUrl(url, userAgents = this.defaultUserAgents) {
+        const robots = await this.fetchRobots(url);
+
+        return {
+            exists: robots.exists,
+            unavailable: !!robots.unavailable,
+            status: robots.status,
+            robotsUrl: robots.url,
+            sitemaps: robots.sitemaps,
+            crawlDelay: this.getCrawlDelay(robots),
+            bots: userAgents.map(userAgent => ({
+                name: userAgent,
+                ...this.isAllowed(robots, url, userAgent)
+            }))
+        };
+    }
 }
 
-function displayURLResults(urlStructure) {
-    const container = document.getElementById('urlResults');
-    
-    container.innerHTML = `
-        <div class="result-item ${urlStructure.isShort ? 'success' : 'warning'}">
-            <div class="label">
-                <i class="fas fa-ruler"></i>
-                URL Lengte
-            </div>
-            <div class="value">${urlStructure.length} karakters ${urlStructure.isShort ? '(goed)' : '(te lang)'}</div>
-        </div>
-        <div class="result-item ${urlStructure.isReadable ? 'success' : 'warning'}">
-            <div class="label">
-                <i class="fas fa-eye"></i>
-                Leesbaarheid
-            </div>
-            <div class="value">${urlStructure.isReadable ? 'Goed leesbaar' : 'Bevat speciale karakters'}</div>
-        </div>
-        <div class="result-item success">
-            <div class="label">
-                <i class="fas fa-layer-group"></i>
-                URL Diepte
-            </div>
-            <div class="value">${urlStructure.depth} niveaus</div>
-        </div>
-        <div class="result-item ${urlStructure.protocol === 'https:' ? 'success' : 'warning'}">
-            <div class="label">
-                <i class="fas fa-shield-alt"></i>
-                Protocol
-            </div>
-            <div class="value">${urlStructure.protocol}</div>
-        </div>
-    `;
-}
+// XML Sitemap Class
+class SitemapParser {
+    constructor(fetcher) {
+        this.fetcher = fetcher;
+        this.maxSitemaps = 50;
+        this.maxUrls = 10000;
+        this.cache = new Map(); // Per origin: { promise, result, timestamp }
+        this.cacheExpiry = 5 * 60 * 1000;
+    }
 
-function displaySummary() {
-    const container = document.getElementById('summaryResults');
-    const score = seoChecker.calculateScore();
-    
-    let scoreClass = 'score-poor';
-    let scoreText = 'Slecht';
-    
-    if (score >= 90) {
-        scoreClass = 'score-excellent';
-        scoreText = 'Uitstekend';
-    } else if (score >= 70) {
-        scoreClass = 'score-good';
-        scoreText = 'Goed';
-    } else if (score >= 50) {
-        scoreClass = 'score-average';
-        scoreText = 'Gemiddeld';
+    // Sitemaps uit robots.txt, met /sitemap.xml als standaard locatie
+    async discover(baseUrl) {
+        const origin = new URL(baseUrl).origin;
+        const robots = await robotsTxt.fetchRobots(baseUrl);
+        const candidates = [...robots.sitemaps, `${origin}/sitemap.xml`];
+
+        return [...new Set(candidates.map(url => {
+            try {
+                return new URL(url, origin).href;
+            } catch {
+                return null;
+            }
+        }).filter(Boolean))];
     }
-    
-    container.innerHTML = `
-        <div class="score-circle ${scoreClass}">
-            ${score}%
-        </div>
-        <h4 style="text-align: center; margin-bottom: 20px;">SEO Score: ${scoreText}</h4>
-        <div class="progress-bar">
-            <div class="progress-fill" style="width: ${score}%"></div>
-        </div>
-        <p style="text-align: center; margin-top: 15px; opacity: 0.9;">
-            Gebaseerd op ${Object.keys(seoChecker.results).length - 2} SEO factoren
-        </p>
-    `;
-}
 
-document.getElementById('urlInput').addEventListener('keypress', function(e) {
-    if (e.key === 'Enter') {
-        analyzeWebsite();
+    // Gelijktijdige aanvragen (bijv. tijdens een sitewide analyse) delen één keer laden van de sitemap boom
+    async load(baseUrl) {
+        const origin = new URL(baseUrl).origin;
+        const cached = this.cache.get(origin);
+        if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
+            return cached.promise;
+        }
+
+        const entry = { promise: null, result: null, timestamp: Date.now() };
+        entry.promise = this.loadAll(baseUrl).then(result => {
+            entry.result = result;
+            return result;
+        }, error => {
+            if (this.cache.get(origin) === entry) this.cache.delete(origin);
+            throw error;
+        });
+        this.cache.set(origin, entry);
+        return entry.promise;
     }
-});
 
-document.getElementById('keywordInput').addEventListener('keypress', function(e) {
-    if (e.key === 'Enter') {
-        analyzeWebsite();
+    // Alleen een sitemap die al geladen is, zonder zelf verzoeken te doen
+    getLoaded(baseUrl) {
+        const cached = this.cache.get(new URL(baseUrl).origin);
+        return cached && Date.now() - cached.timestamp < this.cacheExpiry ? cached.result : null;
     }
-});
+
+    async loadAll(baseUrl) {
+        const startUrls = await this.discover(baseUrl);
+        const fallbackUrl = `${new URL(baseUrl).origin}/sitemap.xml`;
+        const queue = [...startUrls];
+        const visited = new Set();
+        const sitemaps = [];
+        const urls = new Map();
+
+        while (queue.length > 0 && visited.size < this.maxSitemaps) {
+            const sitemapUrl = queue.shift();
+            if (visited.has(sitemapUrl)) continue;
+            visited.add(sitemapUrl);
+
+            const sitemapInfo = { url: sitemapUrl, type: null, urlCount: 0, error: null };
+            sitemaps.push(sitemapInfo);
+
+            if (/\.gz($|\?)/i.test(sitemapUrl)) {
+                sitemapInfo.error = 'Gecomprimeerde sitemaps (.gz) worden niet ondersteund';
+                continue;
+            }
+
+            try {
+                const response = await this.fetcher(sitemapUrl);
+                if (response.status && response.status >= 400) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+
+                const parsed = this.parse(response.body || '');
+                sitemapInfo.type = parsed.type;
+
+                if (parsed.type === 'index') {
+                    // Sitemap index: geneste sitemaps in de wachtrij zetten
+                    parsed.sitemaps.forEach(child => queue.push(child.loc));
+                    sitemapInfo.urlCount = parsed.sitemaps.length;
+                } else {
+                    parsed.urls.forEach(entry => {
+                        if (urls.size >= this.maxUrls || urls.has(entry.loc)) return;
+                        urls.set(entry.loc, { ...entry, sitemap: sitemapUrl });
+                    });
+                    sitemapInfo.urlCount = parsed.urls.length;
+                }
+            } catch (error) {
+                sitemapInfo.error = error.message;
+                // De standaard locatie is optioneel als robots.txt al sitemaps noemt
+                if (sitemapUrl === fallbackUrl && startUrls.length > 1) {
+                    sitemaps.splice(sitemaps.indexOf(sitemapInfo), 1);
+                }
+            }
+        }
+
+        return {
+            exists: sitemaps.some(sitemap => !sitemap.error),
+            sitemaps: sitemaps,
+            urls: Array.from(urls.values())
+        };
+    }
+
+    parse(xml) {
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Ongeldige XML');
+        }
+
+        const root = doc.documentElement;
+        const children = (parent, name) => Array.from(parent.children).filter(el => el.localName === name);
+        const text = (parent, name) => children(parent, name)[0]?.textContent.trim() || null;
+        // Alleen http(s) locaties, zodat bijv. een javascript: URL nooit als link getoond of opgehaald wordt
+        const isHttpUrl = loc => /^https?:\/\//i.test(loc || '');
+
+        if (root.localName === 'sitemapindex') {
+            return {
+                type: 'index',
+                sitemaps: children(root, 'sitemap')
+                    .map(el => ({ loc: text(el, 'loc'), lastmod: text(el, 'lastmod') }))
+                    .filter(entry => isHttpUrl(entry.loc))
+            };
+        }
+
+        if (root.localName !== 'urlset') {
+            throw new Error(`Onbekend sitemap formaat <${root.localName}>`);
+        }
+
+        return {
+            type: 'urlset',
+            urls: children(root, 'url').map(el => {
+                const news = children(el, 'news')[0];
+                return {
+                    loc: text(el, 'loc'),
+                    lastmod: text(el, 'lastmod'),
+                    changefreq: text(el, 'changefreq'),
+                    priority: text(el, 'priority') ? parseFloat(text(el, 'priority')) : null,
+                    images: children(el, 'image').map(image => ({
+                        loc: text(image, 'loc'),
+                        title: text(image, 'title'),
+                        caption: text(image, 'caption')
+                    })).filter(image => isHttpUrl(image.loc)),
+                    news: news ? {
+                        title: text(news, 'title'),
+                        publicationDate: text(news, 'publication_date'),
+                        publication: children(news, 'publication')[0] ? text(children(news, 'publication')[0], 'name') : null
+                    } : null,
+                    alternates: children(el, 'link')
+                        .filter(link => link.getAttribute('rel') === 'alternate' && link.getAttribute('hreflang'))
+                        .map(link => ({ hreflang: link.getAttribute('hreflang'), href: link.getAttribute('href') }))
+                };
+            }).filter(entry => isHttpUrl(entry.loc))
+        };
+    }
+}
 
 // Website Crawler Class
 class WebsiteCrawler {
     constructor() {
-        this.foundUrls = new Set();
+        this.foundUrls = new Map(); // URL -> klikdiepte
         this.crawledUrls = new Set();
         this.urlData = [];
+        this.urlIndex = new Map();
+        this.queue = [];
         this.currentTab = 'all';
         this.isRunning = false;
+        this.maxUrls = 100;
     }
 
     async startCrawl(baseUrl, options = {}) {
@@ -1074,48 +6430,91 @@ class WebsiteCrawler {
         this.foundUrls.clear();
         this.crawledUrls.clear();
         this.urlData = [];
+        this.urlIndex.clear();
+        this.queue = [];
         
         const {
-            depth = 1,
+            depth = 3,
+            maxUrls = this.maxUrls,
             includeExternal = true,
             checkRedirects = true,
-            findImages = true
+            findImages = true,
+            respectRobots = true
         } = options;
 
         try {
             this.showProgress();
             this.updateProgress(0, 'Crawling gestart...');
             
-            await this.crawlPage(baseUrl, baseUrl, depth, {
-                includeExternal,
-                checkRedirects,
-                findImages
-            });
+            requestScheduler.startRun();
+            const robots = respectRobots ? await robotsTxt.fetchRobots(baseUrl) : null;
+            if (robots && !robotsTxt.isAllowed(robots, baseUrl).allowed) {
+                throw new Error(robots.unavailable
+                    ? `${robotsTxt.describeUnavailable(robots)}. Probeer het later opnieuw of schakel "Respecteer robots.txt" uit.`
+                    : 'Deze URL is geblokkeerd door robots.txt. Schakel "Respecteer robots.txt" uit om toch te crawlen.');
+            }
+            requestScheduler.setCrawlDelay(baseUrl, robots ? robotsTxt.getCrawlDelay(robots) : null);
+            
+            const startUrl = this.normalizeUrl(baseUrl) || baseUrl;
+            this.foundUrls.set(startUrl, 0);
+            this.queue.push({ url: startUrl, depth: 0 });
+            
+            // Breadth-first: alle pagina's op diepte N worden (parallel) gecrawld voor diepte N+1
+            while (this.queue.length > 0 && this.crawledUrls.size < maxUrls) {
+                const level = this.queue[0].depth;
+                const batch = [];
+                while (this.queue.length > 0 && this.queue[0].depth === level && batch.length < maxUrls - this.crawledUrls.size) {
+                    batch.push(this.queue.shift());
+                }
+                await seoChecker.runWithConcurrency(batch, requestScheduler.settings.perHostConcurrency, ({ url, depth: clickDepth }) =>
+                    this.crawlPage(url, baseUrl, clickDepth, {
+                        maxDepth: depth,
+                        maxUrls,
+                        includeExternal,
+                        checkRedirects,
+                        findImages,
+                        robots
+                    })
+                );
+            }
+            
+            if (checkRedirects) {
+                await this.checkRedirects();
+            }
             
-            this.updateProgress(100, 'Crawling voltooid!');
+            this.updateProgress(100, `Crawling voltooid! ${this.crawledUrls.size} pagina's gecrawld`);
             this.displayResults();
             
         } catch (error) {
             console.error('Crawler error:', error);
             alert(`Crawler fout: ${error.message}`);
         } finally {
+            requestScheduler.endRun();
             this.isRunning = false;
             setTimeout(() => this.hideProgress(), 1000);
         }
     }
 
-    async crawlPage(url, baseUrl, depth, options) {
-        if (depth <= 0 || this.crawledUrls.has(url)) return;
+    async crawlPage(url, baseUrl, clickDepth, options) {
+        if (this.crawledUrls.has(url)) return;
         
         this.crawledUrls.add(url);
+        const pageEntry = this.urlIndex.get(`link:${url}`);
+        if (pageEntry) pageEntry.crawled = true;
+        
+        const plannedPages = Math.min(options.maxUrls, this.crawledUrls.size + this.queue.length);
         this.updateProgress(
-            (this.crawledUrls.size / Math.max(this.foundUrls.size, 1)) * 100,
-            `Crawling: ${this.getShortUrl(url)}`
+            (this.crawledUrls.size / Math.max(plannedPages, 1)) * 100,
+            `Crawling (diepte ${clickDepth}): ${this.getShortUrl(url)}`
         );
 
         try {
-            const response = await seoChecker.fetchWithCORS(url);
-            const html = await response.text();
+            const response = await requestScheduler.fetch(url);
+            if (pageEntry) pageEntry.status = response.status;
+            // Foutpagina's (4xx/5xx) niet verder crawlen
+            if (response.status >= 400) return;
+
+            const html = response.body || '';
             const doc = new DOMParser().parseFromString(html, 'text/html');
             
             // Extract all links
@@ -1125,34 +6524,43 @@ class WebsiteCrawler {
             // Process links
             for (const link of links) {
                 const href = link.getAttribute('href');
-                if (!href) continue;
+                if (!href || href.startsWith('#') || /^(mailto|tel|javascript):/i.test(href)) continue;
                 
-                const absoluteUrl = this.resolveUrl(href, url);
+                const absoluteUrl = this.normalizeUrl(this.resolveUrl(href, url));
                 if (!absoluteUrl) continue;
                 
                 const isInternal = this.isInternalUrl(absoluteUrl, baseUrl);
+                if (!isInternal && !options.includeExternal) continue;
+                
+                // Eerder ingeplande pagina's (zoals de startpagina) houden hun kortste klikdiepte
+                const linkDepth = this.foundUrls.get(absoluteUrl) ?? clickDepth + 1;
                 const urlInfo = {
                     url: absoluteUrl,
                     type: 'link',
                     internal: isInternal,
                     foundOn: url,
                     text: link.textContent?.trim() || '',
+                    depth: linkDepth,
+                    crawled: this.crawledUrls.has(absoluteUrl),
                     status: null,
-                    redirectTo: null
+                    redirectTo: null,
+                    blockedByRobots: isInternal && options.robots
+                        ? !robotsTxt.isAllowed(options.robots, absoluteUrl).allowed
+                        : false
                 };
 
                 // Check for duplicates - only add if URL doesn't exist yet
-                const existingUrl = this.urlData.find(existing => 
-                    existing.url === absoluteUrl && existing.type === 'link'
-                );
+                const existingUrl = this.urlIndex.get(`link:${absoluteUrl}`);
                 
                 if (!existingUrl) {
-                    this.urlData.push(urlInfo);
+                    this.addUrlData(urlInfo);
                 } else {
                     // Update existing entry with additional info if needed
                     if (urlInfo.text && !existingUrl.text) {
                         existingUrl.text = urlInfo.text;
                     }
+                    // Kortste klikpad telt als klikdiepte
+                    existingUrl.depth = Math.min(existingUrl.depth, linkDepth);
                     // Add found on page to existing entry
                     if (!existingUrl.foundOnPages) {
                         existingUrl.foundOnPages = [existingUrl.foundOn];
@@ -1162,9 +6570,14 @@ class WebsiteCrawler {
                     }
                 }
                 
-                // Add to crawl queue if internal and within depth
-                if (isInternal && depth > 1) {
-                    this.foundUrls.add(absoluteUrl);
+                // Add to crawl queue if internal, crawlable and within depth
+                if (isInternal &&
+                    linkDepth < options.maxDepth &&
+                    !urlInfo.blockedByRobots &&
+                    !this.foundUrls.has(absoluteUrl) &&
+                    this.isCrawlableUrl(absoluteUrl)) {
+                    this.foundUrls.set(absoluteUrl, linkDepth);
+                    this.queue.push({ url: absoluteUrl, depth: linkDepth });
                 }
             }
 
@@ -1183,16 +6596,15 @@ class WebsiteCrawler {
                         internal: this.isInternalUrl(absoluteUrl, baseUrl),
                         foundOn: url,
                         alt: img.getAttribute('alt') || '',
+                        depth: clickDepth,
                         status: null
                     };
 
                     // Check for duplicate images
-                    const existingImage = this.urlData.find(existing => 
-                        existing.url === absoluteUrl && existing.type === 'image'
-                    );
+                    const existingImage = this.urlIndex.get(`image:${absoluteUrl}`);
                     
                     if (!existingImage) {
-                        this.urlData.push(imageInfo);
+                        this.addUrlData(imageInfo);
                     } else {
                         // Update alt text if current one is empty
                         if (imageInfo.alt && !existingImage.alt) {
@@ -1211,6 +6623,68 @@ class WebsiteCrawler {
 
         } catch (error) {
             console.error(`Failed to crawl ${url}:`, error);
+            if (pageEntry) pageEntry.status = 'error';
+        }
+    }
+
+    // Volg de redirect chain van elke gevonden link en vul status en redirectTo in
+    async checkRedirects() {
+        const links = this.urlData.filter(u => u.type === 'link' && !u.blockedByRobots);
+        let checked = 0;
+
+        await seoChecker.runWithConcurrency(links, seoChecker.linkCheckConcurrency, async entry => {
+            const trace = await seoChecker.traceRedirects(entry.url);
+            entry.status = trace.status ?? (trace.error && !trace.loop ? 'error' : null);
+            entry.redirectTo = trace.redirects > 0 ? trace.finalUrl : null;
+            entry.redirectChain = trace.chain;
+            entry.redirectLoop = trace.loop;
+            entry.redirectError = trace.error;
+
+            checked++;
+            this.updateProgress(
+                (checked / links.length) * 100,
+                `Redirects controleren (${checked}/${links.length}): ${this.getShortUrl(entry.url)}`
+            );
+        });
+    }
+
+    addUrlData(urlInfo) {
+        this.urlData.push(urlInfo);
+        this.urlIndex.set(`${urlInfo.type}:${urlInfo.url}`, urlInfo);
+    }
+
+    // Normaliseer URLs zodat varianten van dezelfde pagina maar één keer gecrawld worden
+    normalizeUrl(url) {
+        if (!url) return null;
+        try {
+            const urlObj = new URL(url);
+            if (!['http:', 'https:'].includes(urlObj.protocol)) return null;
+            
+            urlObj.hash = '';
+            urlObj.hostname = urlObj.hostname.toLowerCase();
+            urlObj.pathname = urlObj.pathname.replace(/\/{2,}/g, '/');
+            
+            // Tracking parameters verwijderen en de rest sorteren
+            const trackingParams = ['fbclid', 'gclid', 'msclkid', 'mc_cid', 'mc_eid'];
+            Array.from(urlObj.searchParams.keys()).forEach(key => {
+                if (key.startsWith('utm_') || trackingParams.includes(key)) {
+                    urlObj.searchParams.delete(key);
+                }
+            });
+            urlObj.searchParams.sort();
+            
+            return urlObj.href;
+        } catch {
+            return null;
+        }
+    }
+
+    isCrawlableUrl(url) {
+        const skipExtensions = /\.(pdf|jpe?g|png|gif|svg|webp|avif|ico|zip|rar|gz|mp3|mp4|avi|mov|webm|css|js|json|xml|txt|docx?|xlsx?|pptx?)$/i;
+        try {
+            return !skipExtensions.test(new URL(url).pathname);
+        } catch {
+            return false;
         }
     }
 
@@ -1260,7 +6734,7 @@ class WebsiteCrawler {
         
         if (fill) fill.style.width = percent + '%';
         if (statusEl) statusEl.textContent = status;
-        if (countEl) countEl.textContent = `${this.urlData.length} URLs gevonden`;
+        if (countEl) countEl.textContent = `${this.urlData.length} URLs gevonden, ${this.crawledUrls.size} pagina's gecrawld`;
     }
 
     displayResults() {
@@ -1343,7 +6817,9 @@ class WebsiteCrawler {
                         ${url.type === 'image' ? `Alt: ${url.alt || 'Geen alt text'}` : ''}
                         ${url.text ? `Text: ${url.text.substring(0, 50)}${url.text.length > 50 ? '...' : ''}` : ''}
                         ${this.getFoundOnInfo(url)}
+                        ${url.depth !== undefined ? ` · Diepte: ${url.depth}` : ''}
                     </div>
+                    ${this.getRedirectChainInfo(url)}
                 </div>
                 <div class="url-status">
                     ${this.getStatusBadge(url)}
@@ -1362,6 +6838,21 @@ class WebsiteCrawler {
         return '';
     }
 
+    getRedirectChainInfo(url) {
+        if (!url.redirectChain || (!url.redirectTo && !url.redirectLoop)) return '';
+
+        const hopLabels = { http: hop => hop.status, meta: () => 'meta refresh', js: () => 'JavaScript' };
+        const hops = url.redirectChain.map(hop => {
+            const label = hopLabels[hop.type] ? hopLabels[hop.type](hop) : (hop.status ?? '?');
+            return `<span class="redirect-hop">${escapeHtml(this.getShortUrl(hop.url))} <strong>${escapeHtml(String(label))}</strong></span>`;
+        });
+        if (url.redirectLoop) {
+            hops.push('<span class="redirect-hop loop"><strong>Loop</strong></span>');
+        }
+
+        return `<div class="redirect-chain">${hops.join('<i class="fas fa-arrow-right"></i>')}</div>`;
+    }
+
     getFrequencyBadge(url) {
         const count = url.foundOnPages ? url.foundOnPages.length : 1;
         if (count > 1) {
@@ -1371,10 +6862,17 @@ class WebsiteCrawler {
     }
 
     getStatusBadge(url) {
-        if (url.status === 'redirect' || url.redirectTo) {
-            return '<span class="status-badge redirect">Redirect</span>';
+        if (url.blockedByRobots) {
+            return '<span class="status-badge error">Robots.txt</span>';
+        } else if (url.redirectLoop) {
+            return '<span class="status-badge error">Redirect loop</span>';
+        } else if (url.status === 'redirect' || url.redirectTo) {
+            const hops = url.redirectChain ? url.redirectChain.filter(hop => hop.target).length : 1;
+            return `<span class="status-badge redirect">Redirect${hops > 1 ? ` (${hops} hops)` : ''}</span>`;
         } else if (url.status === 'error') {
             return '<span class="status-badge error">Error</span>';
+        } else if (url.status >= 400) {
+            return `<span class="status-badge error">${url.status}</span>`;
         } else if (url.status && url.status >= 200 && url.status < 300) {
             return '<span class="status-badge success">OK</span>';
         }
@@ -1387,6 +6885,11 @@ class WebsiteCrawler {
             Type: url.type,
             Internal: url.internal ? 'Yes' : 'No',
             Status: url.status || 'Unknown',
+            Depth: url.depth ?? '',
+            'Redirect To': url.redirectTo || '',
+            'Redirect Chain': url.redirectChain && url.redirectTo
+                ? url.redirectChain.map(hop => `${hop.url} (${hop.type === 'http' || hop.type === 'final' ? hop.status : hop.type})`).join(' -> ')
+                : '',
             'Found On': url.foundOn,
             Text: url.text || url.alt || ''
         }));
@@ -1431,6 +6934,13 @@ class SitewideAnalyzer {
         this.analyzedPages = [];
         this.isRunning = false;
         this.maxPages = 10; // Limit voor performance
+        this.blockedUrls = [];
+        this.linkedUrls = new Set();
+        this.linkSourceUrls = new Set(); // Pagina's waarvan de links bekend zijn
+        this.crawlComplete = false; // Alle gevonden pagina's zijn op links gecontroleerd, zonder limiet of fouten
+        this.sitemapData = null;
+        this.maxSitemapStatusChecks = 50;
+        this.maxHreflangChecks = 50;
     }
 
     async analyzeSitewide(baseUrl, keyword = '', options = {}) {
@@ -1438,22 +6948,39 @@ class SitewideAnalyzer {
         
         this.isRunning = true;
         this.analyzedPages = [];
+        this.blockedUrls = [];
         
         const {
             maxPages = this.maxPages,
-            includeSubdomains = false
+            includeSubdomains = false,
+            respectRobots = true,
+            useSitemap = false
         } = options;
 
+        const unsubscribe = requestScheduler.subscribe(stats => this.updateRequestStats(stats));
+        requestScheduler.startRun();
+
         try {
             this.showSitewideProgress();
-            this.updateSitewideProgress(0, 'Pagina\'s ontdekken...');
+            this.updateSitewideProgress(0, 'Sitemap laden...');
+            const robots = respectRobots ? await robotsTxt.fetchRobots(baseUrl) : null;
+            requestScheduler.setCrawlDelay(baseUrl, robots ? robotsTxt.getCrawlDelay(robots) : null);
             
-            // Stap 1: Vind alle interne pagina's
-            const internalUrls = await this.discoverInternalPages(baseUrl, maxPages, includeSubdomains);
+            // Stap 1: Laad de sitemap voor seeding en het coverage rapport
+            this.sitemapData = await this.loadSitemap(baseUrl);
+            const seedUrls = useSitemap && this.sitemapData
+                ? this.sitemapData.urls
+                    .map(entry => this.cleanUrl(entry.loc))
+                    .filter(url => this.isInternalUrl(url, baseUrl, includeSubdomains))
+                : [];
+            
+            // Stap 2: Vind alle interne pagina's
+            this.updateSitewideProgress(0, 'Pagina\'s ontdekken...');
+            const internalUrls = await this.discoverInternalPages(baseUrl, maxPages, includeSubdomains, respectRobots, seedUrls);
             
-            // Stap 2: Analyseer elke pagina
+            // Stap 3: Analyseer elke pagina (parallel, de scheduler bewaakt de belasting per host)
             let completed = 0;
-            for (const url of internalUrls) {
+            await this.seoChecker.runWithConcurrency(internalUrls, requestScheduler.settings.perHostConcurrency, async url => {
                 try {
                     this.updateSitewideProgress(
                         (completed / internalUrls.length) * 100,
@@ -1474,14 +7001,20 @@ class SitewideAnalyzer {
                     });
                 }
                 completed++;
-            }
+            });
+            this.analyzedPages.sort((a, b) => internalUrls.indexOf(a.url) - internalUrls.indexOf(b.url));
             
             this.updateSitewideProgress(100, 'Sitewide analyse voltooid!');
             
-            // Stap 3: Bereken sitewide statistieken
+            // Stap 4: Bereken sitewide statistieken
             const sitewideResults = this.calculateSitewideStats();
+            this.updateSitewideProgress(100, 'Sitemap coverage controleren...');
+            sitewideResults.sitemapCoverage = await this.calculateSitemapCoverage();
+            this.updateSitewideProgress(100, 'hreflang return links controleren...');
+            sitewideResults.hreflang = await this.checkHreflangReturnLinks();
+            sitewideResults.tags = this.calculateTagCoverage();
             
-            // Stap 4: Toon resultaten
+            // Stap 5: Toon resultaten
             this.displaySitewideResults(sitewideResults);
             
             return sitewideResults;
@@ -1490,57 +7023,291 @@ class SitewideAnalyzer {
             console.error('Sitewide analysis error:', error);
             this.showSitewideError(`Sitewide analyse fout: ${error.message}`);
         } finally {
+            unsubscribe();
+            requestScheduler.endRun();
             this.isRunning = false;
             setTimeout(() => this.hideSitewideProgress(), 1000);
         }
     }
 
-    async discoverInternalPages(baseUrl, maxPages, includeSubdomains) {
+    async discoverInternalPages(baseUrl, maxPages, includeSubdomains, respectRobots = true, seedUrls = []) {
+        if (respectRobots) {
+            const robots = await robotsTxt.fetchRobots(baseUrl);
+            if (!robotsTxt.isAllowed(robots, baseUrl).allowed) {
+                throw new Error(robots.unavailable
+                    ? `${robotsTxt.describeUnavailable(robots)}, probeer het later opnieuw`
+                    : 'Deze URL is geblokkeerd door robots.txt');
+            }
+        }
+        
         const foundUrls = new Set([baseUrl]);
         const crawledUrls = new Set();
         const urlsToCheck = [baseUrl];
+        this.linkedUrls = new Set();
+        this.linkSourceUrls = new Set();
+        // Wordt true zodra een pagina door de limiet of een fout niet op links gecontroleerd is
+        let truncated = false;
+        
+        // Sitemap URLs eerst, zodat ook niet-gelinkte pagina's geanalyseerd worden
+        for (const seedUrl of seedUrls) {
+            if (foundUrls.has(seedUrl)) continue;
+            if (foundUrls.size >= maxPages) {
+                truncated = true;
+                break;
+            }
+            if (respectRobots && !(await robotsTxt.isUrlAllowed(seedUrl))) {
+                if (!this.blockedUrls.includes(seedUrl)) this.blockedUrls.push(seedUrl);
+                continue;
+            }
+            foundUrls.add(seedUrl);
+            urlsToCheck.push(seedUrl);
+        }
         
         while (urlsToCheck.length > 0 && foundUrls.size < maxPages) {
-            const currentUrl = urlsToCheck.shift();
-            if (crawledUrls.has(currentUrl)) continue;
-            
-            crawledUrls.add(currentUrl);
+            const batch = urlsToCheck
+                .splice(0, requestScheduler.settings.perHostConcurrency)
+                .filter(url => !crawledUrls.has(url));
+            batch.forEach(url => crawledUrls.add(url));
             
-            try {
-                const response = await this.seoChecker.fetchWithCORS(currentUrl);
-                const html = await response.text();
-                const doc = new DOMParser().parseFromString(html, 'text/html');
+            await this.seoChecker.runWithConcurrency(batch, batch.length, async currentUrl => {
+                try {
+                    const response = await requestScheduler.fetch(currentUrl);
+                    const html = response.body || '';
+                    const doc = new DOMParser().parseFromString(html, 'text/html');
+                    this.linkSourceUrls.add(this.cleanUrl(currentUrl));
                 
-                // Vind alle interne links
-                const links = doc.querySelectorAll('a[href]');
-                for (const link of links) {
-                    const href = link.getAttribute('href');
-                    if (!href) continue;
+                    // Vind alle interne links
+                    const links = doc.querySelectorAll('a[href]');
+                    for (const link of links) {
+                        const href = link.getAttribute('href');
+                        if (!href) continue;
                     
-                    const absoluteUrl = this.resolveUrl(href, currentUrl);
-                    if (!absoluteUrl) continue;
+                        const absoluteUrl = this.resolveUrl(href, currentUrl);
+                        if (!absoluteUrl) continue;
                     
-                    if (this.isInternalUrl(absoluteUrl, baseUrl, includeSubdomains)) {
-                        // Filter uit: anchors, parameters, duplicaten
-                        const cleanUrl = this.cleanUrl(absoluteUrl);
-                        if (cleanUrl && !foundUrls.has(cleanUrl) && foundUrls.size < maxPages) {
-                            foundUrls.add(cleanUrl);
-                            urlsToCheck.push(cleanUrl);
+                        if (this.isInternalUrl(absoluteUrl, baseUrl, includeSubdomains)) {
+                            // Filter uit: anchors, parameters, duplicaten
+                            const cleanUrl = this.cleanUrl(absoluteUrl);
+                            if (cleanUrl) this.linkedUrls.add(cleanUrl);
+                            if (cleanUrl && !foundUrls.has(cleanUrl) && foundUrls.size >= maxPages) {
+                                truncated = true;
+                            } else if (cleanUrl && !foundUrls.has(cleanUrl)) {
+                                // Sla pagina's over die robots.txt niet toestaat
+                                if (respectRobots && !(await robotsTxt.isUrlAllowed(cleanUrl))) {
+                                    if (!this.blockedUrls.includes(cleanUrl)) this.blockedUrls.push(cleanUrl);
+                                    continue;
+                                }
+                                foundUrls.add(cleanUrl);
+                                urlsToCheck.push(cleanUrl);
+                            }
                         }
                     }
+                } catch (error) {
+                    truncated = true;
+                    console.error(`Failed to crawl ${currentUrl} for links:`, error);
                 }
+            });
+        }
+        
+        this.crawlComplete = !truncated && urlsToCheck.every(url => crawledUrls.has(url));
+        return Array.from(foundUrls).slice(0, maxPages);
+    }
+
+    async loadSitemap(baseUrl) {
+        try {
+            return await sitemapParser.load(baseUrl);
+        } catch (error) {
+            console.error('Sitemap loading failed:', error);
+            return null;
+        }
+    }
+
+    // Elke alternate moet terugverwijzen naar de pagina die ernaar verwijst (return link)
+    async checkHreflangReturnLinks() {
+        const pagesWithHreflang = this.analyzedPages.filter(page => page.results?.hreflang?.exists);
+        // Elke geanalyseerde pagina telt mee; zonder hreflang verwijst ze nergens naar terug
+        const hreflangByUrl = new Map(this.analyzedPages.filter(page => page.results).map(page => [
+            this.cleanUrl(page.url),
+            page.results.hreflang?.exists
+                ? page.results.hreflang.entries.map(entry => entry.href && this.cleanUrl(entry.href))
+                : []
+        ]));
+
+        // Alternates die niet geanalyseerd zijn worden los opgehaald (met limiet)
+        const missingAlternates = [...new Set(pagesWithHreflang.flatMap(page => page.results.hreflang.alternates)
+            .map(url => this.cleanUrl(url)))]
+            .filter(url => !hreflangByUrl.has(url));
+        const toFetch = missingAlternates.slice(0, this.maxHreflangChecks);
+
+        await this.seoChecker.runWithConcurrency(toFetch, this.seoChecker.linkCheckConcurrency, async url => {
+            try {
+                const response = await requestScheduler.fetch(url);
+                const doc = new DOMParser().parseFromString(response.body || '', 'text/html');
+                const hrefs = Array.from(doc.querySelectorAll('head link[rel~="alternate"][hreflang]'))
+                    .map(link => this.seoChecker.normalizeHreflangUrl(link.getAttribute('href') || '', url))
+                    .concat(this.seoChecker.parseLinkHeader(response.headers?.get?.('link') || '')
+                        .filter(link => link.params.hreflang)
+                        .map(link => this.seoChecker.normalizeHreflangUrl(link.url, url)));
+                hreflangByUrl.set(url, hrefs.filter(Boolean).map(href => this.cleanUrl(href)));
             } catch (error) {
-                console.error(`Failed to crawl ${currentUrl} for links:`, error);
+                hreflangByUrl.set(url, null);
+            }
+        });
+
+        const missingReturnLinks = [];
+        const unreachable = [];
+        pagesWithHreflang.forEach(page => {
+            const pageUrl = this.cleanUrl(page.url);
+            page.results.hreflang.entries
+                .filter(entry => entry.href && this.cleanUrl(entry.href) !== pageUrl && entry.hreflang.toLowerCase() !== 'x-default')
+                .forEach(entry => {
+                    const alternateUrl = this.cleanUrl(entry.href);
+                    if (!hreflangByUrl.has(alternateUrl)) return;
+
+                    const alternateHrefs = hreflangByUrl.get(alternateUrl);
+                    if (alternateHrefs === null) {
+                        if (!unreachable.includes(alternateUrl)) unreachable.push(alternateUrl);
+                    } else if (!alternateHrefs.includes(pageUrl)) {
+                        missingReturnLinks.push({ from: page.url, to: entry.href, hreflang: entry.hreflang });
+                    }
+                });
+        });
+
+        return {
+            pagesWithHreflang: pagesWithHreflang.length,
+            invalidPages: pagesWithHreflang
+                .filter(page => !page.results.hreflang.isValid)
+                .map(page => ({ url: page.url, errors: page.results.hreflang.errors })),
+            missingReturnLinks,
+            unreachable,
+            uncheckedCount: missingAlternates.length - toFetch.length
+        };
+    }
+
+    // Welke tags staan op welke pagina's, en op welke pagina's ontbreekt een tag
+    calculateTagCoverage() {
+        const pages = this.analyzedPages.filter(page => page.results?.tags);
+        const tagsById = new Map();
+
+        pages.forEach(page => page.results.tags.tags.forEach(tag => {
+            if (!tagsById.has(tag.id)) {
+                tagsById.set(tag.id, { id: tag.id, name: tag.name, category: tag.category, ids: new Set(), pages: [], duplicatePages: [] });
             }
+            const entry = tagsById.get(tag.id);
+            tag.ids.forEach(id => entry.ids.add(id));
+            entry.pages.push(page.url);
+            if (tag.duplicate) entry.duplicatePages.push(page.url);
+        }));
+
+        return {
+            pagesAnalyzed: pages.length,
+            tags: Array.from(tagsById.values()).map(entry => ({
+                ...entry,
+                ids: [...entry.ids],
+                missingPages: pages.filter(page => !entry.pages.includes(page.url)).map(page => page.url)
+            })).sort((a, b) => b.pages.length - a.pages.length)
+        };
+    }
+
+    // Vergelijk sitemap URLs met gelinkte URLs en controleer de status van sitemap URLs
+    async calculateSitemapCoverage() {
+        if (!this.sitemapData || !this.sitemapData.exists) {
+            return {
+                exists: false,
+                sitemaps: this.sitemapData?.sitemaps || [],
+                totalSitemapUrls: 0,
+                notLinked: [],
+                crawlComplete: this.crawlComplete,
+                linkSourcePages: 0,
+                notInSitemap: [],
+                problems: [],
+                uncheckedCount: 0
+            };
         }
         
-        return Array.from(foundUrls).slice(0, maxPages);
+        const sitemapUrls = new Set(this.sitemapData.urls.map(entry => this.cleanUrl(entry.loc)));
+        
+        // Gelinkte URLs: tijdens discovery gevonden plus interne links op de geanalyseerde pagina's
+        const linkedUrls = new Set(this.linkedUrls);
+        this.analyzedPages.forEach(page => {
+            page.results?.links?.items?.forEach(link => {
+                if (link.internal && !link.error) linkedUrls.add(this.cleanUrl(link.url));
+            });
+        });
+        
+        const problems = [];
+        const analyzedByUrl = new Map(this.analyzedPages.map(page => [this.cleanUrl(page.url), page]));
+        const unchecked = [];
+        
+        sitemapUrls.forEach(url => {
+            const page = analyzedByUrl.get(url);
+            if (!page) {
+                unchecked.push(url);
+                return;
+            }
+            
+            if (page.error) {
+                problems.push({ url, reason: page.error });
+                return;
+            }
+            
+            const status = page.results.status;
+            if (status.statusCode !== 200) {
+                problems.push({ url, reason: `HTTP ${status.statusCode}` });
+            } else if (status.redirectChain?.length > 0) {
+                problems.push({ url, reason: `Redirect naar ${status.finalUrl}` });
+            }
+            if (status.noindex || page.results.meta?.noindex) {
+                problems.push({ url, reason: 'noindex' });
+            }
+        });
+        
+        // Niet geanalyseerde sitemap URLs alleen op statuscode en X-Robots-Tag controleren
+        const toCheck = unchecked.slice(0, this.maxSitemapStatusChecks);
+        const checked = await this.seoChecker.runWithConcurrency(
+            toCheck,
+            this.seoChecker.linkCheckConcurrency,
+            async url => ({ url, ...(await this.seoChecker.checkLinkStatus(url)) })
+        );
+        
+        checked.forEach(result => {
+            if (result.redirectTo) {
+                problems.push({ url: result.url, reason: `Redirect naar ${result.redirectTo}` });
+            } else if (result.status && result.status !== 200) {
+                problems.push({ url: result.url, reason: `HTTP ${result.status}` });
+            } else if (result.broken) {
+                problems.push({ url: result.url, reason: result.error || 'Niet bereikbaar' });
+            }
+            if (result.noindex) {
+                problems.push({ url: result.url, reason: 'noindex' });
+            }
+        });
+        
+        return {
+            exists: true,
+            sitemaps: this.sitemapData.sitemaps,
+            totalSitemapUrls: sitemapUrls.size,
+            // Alleen echte orphan pages als de crawl de hele site heeft gezien, anders "niet gevonden in N pagina's"
+            notLinked: [...sitemapUrls].filter(url => !linkedUrls.has(url)),
+            crawlComplete: this.crawlComplete,
+            linkSourcePages: new Set([
+                ...this.linkSourceUrls,
+                ...this.analyzedPages.filter(page => page.results?.links).map(page => this.cleanUrl(page.url))
+            ]).size,
+            notInSitemap: [...linkedUrls].filter(url => !sitemapUrls.has(url)),
+            problems: problems,
+            uncheckedCount: unchecked.length - toCheck.length
+        };
     }
 
     async analyzePageSEO(url, keyword) {
         console.log(`=== ANALYZING PAGE: ${url} ===`);
-        const results = await this.seoChecker.analyzeWebsite(url, keyword);
-        const score = this.seoChecker.calculateScore();
+        // Pagina's worden parallel geanalyseerd en analyzeWebsite houdt state bij: één checker per pagina, caches gedeeld
+        const checker = new SEOChecker();
+        checker.cache = this.seoChecker.cache;
+        checker.linkStatusCache = this.seoChecker.linkStatusCache;
+        const results = await checker.analyzeWebsite(url, keyword);
+        const score = checker.calculateScore();
         
         console.log('Raw SEO results:', results);
         console.log('Title analysis:', results.title);
@@ -1572,35 +7339,9 @@ class SitewideAnalyzer {
             issues: this.extractPageIssues(results)
         };
     }
-
-    extractPageIssues(results) {
-        const issues = [];
-        
-        if (!results.title?.exists) {
-            issues.push({ type: 'error', message: 'Title tag ontbreekt' });
-        } else if (!results.title?.isOptimal) {
-            issues.push({ type: 'warning', message: 'Title lengte niet optimaal' });
-        }
-        
-        if (!results.h1?.isOptimal) {
-            issues.push({ 
-                type: results.h1?.count === 0 ? 'error' : 'warning', 
-                message: results.h1?.count === 0 ? 'H1 tag ontbreekt' : 'Meerdere H1 tags' 
-            });
-        }
-        
-        if (!results.meta?.exists) {
-            issues.push({ type: 'warning', message: 'Meta description ontbreekt' });
-        }
-        
-        if (results.images?.withoutAlt > 0) {
-            issues.push({ 
-                type: 'warning', 
-                message: `${results.images.withoutAlt} afbeeldingen zonder alt-text` 
-            });
-        }
-        
-        return issues;
+
+    extractPageIssues(results) {
+        return ruleEngine.evaluate(results);
     }
 
     calculateSitewideStats() {
@@ -1614,7 +7355,8 @@ class SitewideAnalyzer {
                 averageScore: 0,
                 pages: this.analyzedPages,
                 issues: [],
-                recommendations: []
+                recommendations: [],
+                blockedUrls: this.blockedUrls
             };
         }
         
@@ -1626,13 +7368,15 @@ class SitewideAnalyzer {
         const allIssues = [];
         successfulPages.forEach(page => {
             page.issues?.forEach(issue => {
-                const existingIssue = allIssues.find(i => i.message === issue.message);
+                const existingIssue = allIssues.find(i => i.ruleId === issue.ruleId);
                 if (existingIssue) {
                     existingIssue.count++;
                     existingIssue.pages.push(page.url);
                 } else {
                     allIssues.push({
+                        ruleId: issue.ruleId,
                         type: issue.type,
+                        category: issue.category,
                         message: issue.message,
                         count: 1,
                         pages: [page.url]
@@ -1655,7 +7399,9 @@ class SitewideAnalyzer {
             averageScore: averageScore,
             pages: this.analyzedPages,
             issues: allIssues.slice(0, 10), // Top 10 issues
-            recommendations: this.generateRecommendations(allIssues, averageScore)
+            recommendations: this.generateRecommendations(allIssues, averageScore),
+            blockedUrls: this.blockedUrls,
+            profile: { id: scoringProfiles.activeId, name: scoringProfiles.getProfile().name }
         };
     }
 
@@ -1672,15 +7418,22 @@ class SitewideAnalyzer {
         
         // Issue-specifieke aanbevelingen
         issues.slice(0, 3).forEach(issue => {
-            if (issue.message.includes('Title')) {
+            if (issue.ruleId.startsWith('title-')) {
                 recommendations.push(`📝 Voeg unieke, beschrijvende titles toe aan ${issue.count} pagina's`);
-            } else if (issue.message.includes('H1')) {
+            } else if (issue.ruleId.startsWith('h1-')) {
                 recommendations.push(`🏷️ Zorg voor één duidelijke H1 per pagina op ${issue.count} pagina's`);
-            } else if (issue.message.includes('Meta description')) {
+            } else if (issue.ruleId.startsWith('meta-')) {
                 recommendations.push(`📄 Schrijf aantrekkelijke meta descriptions voor ${issue.count} pagina's`);
+            } else {
+                const [recommendation] = ruleEngine.describe(issue.ruleId).recommendations;
+                if (recommendation) recommendations.push(`🔧 ${recommendation} (${issue.count} pagina's)`);
             }
         });
         
+        if (this.blockedUrls.length > 0) {
+            recommendations.push(`🤖 ${this.blockedUrls.length} pagina's overgeslagen door robots.txt, controleer of dit de bedoeling is`);
+        }
+        
         return recommendations.slice(0, 5); // Max 5 aanbevelingen
     }
 
@@ -1746,6 +7499,10 @@ class SitewideAnalyzer {
         console.log('Sitewide analysis completed');
     }
 
+    updateRequestStats(stats) {
+        console.log(`Requests: ${stats.inFlight} bezig, ${stats.queued} in wachtrij, ${stats.failed} mislukt`);
+    }
+
     displaySitewideResults(results) {
         console.log('Sitewide results:', results);
         // TODO: Implementeer results display UI
@@ -1758,6 +7515,8 @@ class SitewideAnalyzer {
 }
 
 // Initialize crawler
+const robotsTxt = new RobotsTxt(url => requestScheduler.fetch(url));
+const sitemapParser = new SitemapParser(url => requestScheduler.fetch(url));
 const websiteCrawler = new WebsiteCrawler();
 const sitewideAnalyzer = new SitewideAnalyzer();
 
@@ -1803,21 +7562,27 @@ function startCrawling() {
         return;
     }
     
-    const depth = 1; // Fixed depth for URL discovery
+    const depth = parseInt(document.getElementById('crawlDepth')?.value) || 3;
+    const maxUrls = parseInt(document.getElementById('crawlMaxUrls')?.value) || 100;
     const includeExternal = document.getElementById('includeExternal')?.checked;
     const checkRedirects = document.getElementById('checkRedirects')?.checked;
     const findImages = document.getElementById('findImages')?.checked;
+    const respectRobots = document.getElementById('respectRobots')?.checked ?? true;
     
     websiteCrawler.startCrawl(selectedCrawlerUrl, {
         depth,
+        maxUrls,
         includeExternal,
         checkRedirects,
-        findImages
+        findImages,
+        respectRobots
     });
 }
 
 // Initialize crawler UI
 document.addEventListener('DOMContentLoaded', function() {
+    updateScoringProfileLabel();
+
     // Disable crawl button initially
     const crawlBtn = document.getElementById('crawlBtn');
     if (crawlBtn) {
@@ -1861,13 +7626,14 @@ class AnalysisStorage {
         this.loadSavedAnalyses();
     }
 
-    saveAnalysis(url, keyword, results, score) {
+    saveAnalysis(url, keyword, results, score, profile) {
         const analysis = {
             id: Date.now().toString(),
             url: url,
             keyword: keyword,
             results: results,
             score: score,
+            profile: profile,
             timestamp: new Date().toISOString(),
             date: new Date().toLocaleDateString('nl-NL'),
             time: new Date().toLocaleTimeString('nl-NL', { hour: '2-digit', minute: '2-digit' })
@@ -1911,9 +7677,12 @@ class AnalysisStorage {
         document.getElementById('urlInput').value = analysis.url;
         document.getElementById('keywordInput').value = analysis.keyword || '';
         
+        // Score tonen met het profiel waarmee de analyse is opgeslagen, zonder het actieve profiel te wijzigen
+        const profileId = analysis.profile && SCORING_PROFILES[analysis.profile.id] ? analysis.profile.id : undefined;
+
         // Display results
         seoChecker.results = analysis.results;
-        displayResults(analysis.results);
+        displayResults(analysis.results, profileId);
         
         // Show results section
         document.getElementById('loadingSection').style.display = 'none';
@@ -1922,7 +7691,9 @@ class AnalysisStorage {
         // Show save button
         document.getElementById('saveBtn').style.display = 'inline-flex';
         
-        this.showSaveNotification('Analyse geladen!');
+        this.showSaveNotification(profileId && profileId !== scoringProfiles.activeId
+            ? `Analyse geladen met scoreprofiel "${scoringProfiles.getProfile(profileId).name}"`
+            : 'Analyse geladen!');
     }
 
     deleteAnalysis(id) {
@@ -1971,6 +7742,7 @@ class AnalysisStorage {
                             <span><i class="fas fa-calendar"></i> ${analysis.date}</span>
                             <span><i class="fas fa-clock"></i> ${analysis.time}</span>
                             ${analysis.keyword ? `<span><i class="fas fa-key"></i> ${analysis.keyword}</span>` : ''}
+                            ${analysis.profile ? `<span><i class="fas fa-sliders-h"></i> ${escapeHtml(analysis.profile.name)}</span>` : ''}
                             <span class="saved-score ${this.getScoreClass(analysis.score)}">
                                 <i class="fas fa-chart-line"></i> ${analysis.score}%
                             </span>
@@ -2034,27 +7806,40 @@ function saveAnalysis() {
         return;
     }
 
-    const score = seoChecker.calculateScore();
-    analysisStorage.saveAnalysis(url, keyword, seoChecker.results, score);
+    const evaluation = scoringProfiles.evaluate(seoChecker.results, seoChecker.resultsProfileId);
+    analysisStorage.saveAnalysis(url, keyword, seoChecker.results, evaluation.score, evaluation.profile);
 }
 
 function clearAllSaved() {
     analysisStorage.clearAllSaved();
 }
 
-// Missing Alt-text Popup
-function showMissingAltImages(missingImages) {
+function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return '-';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Sortering van de afbeelding tabel (blijft bewaard zolang de pagina open is)
+let imageTableSort = { column: 'issues', direction: 'desc' };
+
+// Missing Alt-text Popup, met een sorteerbare tabel van alle afbeeldingen
+function showMissingAltImages() {
+    const missingImages = seoChecker.results?.images?.missingAltImages || [];
+    const items = seoChecker.results?.images?.items || [];
     const modal = document.createElement('div');
     modal.className = 'alt-text-modal';
     modal.innerHTML = `
-        <div class="alt-text-modal-content">
+        <div class="alt-text-modal-content image-audit-modal">
             <div class="alt-text-header">
-                <h3><i class="fas fa-exclamation-triangle"></i> Afbeeldingen zonder Alt-text</h3>
+                <h3><i class="fas fa-exclamation-triangle"></i> ${missingImages.length > 0 ? 'Afbeeldingen zonder Alt-text' : 'Afbeelding Details'}</h3>
                 <button onclick="this.closest('.alt-text-modal').remove()" class="modal-close">
                     <i class="fas fa-times"></i>
                 </button>
             </div>
             <div class="alt-text-body">
+                ${missingImages.length > 0 ? `
                 <p>De volgende afbeeldingen hebben geen alt-text:</p>
                 <div class="missing-images-list">
                     ${missingImages.map((img, index) => `
@@ -2062,18 +7847,146 @@ function showMissingAltImages(missingImages) {
                             <div class="image-info">
                                 <i class="fas fa-image"></i>
                                 <div class="image-details">
-                                    <div class="image-filename">${img.filename}</div>
-                                    <div class="image-path">${img.src}</div>
+                                    <div class="image-filename">${escapeHtml(img.filename)}</div>
+                                    <div class="image-path">${escapeHtml(img.src)}</div>
+                                </div>
+                            </div>
+                            <button onclick="copyToClipboard('${escapeHtml(img.filename.replace(/'/g, "\\'"))}')" class="copy-btn" title="Kopieer bestandsnaam">
+                                <i class="fas fa-copy"></i>
+                            </button>
+                        </div>
+                    `).join('')}
+                </div>
+                ` : ''}
+                ${items.length > 0 ? `
+                <p>Alle afbeeldingen op de pagina (klik op een kolom om te sorteren):</p>
+                <div class="image-audit-table-wrapper">
+                    <table class="image-audit-table">
+                        <thead>
+                            <tr>
+                                ${[
+                                    ['index', '#'],
+                                    ['filename', 'Bestand'],
+                                    ['format', 'Formaat'],
+                                    ['size', 'Grootte'],
+                                    ['dimensions', 'Afmetingen'],
+                                    ['loading', 'Loading'],
+                                    ['alt', 'Alt'],
+                                    ['issues', 'Problemen']
+                                ].map(([column, label]) => `<th data-column="${column}" onclick="sortImageTable('${column}')">${label}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+                ` : ''}
+                <div class="alt-text-footer">
+                    <p><i class="fas fa-lightbulb"></i> <strong>Tip:</strong> Voeg beschrijvende alt-text toe aan inhoudelijke afbeeldingen en alt="" aan decoratieve. Geef elke afbeelding width en height, gebruik WebP/AVIF met een srcset en laad afbeeldingen onder de vouw lazy.</p>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+    renderImageTable(modal);
+    
+    // Close on background click
+    modal.addEventListener('click', function(e) {
+        if (e.target === modal) {
+            modal.remove();
+        }
+    });
+}
+
+function sortImageTable(column) {
+    imageTableSort = {
+        column,
+        direction: imageTableSort.column === column && imageTableSort.direction === 'asc' ? 'desc' : 'asc'
+    };
+    document.querySelectorAll('.image-audit-modal').forEach(content => renderImageTable(content));
+}
+
+function renderImageTable(container) {
+    const tbody = container.querySelector('.image-audit-table tbody');
+    if (!tbody) return;
+
+    const sortValue = {
+        index: item => item.index,
+        filename: item => item.filename.toLowerCase(),
+        format: item => item.format || '',
+        size: item => item.size ?? -1,
+        dimensions: item => (item.width || 0) * (item.height || 0),
+        loading: item => item.loading || '',
+        alt: item => item.alt === null ? -1 : item.alt.length,
+        issues: item => item.issues.length
+    }[imageTableSort.column];
+    const direction = imageTableSort.direction === 'asc' ? 1 : -1;
+    const items = [...(seoChecker.results?.images?.items || [])].sort((a, b) => {
+        const valueA = sortValue(a);
+        const valueB = sortValue(b);
+        return (valueA > valueB ? 1 : valueA < valueB ? -1 : a.index - b.index) * direction;
+    });
+
+    container.querySelectorAll('.image-audit-table th').forEach(th => {
+        th.classList.toggle('sorted', th.dataset.column === imageTableSort.column);
+        th.classList.toggle('desc', th.dataset.column === imageTableSort.column && imageTableSort.direction === 'desc');
+    });
+
+    tbody.innerHTML = items.map(item => `
+        <tr class="${item.issues.length > 0 ? 'has-issues' : ''}">
+            <td>${item.index + 1}${item.aboveFold ? ' <span class="image-fold" title="Boven de vouw">▲</span>' : ''}</td>
+            <td class="image-audit-file" title="${escapeHtml(item.fullUrl)}">${escapeHtml(item.filename)}</td>
+            <td>${item.format ? escapeHtml(item.format.toUpperCase()) : '-'}</td>
+            <td>${formatBytes(item.size)}</td>
+            <td>${item.width && item.height ? `${item.width}×${item.height}` : '-'}</td>
+            <td>${escapeHtml(item.loading || (item.lazyScript ? 'script' : '-'))}</td>
+            <td>${item.alt === null ? '<em>ontbreekt</em>' : (item.alt === '' ? '""' : escapeHtml(item.alt.substring(0, 40)))}</td>
+            <td>${item.issues.length > 0
+                ? item.issues.map(issue => `<span class="image-issue">${escapeHtml(issue.label)}</span>`).join('')
+                : '<span class="image-ok">OK</span>'}</td>
+        </tr>
+    `).join('');
+}
+
+// Broken Links Popup
+function showBrokenLinks() {
+    const brokenLinks = (seoChecker.results?.links?.items || []).filter(link => link.broken);
+    
+    const modal = document.createElement('div');
+    modal.className = 'alt-text-modal';
+    modal.innerHTML = `
+        <div class="alt-text-modal-content">
+            <div class="alt-text-header">
+                <h3><i class="fas fa-unlink"></i> Broken Links (${brokenLinks.length})</h3>
+                <button onclick="this.closest('.alt-text-modal').remove()" class="modal-close">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="alt-text-body">
+                <p>De volgende links geven een foutcode of zijn niet bereikbaar:</p>
+                <div class="missing-images-list">
+                    ${brokenLinks.map(link => `
+                        <div class="missing-image-item">
+                            <div class="image-info">
+                                <i class="fas fa-unlink" style="color: #ef4444;"></i>
+                                <div class="image-details">
+                                    <div class="image-filename">${escapeHtml(link.url)}</div>
+                                    <div class="image-path">
+                                        ${link.status ? `HTTP ${link.status} ${escapeHtml(link.statusText)}` : escapeHtml(link.error || 'Onbekende fout')}
+                                        ${link.text ? ` · Anchor: "${escapeHtml(link.text.substring(0, 60))}"` : ''}
+                                        ${link.occurrences > 1 ? ` · ${link.occurrences}x op pagina` : ''}
+                                        ${link.responseTime !== null ? ` · ${link.responseTime} ms` : ''}
+                                    </div>
                                 </div>
                             </div>
-                            <button onclick="copyToClipboard('${img.filename}')" class="copy-btn" title="Kopieer bestandsnaam">
+                            <button onclick="copyToClipboard('${escapeHtml(link.url.replace(/'/g, "\\'"))}')" class="copy-btn" title="Kopieer URL">
                                 <i class="fas fa-copy"></i>
                             </button>
                         </div>
                     `).join('')}
                 </div>
                 <div class="alt-text-footer">
-                    <p><i class="fas fa-lightbulb"></i> <strong>Tip:</strong> Voeg beschrijvende alt-text toe aan deze afbeeldingen voor betere SEO en toegankelijkheid.</p>
+                    <p><i class="fas fa-lightbulb"></i> <strong>Tip:</strong> Herstel of verwijder kapotte links, of stuur de oude URL met een 301 door naar een relevante pagina.</p>
                 </div>
             </div>
         </div>
@@ -2324,18 +8237,23 @@ async function startSitewideAnalysis() {
     const keyword = document.getElementById('keywordInput').value.trim();
     const maxPages = parseInt(document.getElementById('maxPages').value);
     const includeSubdomains = document.getElementById('includeSubdomains')?.checked;
+    const respectRobots = document.getElementById('sitewideRespectRobots')?.checked ?? true;
+    const useSitemap = document.getElementById('useSitemap')?.checked;
     
     try {
         // Update UI methods in SitewideAnalyzer
         sitewideAnalyzer.showSitewideProgress = showSitewideProgress;
         sitewideAnalyzer.updateSitewideProgress = updateSitewideProgress;
         sitewideAnalyzer.hideSitewideProgress = hideSitewideProgress;
+        sitewideAnalyzer.updateRequestStats = updateSitewideRequestStats;
         sitewideAnalyzer.displaySitewideResults = displaySitewideResults;
         sitewideAnalyzer.showSitewideError = showSitewideError;
         
         const results = await sitewideAnalyzer.analyzeSitewide(selectedSitewideUrl, keyword, {
             maxPages,
-            includeSubdomains
+            includeSubdomains,
+            respectRobots,
+            useSitemap
         });
         
         currentSitewideResults = results;
@@ -2366,6 +8284,20 @@ function updateSitewideProgress(percent, status) {
     }
 }
 
+function updateSitewideRequestStats(stats) {
+    const statsEl = document.getElementById('sitewideRequestStats');
+    if (!statsEl) return;
+
+    statsEl.innerHTML = `
+        <span title="Afgeronde verzoeken per seconde"><i class="fas fa-tachometer-alt"></i> ${stats.throughput.toFixed(1)} req/s</span>
+        <span><i class="fas fa-hourglass-half"></i> ${stats.queued} in wachtrij</span>
+        <span><i class="fas fa-sync-alt"></i> ${stats.inFlight} bezig</span>
+        <span class="${stats.failed > 0 ? 'failed' : ''}"><i class="fas fa-times-circle"></i> ${stats.failed} mislukt</span>
+        ${stats.retries > 0 ? `<span><i class="fas fa-redo"></i> ${stats.retries} herhaald</span>` : ''}
+        <span><i class="fas fa-coins"></i> ${stats.sent}${stats.budget ? `/${stats.budget}` : ''} verzoeken</span>
+    `;
+}
+
 function hideSitewideProgress() {
     const progressEl = document.getElementById('sitewideProgress');
     if (progressEl) progressEl.style.display = 'none';
@@ -2385,6 +8317,9 @@ function displaySitewideResults(results) {
     displaySitewideIssues(results.issues);
     displaySitewidePagesList(results.pages);
     displaySitewideTable(results.pages);
+    displaySitemapCoverage(results.sitemapCoverage);
+    displayHreflangReport(results.hreflang);
+    displayTagReport(results.tags);
     
     console.log('Sitewide results ready:', results);
     analysisStorage.showSaveNotification('Sitewide analyse voltooid!');
@@ -2402,6 +8337,70 @@ function updateSitewideOverview(results) {
     if (recommendationCountEl) recommendationCountEl.textContent = results.recommendations.length;
 }
 
+// Sitewide export: per pagina de issues uit de rule engine
+function exportSitewideResults(format) {
+    if (!currentSitewideResults || !currentSitewideResults.pages?.length) {
+        showErrorMessage('Geen resultaten', 'Voer eerst een sitewide analyse uit');
+        return;
+    }
+
+    const pages = currentSitewideResults.pages.filter(page => !page.error);
+    const hostname = getShortHostname(currentSitewideResults.pages[0].url);
+
+    if (format === 'json') {
+        const data = {
+            exportedAt: new Date().toISOString(),
+            profile: currentSitewideResults.profile,
+            averageScore: currentSitewideResults.averageScore,
+            issues: currentSitewideResults.issues.map(({ pages: issuePages, ...issue }) => {
+                const details = ruleEngine.describe(issue.ruleId);
+                return {
+                    ...issue,
+                    categoryLabel: details.category,
+                    description: details.description,
+                    recommendations: details.recommendations,
+                    pages: issuePages
+                };
+            }),
+            pages: pages.map(page => ({
+                url: page.url,
+                score: page.score,
+                title: page.title,
+                h1: page.h1,
+                metaDescription: page.metaDescription,
+                issues: page.issues
+            }))
+        };
+        websiteCrawler.downloadFile(JSON.stringify(data, null, 2), `sitewide-${hostname}.json`, 'application/json');
+        return;
+    }
+
+    const quote = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    const rows = [
+        ['URL', 'Score', 'Title', 'H1', 'Meta Description', 'Kritiek', 'Waarschuwingen', 'Aandachtspunten', 'Issues'],
+        ...pages.map(page => [
+            page.url,
+            page.score,
+            page.title,
+            page.h1,
+            page.metaDescription,
+            page.issues.filter(issue => issue.type === 'error').length,
+            page.issues.filter(issue => issue.type === 'warning').length,
+            page.issues.filter(issue => issue.type === 'notice').length,
+            page.issues.map(issue => `[${issue.ruleId}] ${issue.message}${issue.details.length > 0 ? `: ${issue.details.join(', ')}` : ''}`).join(' | ')
+        ])
+    ];
+    websiteCrawler.downloadFile(rows.map(row => row.map(quote).join(',')).join('\n'), `sitewide-${hostname}.csv`, 'text/csv');
+}
+
+function getShortHostname(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+        return 'export';
+    }
+}
+
 function displaySitewideIssues(issues) {
     const container = document.getElementById('sitewideTopIssues');
     if (!container) return;
@@ -2423,7 +8422,7 @@ function displaySitewideIssues(issues) {
             <div class="issue-info">
                 <div class="issue-message">
                     <i class="fas ${issue.type === 'error' ? 'fa-times-circle' : 'fa-exclamation-triangle'}"></i>
-                    ${issue.message}
+                    ${escapeHtml(issue.message)}
                 </div>
                 <div class="issue-count">${issue.count} pagina${issue.count > 1 ? '\'s' : ''}</div>
             </div>
@@ -2560,6 +8559,156 @@ function displaySitewideTable(pages) {
     }).join('');
 }
 
+// Inklapbare lijst voor de sitewide rapporten (sitemap, hreflang), met maximaal 200 items
+function renderCoverageList(title, icon, items, renderItem) {
+    return `
+        <details class="coverage-list">
+            <summary>
+                <i class="fas ${icon}"></i> ${title}
+                <span class="issue-count">${items.length}</span>
+            </summary>
+            <div class="coverage-items">
+                ${items.slice(0, 200).map(renderItem).join('')}
+                ${items.length > 200 ? `<div class="coverage-item">+${items.length - 200} meer</div>` : ''}
+            </div>
+        </details>
+    `;
+}
+
+// Alleen http(s) URLs worden een link, andere waarden blijven tekst
+function renderCoverageLink(url) {
+    if (!/^https?:\/\//i.test(url)) return escapeHtml(url);
+    return `<a href="${escapeHtml(url)}" target="_blank">${escapeHtml(getShortUrl(url))}</a>`;
+}
+
+function displaySitemapCoverage(coverage) {
+    const section = document.getElementById('sitemapCoverage');
+    const container = document.getElementById('sitemapCoverageContent');
+    if (!section || !container) return;
+    
+    if (!coverage) {
+        section.style.display = 'none';
+        return;
+    }
+    
+    section.style.display = 'block';
+    
+    if (!coverage.exists) {
+        container.innerHTML = `
+            <div class="no-issues">
+                <i class="fas fa-info-circle"></i>
+                Geen sitemap gevonden${coverage.sitemaps.length > 0 ? ` (${coverage.sitemaps.map(sitemap => `${escapeHtml(getShortUrl(sitemap.url))}: ${escapeHtml(sitemap.error)}`).join(', ')})` : ''}
+            </div>
+        `;
+        return;
+    }
+    
+    const renderUrl = url => `<div class="coverage-item">${renderCoverageLink(url)}</div>`;
+    
+    container.innerHTML = `
+        <div class="coverage-stats">
+            <span><strong>${coverage.sitemaps.filter(sitemap => !sitemap.error).length}</strong> sitemaps</span>
+            <span><strong>${coverage.totalSitemapUrls}</strong> URLs in sitemap</span>
+            ${coverage.uncheckedCount > 0 ? `<span>${coverage.uncheckedCount} URLs niet gecontroleerd (limiet)</span>` : ''}
+            ${!coverage.crawlComplete ? `<span>Links uit <strong>${coverage.linkSourcePages}</strong> pagina's; verhoog het aantal pagina's voor een volledige orphan controle</span>` : ''}
+        </div>
+        ${renderCoverageList(coverage.crawlComplete
+            ? 'In sitemap, niet gelinkt (orphan pages)'
+            : `In sitemap, niet gevonden in de ${coverage.linkSourcePages} gecontroleerde pagina's`, 'fa-unlink', coverage.notLinked, renderUrl)}
+        ${renderCoverageList('Gelinkt, niet in sitemap', 'fa-plus-circle', coverage.notInSitemap, renderUrl)}
+        ${renderCoverageList('Sitemap URLs met fouten, redirects of noindex', 'fa-exclamation-triangle', coverage.problems, problem => `
+            <div class="coverage-item">
+                ${renderCoverageLink(problem.url)}
+                <span class="coverage-reason">${escapeHtml(problem.reason)}</span>
+            </div>
+        `)}
+        ${coverage.sitemaps.some(sitemap => sitemap.error) ? renderCoverageList('Sitemaps die niet geladen konden worden', 'fa-times-circle', coverage.sitemaps.filter(sitemap => sitemap.error), sitemap => `
+            <div class="coverage-item">
+                ${escapeHtml(sitemap.url)}
+                <span class="coverage-reason">${escapeHtml(sitemap.error)}</span>
+            </div>
+        `) : ''}
+    `;
+}
+
+function displayHreflangReport(report) {
+    const section = document.getElementById('hreflangReport');
+    const container = document.getElementById('hreflangReportContent');
+    if (!section || !container) return;
+
+    if (!report || report.pagesWithHreflang === 0) {
+        section.style.display = 'none';
+        return;
+    }
+
+    section.style.display = 'block';
+
+    container.innerHTML = `
+        <div class="coverage-stats">
+            <span><strong>${report.pagesWithHreflang}</strong> pagina's met hreflang</span>
+            ${report.uncheckedCount > 0 ? `<span>${report.uncheckedCount} alternates niet gecontroleerd (limiet)</span>` : ''}
+        </div>
+        ${renderCoverageList('Ontbrekende return links', 'fa-exchange-alt', report.missingReturnLinks, link => `
+            <div class="coverage-item">
+                <span>${renderCoverageLink(link.from)} → ${renderCoverageLink(link.to)}</span>
+                <span class="coverage-reason">${escapeHtml(link.hreflang)} verwijst niet terug</span>
+            </div>
+        `)}
+        ${renderCoverageList('Pagina\'s met hreflang fouten', 'fa-exclamation-triangle', report.invalidPages, page => `
+            <div class="coverage-item">
+                ${renderCoverageLink(page.url)}
+                <span class="coverage-reason">${page.errors.map(escapeHtml).join('; ')}</span>
+            </div>
+        `)}
+        ${report.unreachable.length > 0 ? renderCoverageList('Alternates niet bereikbaar', 'fa-times-circle', report.unreachable, url => `
+            <div class="coverage-item">${renderCoverageLink(url)}</div>
+        `) : ''}
+    `;
+}
+
+function displayTagReport(report) {
+    const section = document.getElementById('tagReport');
+    const container = document.getElementById('tagReportContent');
+    if (!section || !container) return;
+
+    if (!report || report.tags.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
+
+    section.style.display = 'block';
+
+    container.innerHTML = `
+        <div class="coverage-stats">
+            <span><strong>${report.tags.length}</strong> tags herkend op ${report.pagesAnalyzed} pagina's</span>
+        </div>
+        ${report.tags.map(tag => `
+        <details class="coverage-list">
+            <summary>
+                <i class="fas ${tag.missingPages.length > 0 || tag.duplicatePages.length > 0 ? 'fa-exclamation-triangle' : 'fa-check'}"></i>
+                ${escapeHtml(tag.name)}${tag.ids.length > 0 ? ` (${tag.ids.map(escapeHtml).join(', ')})` : ''}
+                <span class="issue-count">${tag.pages.length}/${report.pagesAnalyzed}</span>
+            </summary>
+            <div class="coverage-items">
+                ${tag.missingPages.length === 0 && tag.duplicatePages.length === 0 ? '<div class="coverage-item">Op alle pagina\'s aanwezig</div>' : ''}
+                ${tag.missingPages.slice(0, 200).map(url => `
+                <div class="coverage-item">
+                    ${renderCoverageLink(url)}
+                    <span class="coverage-reason">Tag ontbreekt</span>
+                </div>
+                `).join('')}
+                ${tag.duplicatePages.slice(0, 200).map(url => `
+                <div class="coverage-item">
+                    ${renderCoverageLink(url)}
+                    <span class="coverage-reason">Dubbel geladen</span>
+                </div>
+                `).join('')}
+            </div>
+        </details>
+        `).join('')}
+    `;
+}
+
 function showSitewideError(message) {
     showErrorMessage('Sitewide Analyse Fout', message);
 }
@@ -2616,6 +8765,7 @@ function showIssueDetails(issueIndex) {
     }
     
     const issue = currentSitewideResults.issues[issueIndex];
+    const details = ruleEngine.describe(issue.ruleId);
     
     // Use same modal style as existing popups
     const modal = document.createElement('div');
@@ -2625,7 +8775,7 @@ function showIssueDetails(issueIndex) {
             <div class="alt-text-header">
                 <h3>
                     <i class="fas ${issue.type === 'error' ? 'fa-times-circle' : 'fa-exclamation-triangle'}" style="color: ${issue.type === 'error' ? '#ef4444' : '#f59e0b'};"></i> 
-                    ${issue.message}
+                    ${escapeHtml(issue.message)}
                 </h3>
                 <button onclick="this.closest('.alt-text-modal').remove()" class="modal-close">
                     <i class="fas fa-times"></i>
@@ -2639,12 +8789,13 @@ function showIssueDetails(issueIndex) {
                     </div>
                     <div style="padding: 8px 16px; border-radius: 20px; background: rgba(${issue.type === 'error' ? '239, 68, 68' : '245, 158, 11'}, 0.2); color: ${issue.type === 'error' ? '#ef4444' : '#f59e0b'}; font-weight: 600;">
                         <i class="fas ${issue.type === 'error' ? 'fa-exclamation-circle' : 'fa-exclamation-triangle'}"></i>
-                        ${issue.type === 'error' ? 'Kritiek' : 'Waarschuwing'}
+                        ${getIssueTypeLabel(issue.type)}
                     </div>
+                    ${details.category ? `<div style="color: rgba(255, 255, 255, 0.7);"><i class="fas fa-folder"></i> ${escapeHtml(details.category)}</div>` : ''}
                 </div>
                 
                 <p><strong><i class="fas fa-info-circle"></i> Wat betekent dit?</strong></p>
-                <p style="margin-bottom: 20px; color: rgba(255, 255, 255, 0.9);">${getIssueDescription(issue.message)}</p>
+                <p style="margin-bottom: 20px; color: rgba(255, 255, 255, 0.9);">${escapeHtml(details.description)}</p>
                 
                 <p><strong><i class="fas fa-list"></i> Getroffen pagina's (${issue.pages.length}):</strong></p>
                 <div class="missing-images-list">
@@ -2674,7 +8825,7 @@ function showIssueDetails(issueIndex) {
                 <div class="alt-text-footer">
                     <p><i class="fas fa-lightbulb"></i> <strong>Hoe op te lossen:</strong></p>
                     <ul style="margin: 10px 0; padding-left: 20px; color: rgba(255, 255, 255, 0.9);">
-                        ${getIssueRecommendations(issue.message).map(rec => `<li>${rec}</li>`).join('')}
+                        ${details.recommendations.map(rec => `<li>${escapeHtml(rec)}</li>`).join('')}
                     </ul>
                 </div>
             </div>
@@ -2691,62 +8842,10 @@ function showIssueDetails(issueIndex) {
     });
 }
 
-function getIssueDescription(issueMessage) {
-    const descriptions = {
-        'Title tag ontbreekt': 'De title tag is een van de belangrijkste SEO elementen. Het verschijnt in zoekresultaten en browser tabs. Zonder title tag kunnen zoekmachines je pagina niet goed indexeren.',
-        'Title lengte niet optimaal': 'Title tags moeten tussen 30-60 karakters lang zijn. Te kort en je mist kansen voor keywords, te lang en ze worden afgeknipt in zoekresultaten.',
-        'H1 tag ontbreekt': 'Elke pagina moet precies één H1 tag hebben die de hoofdinhoud beschrijft. Dit helpt zoekmachines begrijpen waar je pagina over gaat.',
-        'Meerdere H1 tags': 'Een pagina mag maar één H1 tag hebben. Meerdere H1 tags verwarren zoekmachines over de hoofdinhoud van je pagina.',
-        'Meta description ontbreekt': 'Meta descriptions verschijnen onder je titel in zoekresultaten. Ze beïnvloeden de click-through rate en geven gebruikers een preview van je content.',
-    };
-    
-    // Check for partial matches
-    for (const [key, desc] of Object.entries(descriptions)) {
-        if (issueMessage.includes(key)) {
-            return desc;
-        }
-    }
-    
-    return 'Dit is een SEO issue dat aandacht vereist. Bekijk de aanbevelingen hieronder voor specifieke oplossingen.';
-}
-
-function getIssueRecommendations(issueMessage) {
-    const recommendations = {
-        'Title tag ontbreekt': [
-            'Voeg een <title> tag toe in de <head> sectie van elke pagina',
-            'Gebruik unieke, beschrijvende titles voor elke pagina',
-            'Plaats belangrijke keywords aan het begin van de title'
-        ],
-        'Title lengte niet optimaal': [
-            'Houd titles tussen 30-60 karakters lang',
-            'Gebruik de belangrijkste keywords vooraan',
-            'Maak elke title uniek en beschrijvend'
-        ],
-        'H1 tag ontbreekt': [
-            'Voeg één H1 tag toe per pagina',
-            'Gebruik de H1 om de hoofdinhoud te beschrijven',
-            'Plaats relevante keywords in de H1'
-        ],
-        'Meerdere H1 tags': [
-            'Gebruik slechts één H1 per pagina',
-            'Verander extra H1 tags naar H2, H3, etc.',
-            'Zorg dat de H1 de belangrijkste heading is'
-        ],
-        'Meta description ontbreekt': [
-            'Voeg een meta description toe van 150-160 karakters',
-            'Maak het aantrekkelijk en actionable',
-            'Gebruik relevante keywords natuurlijk'
-        ],
-    };
-    
-    // Check for partial matches
-    for (const [key, recs] of Object.entries(recommendations)) {
-        if (issueMessage.includes(key)) {
-            return recs;
-        }
-    }
-    
-    return ['Bekijk SEO best practices voor dit specifieke probleem', 'Test wijzigingen met SEO tools', 'Monitor resultaten na implementatie'];
+function getIssueTypeLabel(type) {
+    if (type === 'error') return 'Kritiek';
+    if (type === 'warning') return 'Waarschuwing';
+    return 'Aandachtspunt';
 }
 
 function analyzeSinglePage(url) {
@@ -2899,24 +8998,28 @@ function loadPageIssues(url) {
     // Display issues
     issuesContent.innerHTML = `
         <div class="issues-list">
-            ${pageData.issues.map((issue, index) => `
+            ${pageData.issues.map(issue => {
+                const details = ruleEngine.describe(issue.ruleId);
+                return `
                 <div class="issue-item ${issue.type}">
                     <div class="issue-header">
                         <i class="fas ${issue.type === 'error' ? 'fa-times-circle' : 'fa-exclamation-triangle'}"></i>
-                        <span class="issue-message">${issue.message}</span>
-                        <span class="issue-type-badge ${issue.type}">${issue.type === 'error' ? 'Kritiek' : 'Waarschuwing'}</span>
+                        <span class="issue-message">${escapeHtml(issue.message)}${issue.count > 1 ? ` (${issue.count})` : ''}</span>
+                        <span class="issue-type-badge ${issue.type}">${getIssueTypeLabel(issue.type)}</span>
                     </div>
+                    ${issue.details?.length > 0 ? `<div class="issue-details">${issue.details.map(escapeHtml).join('<br>')}</div>` : ''}
                     <div class="issue-description">
-                        ${getIssueDescription(issue.message)}
+                        ${escapeHtml(details.description)}
                     </div>
                     <div class="issue-recommendations">
                         <strong>Oplossing:</strong>
                         <ul>
-                            ${getIssueRecommendations(issue.message).map(rec => `<li>${rec}</li>`).join('')}
+                            ${details.recommendations.map(rec => `<li>${escapeHtml(rec)}</li>`).join('')}
                         </ul>
                     </div>
                 </div>
-            `).join('')}
+            `;
+            }).join('')}
         </div>
         
         <div class="issues-summary">
@@ -2934,79 +9037,13 @@ function loadPageIssues(url) {
     `;
 }
 
-// Get issue description based on message
-function getIssueDescription(message) {
-    const descriptions = {
-        'Title tag ontbreekt': 'De title tag is essentieel voor SEO en wordt getoond in zoekresultaten. Zonder title tag kunnen zoekmachines je pagina niet goed indexeren.',
-        'Title lengte niet optimaal': 'De ideale lengte voor een title tag is 50-60 karakters. Te korte titles missen kansen, te lange worden afgekort in zoekresultaten.',
-        'H1 tag ontbreekt': 'De H1 tag geeft de hoofdstructuur van je pagina aan en helpt zoekmachines de inhoud te begrijpen.',
-        'Meerdere H1 tags': 'Er mag maar één H1 tag per pagina zijn voor optimale SEO structuur.',
-        'Meta description ontbreekt': 'Meta descriptions worden getoond in zoekresultaten en beïnvloeden de click-through rate.',
-        'Meta description te kort': 'Meta descriptions van minder dan 120 karakters benutten niet de volledige ruimte in zoekresultaten.',
-        'Meta description te lang': 'Meta descriptions langer dan 160 karakters worden afgekort in zoekresultaten.'
-    };
-    
-    return descriptions[message] || 'Dit issue kan de SEO prestaties van je pagina beïnvloeden.';
-}
-
-// Get issue recommendations based on message
-function getIssueRecommendations(message) {
-    const recommendations = {
-        'Title tag ontbreekt': [
-            'Voeg een <title> tag toe in de <head> sectie',
-            'Gebruik relevante keywords in de title',
-            'Houd de title tussen 50-60 karakters'
-        ],
-        'Title lengte niet optimaal': [
-            'Pas de title aan naar 50-60 karakters',
-            'Gebruik krachtige, beschrijvende woorden',
-            'Plaats belangrijke keywords vooraan'
-        ],
-        'H1 tag ontbreekt': [
-            'Voeg een <h1> tag toe aan je pagina',
-            'Gebruik de H1 voor de hoofdtitel van je content',
-            'Integreer relevante keywords natuurlijk'
-        ],
-        'Meerdere H1 tags': [
-            'Gebruik slechts één H1 tag per pagina',
-            'Vervang extra H1 tags door H2, H3, etc.',
-            'Behoud hiërarchische structuur'
-        ],
-        'Meta description ontbreekt': [
-            'Voeg een meta description tag toe',
-            'Schrijf een aantrekkelijke samenvatting van 140-160 karakters',
-            'Gebruik een call-to-action'
-        ],
-        'Meta description te kort': [
-            'Breid de meta description uit naar 140-160 karakters',
-            'Voeg meer details over je content toe',
-            'Gebruik emotionele triggers'
-        ],
-        'Meta description te lang': [
-            'Kort de meta description in tot maximaal 160 karakters',
-            'Focus op de belangrijkste informatie',
-            'Behoud de call-to-action'
-        ]
-    };
-    
-    return recommendations[message] || [
-        'Analyseer het specifieke probleem',
-        'Implementeer best practices voor SEO',
-        'Test de wijzigingen na implementatie'
-    ];
-}
-
-// Load and display page content with multiple fallback methods
+// Load and display page content, with generated content as last resort
 async function loadPageContent(url) {
     const contentArea = document.querySelector('.content-column.original .content-area');
     if (!contentArea) return;
     
-    // Try multiple methods to fetch content
     const methods = [
-        () => fetchWithCORSProxy(url, 'https://api.allorigins.win/raw?url='),
-        () => fetchWithCORSProxy(url, 'https://cors-anywhere.herokuapp.com/'),
-        () => fetchWithCORSProxy(url, 'https://thingproxy.freeboard.io/fetch/'),
-        () => fetchDirectly(url),
+        () => fetchPageContent(url),
         () => generateMockContent(url)
     ];
     
@@ -3028,26 +9065,13 @@ async function loadPageContent(url) {
     }
 }
 
-// Fetch with CORS proxy
-async function fetchWithCORSProxy(url, proxyUrl) {
-    const response = await fetch(`${proxyUrl}${encodeURIComponent(url)}`);
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    
-    const html = await response.text();
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(html, 'text/html');
-    
-    return extractContentFromDOM(doc);
-}
-
-// Try direct fetch (will fail due to CORS but worth trying)
-async function fetchDirectly(url) {
-    const response = await fetch(url);
+// Fetch via the transport layer and extract the readable content
+async function fetchPageContent(url) {
+    const response = await transport.fetch(url);
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
     
-    const html = await response.text();
     const parser = new DOMParser();
-    const doc = parser.parseFromString(html, 'text/html');
+    const doc = parser.parseFromString(response.body || '', 'text/html');
     
     return extractContentFromDOM(doc);
 }
@@ -3226,7 +9250,7 @@ async function generateSEOContent(url) {
         console.log('✅ AI generation completed:', optimizedContent);
         
         // Display the AI-generated content
-        displayOptimizedContent(contentArea, optimizedContent);
+        displayOptimizedContent(contentArea, optimizedContent, url);
         
     } catch (error) {
         console.error('AI generation error:', error);
@@ -3888,7 +9912,7 @@ function createOptimizedContentFromResponse(originalContent, response) {
 }
 
 // Display the optimized content
-function displayOptimizedContent(contentArea, optimizedContent) {
+function displayOptimizedContent(contentArea, optimizedContent, url) {
     contentArea.innerHTML = `
         <div class="content-section">
             <h5><i class="fas fa-magic"></i> Geoptimaliseerde Title</h5>
@@ -3902,6 +9926,11 @@ function displayOptimizedContent(contentArea, optimizedContent) {
             <div class="content-meta">Lengte: ${optimizedContent.metaDescription.length} karakters</div>
         </div>
         
+        <div class="content-section">
+            <h5><i class="fab fa-google"></i> SERP Preview</h5>
+            <div id="optimizedSerpPreview"></div>
+        </div>
+        
         <div class="content-section">
             <h5><i class="fas fa-magic"></i> Geoptimaliseerde H1</h5>
             <div class="content-item optimized">${optimizedContent.h1}</div>
@@ -3935,6 +9964,14 @@ function displayOptimizedContent(contentArea, optimizedContent) {
             <span>Gegenereerd met ${getAIProviderName()}</span>
         </div>
     `;
+
+    // Structured data hints alleen gebruiken als de analyse over dezelfde pagina gaat
+    const baseData = serpPreview.buildData(seoChecker.results?.url === url ? seoChecker.results : { url });
+    serpPreview.render('optimizedSerpPreview', {
+        ...baseData,
+        title: optimizedContent.title,
+        description: optimizedContent.metaDescription
+    });
 }
 
 // Helper functions for modal actions
@@ -3973,6 +10010,239 @@ function closeAltTextGenerator() {
     resetAltTextGenerator();
 }
 
+// Scoreprofielen instellingen
+function showScoringProfiles() {
+    const modal = document.getElementById('scoringProfileModal');
+    modal.style.display = 'flex';
+    renderScoringProfileForm(scoringProfiles.activeId);
+}
+
+function closeScoringProfiles() {
+    document.getElementById('scoringProfileModal').style.display = 'none';
+}
+
+function renderScoringProfileForm(profileId) {
+    const container = document.getElementById('scoringProfileForm');
+    const profile = scoringProfiles.getProfile(profileId);
+
+    container.innerHTML = `
+        <div class="scoring-profile-select">
+            <label for="scoringProfileSelect">Profiel</label>
+            <select id="scoringProfileSelect" onchange="renderScoringProfileForm(this.value)">
+                ${scoringProfiles.getProfiles().map(option => `
+                    <option value="${option.id}" ${option.id === profile.id ? 'selected' : ''}>${option.name}${option.customized ? ' (aangepast)' : ''}</option>
+                `).join('')}
+            </select>
+        </div>
+        <div class="scoring-profile-grid">
+            <div>
+                <h4><i class="fas fa-balance-scale"></i> Gewichten <small>(0 = telt niet mee)</small></h4>
+                ${Object.entries(SCORE_COMPONENTS).map(([id, label]) => `
+                    <label class="scoring-field">
+                        <span>${label}</span>
+                        <input type="number" min="0" max="50" step="1" data-weight="${id}" value="${profile.weights[id] || 0}">
+                    </label>
+                `).join('')}
+            </div>
+            <div>
+                <h4><i class="fas fa-ruler"></i> Drempels</h4>
+                ${Object.entries(SCORE_THRESHOLD_LABELS).map(([key, label]) => `
+                    <label class="scoring-field">
+                        <span>${label}</span>
+                        ${key === 'requiredSchema'
+                            ? `<input type="text" data-threshold="${key}" value="${escapeHtml(profile.thresholds[key])}" placeholder="bijv. Product">`
+                            : `<input type="number" min="0" step="1" data-threshold="${key}" value="${profile.thresholds[key]}">`}
+                    </label>
+                `).join('')}
+            </div>
+        </div>
+        <div class="scoring-profile-actions">
+            <button onclick="resetScoringProfile('${profile.id}')" class="config-btn secondary">
+                <i class="fas fa-undo"></i> Standaardwaarden
+            </button>
+            <button onclick="saveScoringProfile('${profile.id}')" class="config-btn">
+                <i class="fas fa-save"></i> Opslaan & Gebruiken
+            </button>
+        </div>
+    `;
+}
+
+function saveScoringProfile(profileId) {
+    const container = document.getElementById('scoringProfileForm');
+    const weights = {};
+    const thresholds = {};
+
+    container.querySelectorAll('[data-weight]').forEach(input => {
+        weights[input.dataset.weight] = Math.max(0, parseInt(input.value) || 0);
+    });
+    container.querySelectorAll('[data-threshold]').forEach(input => {
+        const key = input.dataset.threshold;
+        thresholds[key] = key === 'requiredSchema' ? input.value.trim() : Math.max(0, parseFloat(input.value) || 0);
+    });
+
+    if (Object.values(weights).every(weight => weight === 0)) {
+        alert('Geef minimaal één check een gewicht groter dan 0');
+        return;
+    }
+
+    scoringProfiles.saveProfile(profileId, weights, thresholds);
+    scoringProfiles.setActive(profileId);
+    refreshScoreDisplay();
+    closeScoringProfiles();
+    analysisStorage.showSaveNotification(`Scoreprofiel "${scoringProfiles.getProfile().name}" opgeslagen`);
+}
+
+function resetScoringProfile(profileId) {
+    scoringProfiles.resetProfile(profileId);
+    renderScoringProfileForm(profileId);
+    if (scoringProfiles.activeId === profileId) refreshScoreDisplay();
+}
+
+// Bestaande resultaten opnieuw tonen met het actieve profiel
+function refreshScoreDisplay() {
+    updateScoringProfileLabel();
+
+    if (seoChecker.results && document.getElementById('resultsSection').style.display !== 'none') {
+        displayResults(seoChecker.results);
+    }
+}
+
+// Het profiel van de getoonde score; wijkt het af van het actieve profiel dan staat dat erbij
+function updateScoringProfileLabel(profileId) {
+    const profileLabel = document.getElementById('activeScoringProfile');
+    if (!profileLabel) return;
+    const name = scoringProfiles.getProfile(profileId).name;
+    profileLabel.textContent = profileId && profileId !== scoringProfiles.activeId ? `${name} (opgeslagen analyse)` : name;
+}
+
+function showTransportSettings() {
+    document.getElementById('transportModal').style.display = 'flex';
+    renderTransportSettings();
+}
+
+function closeTransportSettings() {
+    document.getElementById('transportModal').style.display = 'none';
+}
+
+function renderTransportSettings() {
+    const container = document.getElementById('transportSettings');
+    const adapters = transport.getAdapters();
+
+    container.innerHTML = `
+        <div class="transport-adapters">
+            ${adapters.map((adapter, index) => {
+                const health = adapter.health;
+                const state = !adapter.available ? 'unavailable' : adapter.coolingDown ? 'error' : health.failures > 0 && health.successes === 0 ? 'warning' : 'success';
+                const stateLabel = !adapter.available ? 'Niet beschikbaar' : adapter.coolingDown ? 'Tijdelijk overgeslagen' : 'Beschikbaar';
+                return `
+                    <div class="transport-adapter ${adapter.enabled ? '' : 'disabled'}">
+                        <label class="transport-toggle">
+                            <input type="checkbox" data-transport-enabled="${adapter.id}" ${adapter.enabled ? 'checked' : ''}>
+                            <span>
+                                <strong>${index + 1}. ${escapeHtml(adapter.label)}</strong>
+                                <small>${escapeHtml(adapter.description)}</small>
+                            </span>
+                        </label>
+                        <div class="transport-health">
+                            <span class="transport-state ${state}">${stateLabel}</span>
+                            <small>
+                                ${health.successes} gelukt · ${health.failures} mislukt
+                                ${health.averageTime !== null ? ` · gem. ${health.averageTime} ms` : ''}
+                                ${health.lastError ? `<br>Laatste fout: ${escapeHtml(health.lastError)}` : ''}
+                            </small>
+                        </div>
+                        <div class="transport-order">
+                            <button onclick="moveTransportAdapter('${adapter.id}', -1)" class="config-btn secondary" ${index === 0 ? 'disabled' : ''} title="Omhoog">
+                                <i class="fas fa-arrow-up"></i>
+                            </button>
+                            <button onclick="moveTransportAdapter('${adapter.id}', 1)" class="config-btn secondary" ${index === adapters.length - 1 ? 'disabled' : ''} title="Omlaag">
+                                <i class="fas fa-arrow-down"></i>
+                            </button>
+                        </div>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+        <label class="scoring-field transport-custom-url">
+            <span>Zelf gehoste proxy URL</span>
+            <input type="url" id="customProxyUrl" value="${escapeHtml(transport.settings.customProxyUrl)}" placeholder="https://proxy.example.com/api/proxy">
+        </label>
+        <label class="scoring-field transport-custom-url">
+            <span>Proxy sleutel <small>(PROXY_SECRET, optioneel)</small></span>
+            <input type="password" id="customProxyKey" value="${escapeHtml(transport.settings.customProxyKey)}" autocomplete="off">
+        </label>
+        <h4 class="scheduler-settings-title"><i class="fas fa-tachometer-alt"></i> Crawl snelheid</h4>
+        <div class="scheduler-settings">
+            ${Object.entries(SCHEDULER_SETTING_LABELS).map(([key, label]) => `
+                <label class="scoring-field">
+                    <span>${label}</span>
+                    <input type="number" min="0" step="1" data-scheduler="${key}" value="${requestScheduler.settings[key]}">
+                </label>
+            `).join('')}
+            <label class="scoring-field">
+                <span>Respecteer robots.txt Crawl-delay</span>
+                <input type="checkbox" id="respectCrawlDelay" ${requestScheduler.settings.respectCrawlDelay ? 'checked' : ''}>
+            </label>
+        </div>
+        <div class="scoring-profile-actions">
+            <button onclick="transport.resetHealth(); renderTransportSettings()" class="config-btn secondary">
+                <i class="fas fa-heartbeat"></i> Statistieken wissen
+            </button>
+            <button onclick="saveTransportSettings()" class="config-btn">
+                <i class="fas fa-save"></i> Opslaan
+            </button>
+        </div>
+    `;
+}
+
+// Volgorde direct opslaan zodat de lijst na het verplaatsen klopt
+function moveTransportAdapter(id, direction) {
+    const order = transport.getOrder();
+    const index = order.indexOf(id);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= order.length) return;
+
+    [order[index], order[target]] = [order[target], order[index]];
+    transport.saveSettings({ order });
+    renderTransportSettings();
+}
+
+function saveTransportSettings() {
+    const container = document.getElementById('transportSettings');
+    const customProxyUrl = document.getElementById('customProxyUrl').value.trim();
+    const customProxyKey = document.getElementById('customProxyKey').value.trim();
+
+    if (customProxyUrl) {
+        let protocol = null;
+        try {
+            protocol = new URL(customProxyUrl).protocol;
+        } catch {
+            // Ongeldige URL, melding hieronder
+        }
+        if (!['http:', 'https:'].includes(protocol)) {
+            alert('Voer een geldige proxy URL in (bijv. https://proxy.example.com/api/proxy)');
+            return;
+        }
+    }
+
+    const disabled = Array.from(container.querySelectorAll('[data-transport-enabled]'))
+        .filter(input => !input.checked)
+        .map(input => input.dataset.transportEnabled);
+
+    const schedulerSettings = { respectCrawlDelay: document.getElementById('respectCrawlDelay').checked };
+    container.querySelectorAll('[data-scheduler]').forEach(input => {
+        schedulerSettings[input.dataset.scheduler] = Math.max(0, parseInt(input.value) || 0);
+    });
+    // Minstens één verzoek tegelijk, anders staat alles stil
+    schedulerSettings.concurrency = Math.max(1, schedulerSettings.concurrency);
+    schedulerSettings.perHostConcurrency = Math.max(1, schedulerSettings.perHostConcurrency);
+
+    transport.saveSettings({ disabled, customProxyUrl, customProxyKey });
+    requestScheduler.saveSettings(schedulerSettings);
+    closeTransportSettings();
+    analysisStorage.showSaveNotification('Verbindingsinstellingen opgeslagen');
+}
+
 function resetAltTextGenerator() {
     currentImageFile = null;
     document.getElementById('imageInput').value = '';